@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Benchmark for mailbox counters against a seeded local MongoDB
+ *
+ * Compares the old per-mailbox aggregation with the single grouped aggregation
+ * used by CounterService, and the Redis cached path when REDIS_URL is set.
+ *
+ * Usage:
+ *   MONGO_URL=mongodb://127.0.0.1:27017/mcp-bench MAILBOXES=300 MESSAGES=100 npm run bench
+ *
+ * The target database is dropped before seeding, never point it at a live WildDuck database.
+ */
+
+const { MongoClient, ObjectId } = require('mongodb');
+const CounterService = require('../lib/services/counter-service');
+
+const MONGO_URL = process.env.MONGO_URL || 'mongodb://127.0.0.1:27017/mcp-bench';
+const REDIS_URL = process.env.REDIS_URL;
+const MAILBOXES = Number(process.env.MAILBOXES) || 300;
+const MESSAGES = Number(process.env.MESSAGES) || 100;
+const ROUNDS = Number(process.env.ROUNDS) || 5;
+
+const logger = {
+    error: (...args) => console.error(...args)
+};
+
+async function seed(database, user) {
+    await database.dropDatabase();
+
+    // Approximates the WildDuck indexes used for mailbox and user scoped lookups
+    await database.collection('messages').createIndexes([
+        { key: { mailbox: 1, uid: 1 } },
+        { key: { user: 1, mailbox: 1 } }
+    ]);
+
+    const mailboxes = [];
+    for (let i = 0; i < MAILBOXES; i++) {
+        mailboxes.push({
+            _id: new ObjectId(),
+            user,
+            path: i ? `Folder ${Math.floor(i / 10)}/Sub ${i}` : 'INBOX',
+            modifyIndex: 1
+        });
+    }
+    await database.collection('mailboxes').insertMany(mailboxes);
+
+    for (const mailbox of mailboxes) {
+        const messages = [];
+        for (let uid = 1; uid <= MESSAGES; uid++) {
+            messages.push({
+                user,
+                mailbox: mailbox._id,
+                uid,
+                size: 1000 + uid,
+                flags: uid % 3 ? ['\\Seen'] : []
+            });
+        }
+        await database.collection('messages').insertMany(messages);
+    }
+
+    return mailboxes;
+}
+
+// Previous implementation: one aggregation per mailbox
+async function perMailbox(database, user, mailboxes) {
+    for (const mailbox of mailboxes) {
+        await database.collection('messages').aggregate([
+            { $match: { mailbox: mailbox._id, user } },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    unread: { $sum: { $cond: [{ $in: ['\\Seen', '$flags'] }, 0, 1] } },
+                    size: { $sum: '$size' }
+                }
+            }
+        ]).toArray();
+    }
+}
+
+async function time(label, fn) {
+    const timings = [];
+    for (let i = 0; i < ROUNDS; i++) {
+        const start = process.hrtime.bigint();
+        await fn();
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    timings.sort((a, b) => a - b);
+    console.log('%s: median %sms, min %sms, max %sms', label.padEnd(24),
+        timings[Math.floor(timings.length / 2)].toFixed(1), timings[0].toFixed(1), timings[timings.length - 1].toFixed(1));
+}
+
+async function main() {
+    const client = await MongoClient.connect(MONGO_URL);
+    const database = client.db();
+    const user = new ObjectId();
+
+    console.log('Seeding %s mailboxes with %s messages each', MAILBOXES, MESSAGES);
+    const mailboxes = await seed(database, user);
+    const userId = user.toString();
+
+    await time('per-mailbox aggregation', () => perMailbox(database, user, mailboxes));
+
+    const uncached = new CounterService({ db: { database }, logger, config: { counterCacheTtl: 0 } });
+    await time('grouped aggregation', () => uncached.getCounters(userId, mailboxes));
+
+    if (REDIS_URL) {
+        const Redis = require('ioredis');
+        const redis = new Redis(REDIS_URL);
+        const cached = new CounterService({ db: { database }, redis, logger, config: { counterCacheTtl: 60 } });
+
+        await cached.invalidate(userId);
+        await cached.getCounters(userId, mailboxes);
+        await time('grouped + redis (warm)', () => cached.getCounters(userId, mailboxes));
+
+        // One changed mailbox per round, only that one is recounted
+        await time('grouped + redis (1 stale)', async () => {
+            mailboxes[0].modifyIndex++;
+            await cached.getCounters(userId, mailboxes);
+        });
+
+        await cached.invalidate(userId);
+        redis.disconnect();
+    }
+
+    await database.dropDatabase();
+    await client.close();
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
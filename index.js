@@ -43,28 +43,47 @@ module.exports.init = (app, done) => {
     };
     
     // Initialize MCP server with WildDuck context
-    const mcpServer = new MCPServer({
-        db: app.db,
-        redis: app.redis,
-        logger,
-        config,
-        // Handlers from WildDuck
-        userHandler: app.userHandler,
-        mailboxHandler: app.mailboxHandler,
-        messageHandler: app.messageHandler,
-        storageHandler: app.storageHandler
-    });
+    let mcpServer;
+    try {
+        mcpServer = new MCPServer({
+            db: app.db,
+            redis: app.redis,
+            logger,
+            config,
+            // Handlers from WildDuck
+            userHandler: app.userHandler,
+            mailboxHandler: app.mailboxHandler,
+            messageHandler: app.messageHandler,
+            storageHandler: app.storageHandler
+        });
+    } catch (err) {
+        // Eg. no attachmentSecret configured, signed URLs would be forgeable
+        logger.error('MCP-PLUGIN', 'Failed to initialize plugin error=%s', err.message);
+        return done(err);
+    }
     
     // Register MCP protocol endpoints
     // These will be available at /plugin/mcp/*
     // All endpoints support token in URL: /plugin/mcp/:accessToken/...
 
     // Secure attachment download (no authentication required - uses signed URLs)
-    // Format: /plugin/mcp/att/<msgid>/<attid>/<expires>/<signature>/filename.ext
-    app.addAPI('GET', '/att/:messageId/:attachmentId/:expires/:signature/:filename', async (req, res) => {
+    // Format: /plugin/mcp/att/<msgid>/<attid>/<userid>/<expires>/<keyid>.<signature>/filename.ext
+    app.addAPI('GET', '/att/:messageId/:attachmentId/:userId/:expires/:signature/:filename', async (req, res) => {
         await mcpServer.handleSecureAttachment(req, res);
     });
 
+    // Secure raw message (.eml) download, same signing scheme as attachments
+    // Format: /plugin/mcp/eml/<msgid>/<userid>/<expires>/<keyid>.<signature>/filename.eml
+    app.addAPI('GET', '/eml/:messageId/:userId/:expires/:signature/:filename', async (req, res) => {
+        await mcpServer.handleSecureRawMessage(req, res);
+    });
+
+    // Secure ZIP download of an attachment bundle created by bundleAttachments
+    // Format: /plugin/mcp/zip/<bundleid>/<userid>/<expires>/<keyid>.<signature>/name.zip
+    app.addAPI('GET', '/zip/:bundleId/:userId/:expires/:signature/:filename', async (req, res) => {
+        await mcpServer.handleSecureBundle(req, res);
+    });
+
 
     
     // Server information
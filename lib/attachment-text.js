@@ -0,0 +1,187 @@
+'use strict';
+
+const TurndownService = require('turndown');
+
+/**
+ * Text extraction for attachments. Each extractor returns a list of sections
+ * (pages for PDF, sheets for spreadsheets, a single section otherwise)
+ */
+
+// Content types and file extensions for each supported format
+const FORMATS = {
+    pdf: {
+        types: ['application/pdf', 'application/x-pdf'],
+        extensions: ['pdf']
+    },
+    docx: {
+        types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['docx']
+    },
+    xlsx: {
+        types: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extensions: ['xlsx']
+    },
+    csv: {
+        types: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+        extensions: ['csv', 'tsv']
+    },
+    html: {
+        types: ['text/html', 'application/xhtml+xml'],
+        extensions: ['html', 'htm', 'xhtml']
+    },
+    text: {
+        types: ['application/json', 'application/xml', 'application/x-yaml', 'application/yaml', 'application/javascript', 'message/delivery-status'],
+        extensions: ['txt', 'text', 'md', 'markdown', 'log', 'json', 'xml', 'yaml', 'yml', 'ini', 'conf', 'eml', 'ics', 'vcf']
+    }
+};
+
+/**
+ * Detect the extraction format from content type, file extension and magic bytes
+ * @param {string} contentType - Attachment content type, may include parameters
+ * @param {string} filename - Attachment filename
+ * @param {Buffer} [head] - First bytes of the file, used when the type is generic
+ * @returns {string|null} Format name or null when not extractable
+ */
+function detectFormat(contentType, filename, head) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = ((filename || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+    const ext = extension ? extension.toLowerCase() : null;
+
+    for (const [format, definition] of Object.entries(FORMATS)) {
+        if (definition.types.includes(type)) {
+            return format;
+        }
+    }
+
+    // Mail clients often send documents as application/octet-stream
+    if (!type || type === 'application/octet-stream' || type === 'application/zip') {
+        for (const [format, definition] of Object.entries(FORMATS)) {
+            if (ext && definition.extensions.includes(ext)) {
+                return format;
+            }
+        }
+        if (head && head.slice(0, 5).toString('binary') === '%PDF-') {
+            return 'pdf';
+        }
+        return null;
+    }
+
+    if (type.startsWith('text/')) {
+        return 'text';
+    }
+
+    return null;
+}
+
+/**
+ * Decode text using the charset from the content type, UTF-8 by default
+ */
+function decodeText(buffer, contentType) {
+    const charset = ((contentType || '').match(/charset\s*=\s*"?([^";\s]+)/i) || [])[1];
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (err) {
+        // unknown charset label
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+// Document parsers are large, they are only loaded once a document is extracted
+async function extractPdf(buffer) {
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText();
+        return result.pages.map(page => ({ type: 'page', name: `Page ${page.num}`, text: page.text.trim() }));
+    } finally {
+        await parser.destroy();
+    }
+}
+
+async function extractDocx(buffer) {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    return [{ type: 'document', name: null, text: result.value.replace(/\n{3,}/g, '\n\n').trim() }];
+}
+
+async function extractXlsx(buffer) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sections = [];
+    workbook.eachSheet(worksheet => {
+        const rows = [];
+        worksheet.eachRow(row => {
+            const cells = [];
+            row.eachCell({ includeEmpty: true }, cell => {
+                cells.push(String(cell.text || '').replace(/[\t\r\n]+/g, ' '));
+            });
+            rows.push(cells.join('\t'));
+        });
+        sections.push({ type: 'sheet', name: `Sheet: ${worksheet.name}`, text: rows.join('\n') });
+    });
+    return sections;
+}
+
+function extractHtml(buffer, contentType) {
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-'
+    });
+    turndown.remove(['script', 'style', 'head', 'title']);
+    return [{ type: 'document', name: null, text: turndown.turndown(decodeText(buffer, contentType)).trim() }];
+}
+
+function extractPlain(buffer, contentType) {
+    return [{ type: 'document', name: null, text: decodeText(buffer, contentType).trim() }];
+}
+
+const EXTRACTORS = {
+    pdf: extractPdf,
+    docx: extractDocx,
+    xlsx: extractXlsx,
+    csv: extractPlain,
+    html: extractHtml,
+    text: extractPlain
+};
+
+/**
+ * Extract text from a file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Format from detectFormat()
+ * @param {string} contentType - Content type, used for the text charset
+ * @returns {Object} { text, sections: [{ type, name, start, length }] }
+ */
+async function extractText(buffer, format, contentType) {
+    const extractor = EXTRACTORS[format];
+    if (!extractor) {
+        throw new Error(`Unsupported format: ${format}`);
+    }
+
+    const parts = await extractor(buffer, contentType);
+
+    // Page and sheet boundaries are marked in the text, offsets point at the markers
+    let text = '';
+    const sections = [];
+    for (const part of parts) {
+        if (text) {
+            text += '\n\n';
+        }
+        const start = text.length;
+        if (part.name) {
+            text += `--- ${part.name} ---\n`;
+        }
+        text += part.text;
+        sections.push({ type: part.type, name: part.name, start, length: text.length - start });
+    }
+
+    return { text, sections };
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    extractText
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Opaque pagination cursors, like the ones MCP uses for its own list requests.
+ * A cursor holds the sort key of the last returned item and a hash of the
+ * query it belongs to, so it can not be used with a different search
+ */
+
+// Options that only control paging, a cursor stays valid when these change
+const PAGING_OPTIONS = ['cursor', 'limit', 'page', 'includeTotal', 'includeBodies', 'includeAttachments', 'threadCounters'];
+
+// JSON with sorted keys, so the same query always gets the same hash
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function queryHash(kind, options) {
+    const query = {};
+    for (const [key, value] of Object.entries(options || {})) {
+        if (!PAGING_OPTIONS.includes(key) && !key.startsWith('_')) {
+            query[key] = value;
+        }
+    }
+    return crypto.createHash('sha256').update(`${kind}:${stableStringify(query)}`).digest('base64url').substr(0, 12);
+}
+
+/**
+ * Create a cursor pointing after the given position
+ * @param {string} kind - Listing the cursor belongs to, eg. "search"
+ * @param {Object} options - Options of the request, paging options are ignored
+ * @param {Object} position - Sort key of the last returned item
+ * @returns {string} Cursor
+ */
+function encodeCursor(kind, options, position) {
+    return Buffer.from(JSON.stringify({ k: kind, q: queryHash(kind, options), p: position })).toString('base64url');
+}
+
+/**
+ * Read a cursor from a previous response
+ * @param {string} cursor - Cursor from nextCursor
+ * @param {string} kind - Expected listing
+ * @param {Object} options - Options of the request, must match the ones the cursor was created for
+ * @returns {Object|null} Position, null when no cursor was given
+ */
+function decodeCursor(cursor, kind, options) {
+    if (!cursor) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (err) {
+        data = null;
+    }
+    if (!data || data.k !== kind || !data.p || typeof data.p !== 'object') {
+        throw new Error('Invalid cursor');
+    }
+    if (data.q !== queryHash(kind, options)) {
+        throw new Error('Cursor belongs to a different query, repeat the request without a cursor');
+    }
+
+    return data.p;
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Parsers for authentication and transport headers (Authentication-Results,
+ * Received-SPF, DKIM-Signature, ARC-* and Received). Everything works on the
+ * stored header lines, nothing is verified against DNS
+ */
+
+/**
+ * Convert stored raw header lines into an ordered list of unfolded headers
+ * @param {string[]} lines - Header lines from mimeTree.header (binary strings)
+ * @returns {Object[]} Headers as { key, value } in message order
+ */
+function parseHeaderLines(lines) {
+    return (lines || [])
+        .map(line => {
+            line = Buffer.from(line, 'binary').toString();
+            const separator = line.indexOf(':');
+            if (separator < 0) {
+                return null;
+            }
+            return {
+                key: line.substr(0, separator).trim(),
+                value: line
+                    .substr(separator + 1)
+                    .replace(/\r?\n[ \t]+/g, ' ')
+                    .trim()
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Remove RFC 5322 comments, eg. "pass (sender is authorized)"
+ */
+function stripComments(value) {
+    let result = '';
+    let depth = 0;
+    let quoted = false;
+    for (const chr of value) {
+        if (chr === '"' && !depth) {
+            quoted = !quoted;
+        }
+        if (!quoted && chr === '(') {
+            depth++;
+            continue;
+        }
+        if (!quoted && chr === ')' && depth) {
+            depth--;
+            continue;
+        }
+        if (!depth) {
+            result += chr;
+        }
+    }
+    return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the text of the first comment, used for human readable reasons
+ */
+function firstComment(value) {
+    const match = value.match(/\(([^)]*)\)/);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse "key=value" pairs separated by whitespace, values may be quoted: reason="bad signature"
+ */
+function parseProperties(str) {
+    const properties = {};
+    const pair = /([^\s=]+)=("(?:[^"\\]|\\.)*"|\S*)/g;
+    let match;
+    while ((match = pair.exec(str))) {
+        properties[match[1].toLowerCase()] = match[2].replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+    }
+    return properties;
+}
+
+/**
+ * Parse an Authentication-Results (or ARC-Authentication-Results) value
+ * @param {string} value - Header value
+ * @returns {Object} { instance, authservId, results: [{ method, result, reason, properties }] }
+ */
+function parseAuthenticationResults(value) {
+    const parts = value.split(';').map(part => part.trim()).filter(Boolean);
+    const result = { instance: null, authservId: null, results: [] };
+
+    // ARC-Authentication-Results start with the instance tag
+    if (parts.length && /^i=\d+$/i.test(parts[0])) {
+        result.instance = parseInt(parts.shift().substr(2), 10);
+    }
+
+    if (parts.length) {
+        result.authservId = stripComments(parts.shift()).split(/\s+/)[0] || null;
+    }
+
+    for (const part of parts) {
+        const clean = stripComments(part);
+        const match = clean.match(/^([a-z0-9_.-]+)\s*=\s*([a-z0-9_.-]+)\s*(.*)$/i);
+        if (!match) {
+            if (clean.toLowerCase() !== 'none') {
+                result.results.push({ method: null, result: null, raw: part });
+            }
+            continue;
+        }
+
+        const properties = parseProperties(match[3]);
+        const entry = {
+            method: match[1].toLowerCase(),
+            result: match[2].toLowerCase(),
+            reason: properties.reason || firstComment(part),
+            properties
+        };
+        delete properties.reason;
+        result.results.push(entry);
+    }
+
+    return result;
+}
+
+/**
+ * Parse a Received-SPF value, eg. "pass (comment) client-ip=192.0.2.1; envelope-from=..."
+ */
+function parseReceivedSpf(value) {
+    const match = value.match(/^\s*([a-z]+)/i);
+    const clean = stripComments(value.substr(match ? match[0].length : 0)).replace(/;/g, ' ');
+    return {
+        result: match ? match[1].toLowerCase() : null,
+        comment: firstComment(value),
+        properties: parseProperties(clean)
+    };
+}
+
+/**
+ * Parse a DKIM style tag list, eg. "v=1; a=rsa-sha256; d=example.com"
+ */
+function parseTagList(value) {
+    const tags = {};
+    for (const part of value.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            tags[part.substr(0, separator).trim().toLowerCase()] = part.substr(separator + 1).replace(/\s+/g, '');
+        }
+    }
+    return tags;
+}
+
+function tagTime(value) {
+    return /^\d+$/.test(value || '') ? new Date(parseInt(value, 10) * 1000).toISOString() : null;
+}
+
+/**
+ * Parse a DKIM-Signature or ARC-Message-Signature value. The signature data
+ * itself (b= and bh=) is left out
+ */
+function parseDkimSignature(value) {
+    const tags = parseTagList(value);
+    return {
+        instance: tags.i && /^\d+$/.test(tags.i) ? parseInt(tags.i, 10) : undefined,
+        domain: tags.d || null,
+        selector: tags.s || null,
+        algorithm: tags.a || null,
+        canonicalization: tags.c || null,
+        signedHeaders: tags.h ? tags.h.split(':').map(key => key.trim().toLowerCase()).filter(Boolean) : [],
+        identity: tags.i && !/^\d+$/.test(tags.i) ? tags.i : null,
+        signedAt: tagTime(tags.t),
+        expiresAt: tagTime(tags.x)
+    };
+}
+
+/**
+ * Parse an ARC-Seal value
+ */
+function parseArcSeal(value) {
+    const tags = parseTagList(value);
+    return {
+        instance: parseInt(tags.i, 10) || null,
+        chainValidation: tags.cv ? tags.cv.toLowerCase() : null,
+        domain: tags.d || null,
+        selector: tags.s || null,
+        algorithm: tags.a || null,
+        signedAt: tagTime(tags.t)
+    };
+}
+
+/**
+ * Parse a Received header into its clauses
+ */
+function parseReceived(value) {
+    const separator = value.lastIndexOf(';');
+    const clauses = stripComments(separator >= 0 ? value.substr(0, separator) : value);
+    const dateStr = separator >= 0 ? value.substr(separator + 1).trim() : null;
+    const date = dateStr ? new Date(stripComments(dateStr)) : null;
+
+    const clause = name => {
+        const match = clauses.match(new RegExp(`(?:^|\\s)${name}\\s+(\\S+)`, 'i'));
+        return match ? match[1].replace(/^<|>;?$/g, '') : null;
+    };
+
+    // The comment after "from" usually carries the resolved host name and IP
+    const fromComment = value.match(/\bfrom\s+\S+\s+\(([^)]*)\)/i);
+    const ip = (fromComment && fromComment[1].match(/\[?((?:\d{1,3}\.){3}\d{1,3}|[a-f0-9]*:[a-f0-9:.]+)\]?/i)) || null;
+
+    return {
+        from: clause('from'),
+        fromDetails: fromComment ? fromComment[1].trim() : null,
+        ip: ip ? ip[1] : null,
+        by: clause('by'),
+        with: clause('with'),
+        id: clause('id'),
+        for: clause('for'),
+        date: date && !isNaN(date.getTime()) ? date.toISOString() : null
+    };
+}
+
+/**
+ * Build the Received hop chain, oldest hop first, with the delay between hops
+ * @param {Object[]} headers - Ordered headers
+ * @param {string|Date} sentDate - Date header, used for the delay of the first hop
+ * @returns {Object} { hops, totalDelaySeconds }
+ */
+function buildReceivedChain(headers, sentDate) {
+    // Every relay prepends its Received header, so message order is newest first
+    const hops = headers
+        .filter(header => header.key.toLowerCase() === 'received')
+        .map(header => parseReceived(header.value))
+        .reverse();
+
+    const sent = sentDate ? new Date(sentDate) : null;
+    let previous = sent && !isNaN(sent.getTime()) ? sent.getTime() : null;
+    const first = previous;
+
+    hops.forEach((hop, i) => {
+        hop.hop = i + 1;
+        const time = hop.date ? new Date(hop.date).getTime() : null;
+        hop.delaySeconds = time !== null && previous !== null ? Math.round((time - previous) / 1000) : null;
+        if (time !== null) {
+            previous = time;
+        }
+    });
+
+    const last = hops.length && hops[hops.length - 1].date ? new Date(hops[hops.length - 1].date).getTime() : null;
+
+    return {
+        hops,
+        totalDelaySeconds: first !== null && last !== null ? Math.round((last - first) / 1000) : null
+    };
+}
+
+/**
+ * Parse all authentication related headers
+ * @param {Object[]} headers - Ordered headers
+ * @returns {Object} Parsed authentication data with a verdict summary
+ */
+function parseAuthentication(headers) {
+    const byKey = key => headers.filter(header => header.key.toLowerCase() === key).map(header => header.value);
+
+    const authenticationResults = byKey('authentication-results').map(parseAuthenticationResults);
+    const receivedSpf = byKey('received-spf').map(parseReceivedSpf);
+    const dkimSignatures = byKey('dkim-signature').map(parseDkimSignature);
+
+    // Group ARC sets by instance
+    const arcSets = new Map();
+    const arcSet = instance => {
+        if (!arcSets.has(instance)) {
+            arcSets.set(instance, { instance, seal: null, messageSignature: null, authenticationResults: null });
+        }
+        return arcSets.get(instance);
+    };
+    byKey('arc-seal').map(parseArcSeal).forEach(seal => {
+        arcSet(seal.instance).seal = seal;
+    });
+    byKey('arc-message-signature').map(parseDkimSignature).forEach(signature => {
+        arcSet(signature.instance || null).messageSignature = signature;
+    });
+    byKey('arc-authentication-results').map(parseAuthenticationResults).forEach(results => {
+        arcSet(results.instance).authenticationResults = results;
+    });
+    const arc = [...arcSets.values()].sort((a, b) => (a.instance || 0) - (b.instance || 0));
+
+    // The topmost Authentication-Results header was added by the receiving server
+    const verdict = method => {
+        const entry = authenticationResults.length && authenticationResults[0].results.find(r => r.method === method);
+        return entry ? entry.result : null;
+    };
+    const latestSeal = arc.length ? arc[arc.length - 1].seal : null;
+
+    return {
+        summary: {
+            spf: verdict('spf') || (receivedSpf.length ? receivedSpf[0].result : null),
+            dkim: verdict('dkim'),
+            dmarc: verdict('dmarc'),
+            arc: verdict('arc') || (latestSeal ? latestSeal.chainValidation : null)
+        },
+        authenticationResults,
+        receivedSpf,
+        dkimSignatures,
+        arc
+    };
+}
+
+module.exports = {
+    parseHeaderLines,
+    parseAuthenticationResults,
+    parseReceivedSpf,
+    parseDkimSignature,
+    parseArcSeal,
+    parseReceived,
+    buildReceivedChain,
+    parseAuthentication
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * HTTP helpers for file downloads: Content-Disposition, conditional
+ * requests and byte ranges
+ */
+
+/**
+ * Build a Content-Disposition header value (RFC 6266) with an ASCII fallback
+ * filename and the UTF-8 filename* parameter (RFC 5987)
+ * @param {string} type - inline or attachment
+ * @param {string} filename - File name, may contain any characters
+ * @returns {string} Header value
+ */
+function contentDisposition(type, filename) {
+    if (!filename) {
+        return type;
+    }
+
+    const fallback = filename
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]/g, '_')
+        .replace(/["\\]/g, '_');
+
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, chr => '%' + chr.charCodeAt(0).toString(16).toUpperCase());
+
+    let value = `${type}; filename="${fallback}"`;
+    if (encoded !== filename) {
+        value += `; filename*=UTF-8''${encoded}`;
+    }
+    return value;
+}
+
+/**
+ * Parse a Range header for a single byte range
+ * @param {string} header - Range header value
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null|false} { start, end } (inclusive), null to ignore the header
+ *   (missing, malformed or multiple ranges) or false when not satisfiable
+ */
+function parseRange(header, size) {
+    const match = (header || '').trim().match(/^bytes\s*=\s*(\d*)\s*-\s*(\d*)$/i);
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range, eg. "bytes=-500" is the last 500 bytes
+        const length = parseInt(match[2], 10);
+        if (!length) {
+            return false;
+        }
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Check If-None-Match / If-Modified-Since, true when the client copy is current
+ */
+function isNotModified(headers, etag, lastModified) {
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+
+    const ifModifiedSince = headers['if-modified-since'];
+    if (ifModifiedSince && lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+
+    return false;
+}
+
+/**
+ * Check If-Range, a Range request is only honored while the validator still matches
+ */
+function isRangeFresh(headers, etag, lastModified) {
+    const ifRange = headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+
+    const value = ifRange.trim();
+    if (/^(W\/)?"/.test(value)) {
+        // Strong comparison, weak validators never match
+        return value === etag;
+    }
+
+    const date = Date.parse(value);
+    return !isNaN(date) && !!lastModified && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+}
+
+module.exports = {
+    contentDisposition,
+    parseRange,
+    isNotModified,
+    isRangeFresh
+};
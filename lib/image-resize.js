@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Downscaling of image attachments so they fit into a model's context.
+ * Uses sharp, which is an optional dependency. Without it images are
+ * returned unchanged
+ */
+
+// Image types MCP clients can display, anything else is converted
+const NATIVE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// JPEG qualities tried in order before the dimensions are reduced further
+const JPEG_QUALITIES = [85, 70, 55];
+
+let sharp;
+function loadSharp() {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (err) {
+            sharp = null;
+        }
+    }
+    return sharp;
+}
+
+/**
+ * Fit an image into the configured limits
+ * @param {Buffer} buffer - Image data
+ * @param {string} contentType - Image content type
+ * @param {Object} limits - { maxDimension, maxBytes }, 0 disables a limit
+ * @returns {Object} { data, contentType, width, height, resized, note? }
+ */
+async function fitImage(buffer, contentType, limits = {}) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const maxDimension = Number(limits.maxDimension) || 0;
+    const maxBytes = Number(limits.maxBytes) || 0;
+    const result = { data: buffer, contentType: type, width: null, height: null, resized: false };
+
+    const imageLib = loadSharp();
+    if (!imageLib) {
+        if (!NATIVE_IMAGE_TYPES.includes(type)) {
+            result.note = 'Image type can not be displayed and sharp is not installed for conversion';
+        } else if (maxBytes && buffer.length > maxBytes) {
+            result.note = 'Image exceeds the size limit but sharp is not installed for downscaling';
+        }
+        return result;
+    }
+
+    let metadata;
+    try {
+        metadata = await imageLib(buffer, { animated: false }).metadata();
+    } catch (err) {
+        result.note = `Image could not be decoded: ${err.message}`;
+        return result;
+    }
+
+    result.width = metadata.width;
+    result.height = metadata.height;
+
+    const tooLarge = maxDimension && Math.max(metadata.width, metadata.height) > maxDimension;
+    const tooHeavy = maxBytes && buffer.length > maxBytes;
+    if (!tooLarge && !tooHeavy && NATIVE_IMAGE_TYPES.includes(type)) {
+        return result;
+    }
+
+    // Transparent images stay PNG, everything else becomes JPEG
+    const format = metadata.hasAlpha ? 'png' : 'jpeg';
+    let dimension = maxDimension ? Math.min(maxDimension, Math.max(metadata.width, metadata.height)) : Math.max(metadata.width, metadata.height);
+
+    let output;
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const qualities = format === 'jpeg' ? JPEG_QUALITIES : [null];
+        for (const quality of qualities) {
+            const pipeline = imageLib(buffer, { animated: false })
+                .rotate()
+                .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true });
+            output = await (format === 'jpeg' ? pipeline.jpeg({ quality, mozjpeg: true }) : pipeline.png({ compressionLevel: 9 })).toBuffer({ resolveWithObject: true });
+            if (!maxBytes || output.data.length <= maxBytes) {
+                break;
+            }
+        }
+        if (!maxBytes || output.data.length <= maxBytes) {
+            break;
+        }
+        // Encoded size grows with the pixel count, shrink both sides by the square root
+        dimension = Math.round(dimension * Math.min(0.75, Math.sqrt(maxBytes / output.data.length)));
+    }
+
+    if (maxBytes && output.data.length > maxBytes) {
+        result.note = 'Image could not be reduced below the size limit';
+    }
+
+    return {
+        ...result,
+        data: output.data,
+        contentType: `image/${format}`,
+        width: output.info.width,
+        height: output.info.height,
+        resized: true
+    };
+}
+
+module.exports = {
+    NATIVE_IMAGE_TYPES,
+    fitImage
+};
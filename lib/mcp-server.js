@@ -10,12 +10,77 @@ const {
     ListPromptsRequestSchema,
     GetPromptRequestSchema,
     CompleteRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+    isInitializeRequest,
+    LATEST_PROTOCOL_VERSION,
 } = require('@modelcontextprotocol/sdk/types.js');
+const archiver = require('archiver');
+const http = require('http');
+const net = require('net');
 
 const MailboxService = require('./services/mailbox-service');
 const MessageService = require('./services/message-service');
 const UserService = require('./services/user-service');
 const AttachmentService = require('./services/attachment-service');
+const ComposeService = require('./services/compose-service');
+const BulkService = require('./services/bulk-service');
+const CounterService = require('./services/counter-service');
+const SessionService = require('./services/session-service');
+const NotificationService = require('./services/notification-service');
+const SafetyService = require('./services/safety-service');
+const BundleService = require('./services/bundle-service');
+const SyncService = require('./services/sync-service');
+const { fitImage } = require('./image-resize');
+const { contentDisposition, parseRange, isNotModified, isRangeFresh } = require('./http-download');
+
+// Message references accepted by every message tool, see lib/message-ref.js
+const MESSAGE_ID_DESCRIPTION = 'Message ID or mailbox:uid, eg. INBOX:42. Bare UIDs are rejected, UIDs are only unique within a mailbox';
+
+// Drafts are only looked up in the Drafts mailbox, so a bare UID is unambiguous there
+const DRAFT_ID_DESCRIPTION = 'Draft message ID or Drafts:uid, eg. Drafts:7. A bare UID is looked up in the Drafts mailbox only';
+
+// Image limits for getAttachment unless configured otherwise, 0 disables a limit
+const DEFAULT_IMAGE_MAX_DIMENSION = 1568;
+const DEFAULT_IMAGE_MAX_BYTES = 1024 * 1024;
+
+// Largest attachment (bytes) returned as content instead of a link unless configured otherwise
+const DEFAULT_CONTENT_MAX_SIZE = 10 * 1024 * 1024;
+
+// Parameterized resources, listed by resources/templates/list
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'wildduck://message/{messageId}',
+        name: 'Message',
+        description: 'A single message with body and attachment links. messageId is a message ID or mailbox:uid (eg. INBOX:42, URL-encode paths with slashes)',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'wildduck://message/{messageId}/raw',
+        name: 'Raw Message',
+        description: 'Original RFC 822 source of a message, rebuilt with all MIME parts (up to 1MB)',
+        mimeType: 'message/rfc822'
+    },
+    {
+        uriTemplate: 'wildduck://attachment/{messageId}/{attachmentId}',
+        name: 'Attachment',
+        description: 'Attachment content of a message (eg. ATT00001)',
+        mimeType: 'application/octet-stream'
+    },
+    {
+        uriTemplate: 'wildduck://thread/{threadId}',
+        name: 'Thread',
+        description: 'All messages of a conversation thread, oldest first. threadId is the "thread" field of a message',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'wildduck://mailbox/{mailboxId}/messages',
+        name: 'Mailbox Messages',
+        description: 'Newest messages of a mailbox. Accepts ?limit= (max 100) and ?cursor= with nextCursor of the previous page',
+        mimeType: 'application/json'
+    }
+];
 
 /**
  * Get base URL from request headers, handling proxy headers
@@ -56,13 +121,47 @@ class MCPServerOfficial {
         this.logger.verbose('MCP-INIT', 'WildDuck handlers attached successfully');
         
         // Initialize services
-        this.mailboxService = new MailboxService(options);
+        this.counterService = new CounterService(options);
+        this.mailboxService = new MailboxService({
+            ...options,
+            counterService: this.counterService
+        });
         this.attachmentService = new AttachmentService(options);
         this.messageService = new MessageService({
             ...options,
-            attachmentService: this.attachmentService
+            attachmentService: this.attachmentService,
+            counterService: this.counterService
         });
         this.userService = new UserService(options);
+        this.composeService = new ComposeService({
+            ...options,
+            userService: this.userService,
+            messageService: this.messageService,
+            attachmentService: this.attachmentService
+        });
+        this.bulkService = new BulkService({
+            ...options,
+            messageService: this.messageService
+        });
+        this.safetyService = new SafetyService({
+            ...options,
+            messageService: this.messageService,
+            userService: this.userService
+        });
+        this.bundleService = new BundleService({
+            ...options,
+            messageService: this.messageService,
+            attachmentService: this.attachmentService
+        });
+        this.syncService = new SyncService({
+            ...options,
+            messageService: this.messageService
+        });
+        this.sessionService = new SessionService(options);
+        this.notificationService = new NotificationService({
+            ...options,
+            sessionService: this.sessionService
+        });
         
         this.logger.verbose('MCP-INIT', 'Services initialized successfully');
         
@@ -107,7 +206,8 @@ class MCPServerOfficial {
     getServerCapabilities() {
         return {
             resources: {
-                subscribe: false,
+                // Notifications need a session to deliver to
+                subscribe: this.sessionService.isEnabled(),
                 listChanged: false
             },
             tools: {
@@ -115,8 +215,122 @@ class MCPServerOfficial {
             },
             prompts: {
                 listChanged: false
+            },
+            // Resource template and prompt argument completion
+            completions: {}
+        };
+    }
+    
+    /**
+     * Complete a resource template variable
+     * @param {string} userId - User ID
+     * @param {Object} argument - Variable name and typed value
+     * @param {Object} resolved - Variables the client has already filled in
+     * @returns {string[]} Possible values
+     */
+    async completeTemplateArgument(userId, argument, resolved) {
+        const prefix = argument.value || '';
+        
+        switch (argument.name) {
+            case 'messageId':
+                return await this.messageService.completeIds(userId, '_id', prefix, 11);
+            case 'threadId':
+                return await this.messageService.completeIds(userId, 'thread', prefix, 11);
+            case 'attachmentId':
+                return await this.messageService.completeAttachmentIds(userId, resolved.messageId, prefix);
+            case 'mailboxId': {
+                // Match on either the ID or the folder path
+                const { mailboxes } = await this.mailboxService.getMailboxList(userId, false);
+                return mailboxes
+                    .filter(mb => mb.id.startsWith(prefix) || mb.path.toLowerCase().startsWith(prefix.toLowerCase()))
+                    .map(mb => mb.id);
             }
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Get the session ID a subscription request belongs to
+     */
+    getSubscriptionSession(req) {
+        const sessionId = req?.headers['mcp-session-id'];
+        if (!this.sessionService.isEnabled() || !sessionId) {
+            throw new Error('Resource subscriptions require stateful sessions (mcp.sessions.enabled)');
+        }
+        return sessionId;
+    }
+    
+    /**
+     * Build tool content for an attachment. Images become image content (downscaled
+     * to the configured limits), other files are embedded as resource blobs.
+     * Attachments larger than attachmentContent.maxSize are linked instead
+     * @returns {Object[]} MCP content blocks, attachment metadata first
+     */
+    async getAttachmentContent(userId, messageId, attachmentId, req) {
+        const maxSize = this.config?.attachmentContent?.maxSize ?? DEFAULT_CONTENT_MAX_SIZE;
+        const details = await this.attachmentService.getAttachment(userId, messageId, attachmentId, 'info');
+        const contentType = (details.contentType || 'application/octet-stream').toLowerCase();
+        const uri = `wildduck://attachment/${details.messageId}/${attachmentId}`;
+        const info = {
+            uri,
+            filename: details.filename,
+            contentType: details.contentType,
+            size: details.size
         };
+
+        const link = note => {
+            info.note = note;
+            info.secureUrl = this.attachmentService.generateSecureAttachmentUrl(
+                userId,
+                details.messageId,
+                attachmentId,
+                details.filename || 'attachment',
+                getBaseUrl(req, this.config)
+            );
+            return [{ type: 'text', text: JSON.stringify(info, null, 2) }];
+        };
+
+        if (maxSize && details.size > maxSize) {
+            return link(`Attachment is larger than the content limit of ${maxSize} bytes, download it from secureUrl`);
+        }
+
+        const attachment = await this.attachmentService.getAttachment(userId, details.messageId, attachmentId, 'buffer', { maxSize });
+
+        if (contentType.startsWith('image/')) {
+            const limits = this.config?.images || {};
+            const maxBytes = limits.maxBytes ?? DEFAULT_IMAGE_MAX_BYTES;
+            const image = await fitImage(attachment.data, contentType, {
+                maxDimension: limits.maxDimension ?? DEFAULT_IMAGE_MAX_DIMENSION,
+                maxBytes
+            });
+
+            // Images that are still too large or can not be displayed are linked instead
+            if ((maxBytes && image.data.length > maxBytes) || image.note) {
+                return link(image.note || 'Image exceeds the size limit');
+            }
+
+            if (image.resized) {
+                info.resized = { contentType: image.contentType, width: image.width, height: image.height, size: image.data.length };
+            }
+
+            return [
+                { type: 'text', text: JSON.stringify(info, null, 2) },
+                { type: 'image', data: image.data.toString('base64'), mimeType: image.contentType }
+            ];
+        }
+
+        return [
+            { type: 'text', text: JSON.stringify(info, null, 2) },
+            {
+                type: 'resource',
+                resource: {
+                    uri,
+                    mimeType: attachment.contentType || 'application/octet-stream',
+                    blob: attachment.data.toString('base64')
+                }
+            }
+        ];
     }
     
     /**
@@ -133,7 +347,7 @@ class MCPServerOfficial {
                 {
                     uri: 'wildduck://mailbox/list',
                     name: 'User Mailboxes',
-                    description: 'List all mailboxes for a user',
+                    description: 'List all mailboxes for a user. Append ?tree=true to nest folders with rolled-up subtree totals',
                     mimeType: 'application/json'
                 },
                 {
@@ -154,6 +368,11 @@ class MCPServerOfficial {
         });
         this.logger.info('MCP-HANDLER', 'ListResources handler registered successfully');
         
+        server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+            this.logger.info('MCP-RESOURCES', 'ListResourceTemplates request received');
+            return { resourceTemplates: RESOURCE_TEMPLATES };
+        });
+        
         server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
             this.logger.verbose('MCP-HANDLER', 'ReadResource request received uri=%s', request.params.uri);
             const { uri } = request.params;
@@ -162,30 +381,58 @@ class MCPServerOfficial {
             let mimeType = 'application/json';
             let isBlob = false;
             
+            const mailboxMessagesMatch = uri.match(/^wildduck:\/\/mailbox\/([^/?]+)\/messages(?:\?(.*))?$/);
+            
             // Handle different resource types
-            if (uri.startsWith('wildduck://message/')) {
-                const messageId = uri.replace('wildduck://message/', '');
+            if (mailboxMessagesMatch) {
+                const query = new URLSearchParams(mailboxMessagesMatch[2] || '');
+                content = await this.messageService.getMessages(userId, {
+                    mailbox: decodeURIComponent(mailboxMessagesMatch[1]),
+                    cursor: query.get('cursor') || undefined,
+                    limit: Math.min(Math.max(parseInt(query.get('limit'), 10) || 20, 1), 100),
+                    _req: req
+                });
+            } else if (/^wildduck:\/\/message\/[^/]+\/raw$/.test(uri)) {
+                const messageId = decodeURIComponent(uri.replace('wildduck://message/', '').replace(/\/raw$/, ''));
+                const rawMessage = await this.messageService.getRawMessage(userId, messageId);
+                if (rawMessage.sourceOmitted) {
+                    throw new Error(rawMessage.sourceOmitted.replace('the download URL', 'the getRawMessage tool for a download URL'));
+                }
+                content = rawMessage.source;
+                mimeType = 'message/rfc822';
+            } else if (uri.startsWith('wildduck://thread/')) {
+                const threadId = uri.replace('wildduck://thread/', '');
+                content = await this.messageService.getThreadById(userId, threadId, true);
+            } else if (uri.startsWith('wildduck://message/')) {
+                const messageId = decodeURIComponent(uri.replace('wildduck://message/', ''));
                 content = await this.messageService.getMessage(userId, messageId, {
                     includeBody: true,
                     includeAttachments: true,
                     _req: req // Pass request for URL generation
                 });
             } else if (uri.startsWith('wildduck://attachment/')) {
-                const [messageId, attachmentId] = uri.replace('wildduck://attachment/', '').split('/');
+                const [messageId, attachmentId] = uri.replace('wildduck://attachment/', '').split('/').map(decodeURIComponent);
                 const attachmentData = await this.attachmentService.getAttachment(
                     userId, 
                     messageId, 
                     attachmentId, 
-                    'base64'
+                    'base64',
+                    { maxSize: this.config?.attachmentContent?.maxSize ?? DEFAULT_CONTENT_MAX_SIZE }
                 );
                 
                 isBlob = true;
                 content = attachmentData.data;
                 mimeType = attachmentData.contentType || 'application/octet-stream';
             } else {
-                switch (uri) {
+                // Static resources accept optional query parameters, eg. wildduck://mailbox/list?tree=true
+                const [resourceUri, queryString] = uri.split('?');
+                const query = new URLSearchParams(queryString || '');
+                
+                switch (resourceUri) {
                     case 'wildduck://mailbox/list':
-                        content = await this.mailboxService.getMailboxList(userId, true);
+                        content = await this.mailboxService.getMailboxList(userId, true, {
+                            tree: query.get('tree') === 'true'
+                        });
                         break;
                         
                     case 'wildduck://messages/recent':
@@ -205,194 +452,450 @@ class MCPServerOfficial {
                 contents: [{
                     uri,
                     mimeType,
-                    ...(isBlob ? { blob: content } : { text: JSON.stringify(content, null, 2) })
+                    ...(isBlob ? { blob: content } : { text: typeof content === 'string' ? content : JSON.stringify(content, null, 2) })
                 }]
             };
         });
         
-        // Tools handlers
-        this.logger.info('MCP-HANDLER', 'Registering ListTools handler');
-        server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-            this.logger.info('MCP-TOOLS', 'ListTools request received');
-            this.logger.verbose('MCP-TOOLS', 'Request details=%j', request);
+        // Subscriptions are stored with the session, notifications go out on the session's SSE stream
+        server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const sessionId = this.getSubscriptionSession(req);
+            this.logger.verbose('MCP-HANDLER', 'Subscribe request received uri=%s session=%s', uri, sessionId);
             
-            const isReadOnly = this.config?.readOnly;
-            this.logger.verbose('MCP-TOOLS', 'Configuration readOnly=%s', isReadOnly);
+            const state = await this.notificationService.getResourceState(userId, uri);
+            await this.sessionService.setSubscription(sessionId, uri, state);
+            return {};
+        });
+        
+        server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const sessionId = this.getSubscriptionSession(req);
+            this.logger.verbose('MCP-HANDLER', 'Unsubscribe request received uri=%s session=%s', uri, sessionId);
             
-            // Define read-only tools
-            const readOnlyTools = [
-                {
-                    name: 'listMailboxes',
-                    description: 'List all mailboxes for the authenticated user',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            includeCounters: { 
-                                type: 'boolean', 
-                                description: 'Include message counts', 
-                                default: true 
-                            }
+            await this.sessionService.removeSubscription(sessionId, uri);
+            return {};
+        });
+        
+        // Tools handlers
+        // Read-only tools, the only ones listed and callable in readOnly mode
+        const readOnlyTools = [
+            {
+                name: 'listMailboxes',
+                description: 'List all mailboxes for the authenticated user',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        includeCounters: { 
+                            type: 'boolean', 
+                            description: 'Include message counts', 
+                            default: true 
+                        },
+                        tree: {
+                            type: 'boolean',
+                            description: 'Nest folders by path. Each node has its own counts plus "totals" for the whole subtree',
+                            default: false
                         }
                     }
-                },
-                {
-                    name: 'getMessages',
-                    description: 'Get messages from a mailbox',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            mailbox: { type: 'string', description: 'Mailbox ID or path' },
-                            limit: { type: 'number', description: 'Maximum messages to return', default: 20 },
-                            page: { type: 'number', description: 'Page number for pagination', default: 1 },
-                            includeBodies: { type: 'boolean', description: 'Include message bodies', default: false }
-                        }
+                }
+            },
+            {
+                name: 'getMessages',
+                description: 'Get messages from a mailbox',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        mailbox: { type: 'string', description: 'Mailbox ID or path' },
+                        limit: { type: 'number', description: 'Maximum messages to return', default: 20 },
+                        cursor: { type: 'string', description: 'nextCursor from the previous response to get the next page' },
+                        includeBodies: { type: 'boolean', description: 'Include message bodies', default: false }
                     }
-                },
-                {
-                    name: 'getMessage',
-                    description: 'Get a specific message by ID',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            messageId: { type: 'string', description: 'Message ID' },
-                            includeBody: { type: 'boolean', description: 'Include full message body', default: true },
-                            includeAttachments: { type: 'boolean', description: 'Include attachment info', default: true }
+                }
+            },
+            {
+                name: 'getMessage',
+                description: 'Get a specific message by ID',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                        includeBody: { type: 'boolean', description: 'Include full message body', default: true },
+                        includeAttachments: { type: 'boolean', description: 'Include attachment info', default: true }
+                    },
+                    required: ['messageId']
+                }
+            },
+            {
+                name: 'searchMessages',
+                description: 'Search messages with advanced filters or a Gmail style query. Examples: {"from": "r@zzt.net"} finds emails FROM that address. {"query": "from:alice has:attachment newer_than:7d -is:read"} combines operators in one query. Query operators and fields can be used together.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        // Text search
+                        query: { 
+                            type: 'string', 
+                            description: 'Gmail style query. Plain words and "exact phrases" search the message content. Operators: from:, to:, cc:, bcc:, subject:, filename:, has:attachment, is:unread|read|flagged|unflagged|draft, in:<mailbox or sent|trash|junk|drafts|archive|anywhere>, after:/before: YYYY/MM/DD, newer_than:/older_than: 7d (h, d, w, m, y), larger:/smaller: 5M (K, M, G). Quote values with spaces: subject:"weekly report". Combine with OR or |, negate with -, group with ( ). Plain words can not be used inside OR or groups. Example: "from:alice (subject:invoice OR filename:pdf) -is:read"' 
                         },
-                        required: ['messageId']
-                    }
-                },
-                {
-                    name: 'searchMessages',
-                    description: 'Search messages with advanced filters. IMPORTANT: To find emails from/to a specific address, use the "from" or "to" parameters, NOT the "query" parameter. Examples: {"from": "r@zzt.net"} finds emails FROM that address. {"to": "kd7bbc@hamstudy.org"} finds emails TO that address. The "query" parameter searches message content only.',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            // Text search
-                            query: { 
-                                type: 'string', 
-                                description: 'Full-text search in message CONTENT (body text). Do NOT use this for email addresses - use "from" or "to" instead' 
-                            },
-                            
-                            // Specific field searches
-                            from: { 
-                                type: 'string', 
-                                description: 'Find emails FROM this sender (email address or name). Example: "john@example.com" or "John"' 
-                            },
-                            to: { 
-                                type: 'string', 
-                                description: 'Find emails TO this recipient (searches To: and Cc: fields). Example: "jane@example.com"' 
-                            },
-                            subject: { 
-                                type: 'string', 
-                                description: 'Search in subject line. Example: "invoice" or "meeting"' 
-                            },
-                            
-                            // Location filters
-                            mailbox: { type: 'string', description: 'Mailbox ID or path to search in' },
-                            thread: { type: 'string', description: 'Thread ID to get all messages in thread' },
-                            
-                            // Date filters
-                            dateStart: { type: 'string', description: 'Start date (ISO format or date string)' },
-                            dateEnd: { type: 'string', description: 'End date (ISO format or date string)' },
-                            
-                            // Size filters
-                            minSize: { type: 'number', description: 'Minimum message size in bytes' },
-                            maxSize: { type: 'number', description: 'Maximum message size in bytes' },
-                            
-                            // Flag filters
-                            flagged: { type: 'boolean', description: 'Only flagged messages' },
-                            unseen: { type: 'boolean', description: 'Only unread messages' },
-                            attachments: { type: 'boolean', description: 'Only messages with attachments' },
-                            searchable: { type: 'boolean', description: 'Exclude Junk and Trash folders', default: true },
-                            
-                            // Results control
-                            limit: { type: 'number', description: 'Maximum results to return', default: 20 },
-                            page: { type: 'number', description: 'Page number for pagination', default: 1 },
-                            threadCounters: { type: 'boolean', description: 'Include thread message counts', default: false }
-                        }
-                    }
-                },
-                {
-                    name: 'searchMessagesOr',
-                    description: 'Search with OR conditions - finds emails matching ANY of the specified criteria. Perfect for finding all correspondence with someone (use both from and to in the or object).',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            or: {
-                                type: 'object',
-                                description: 'OR conditions - message matches if ANY of these are true. Example: {"from": "john@example.com", "to": "john@example.com"} finds all emails from OR to John',
-                                properties: {
-                                    query: { type: 'string', description: 'Full-text search in message content (NOT for email addresses)' },
-                                    from: { type: 'string', description: 'Sender email/name' },
-                                    to: { type: 'string', description: 'Recipient email/name (To/Cc)' },
-                                    subject: { type: 'string', description: 'Subject line text' }
-                                }
-                            },
-                            // Can combine with AND filters
-                            dateStart: { type: 'string', description: 'Start date filter' },
-                            dateEnd: { type: 'string', description: 'End date filter' },
-                            mailbox: { type: 'string', description: 'Mailbox to search in' },
-                            attachments: { type: 'boolean', description: 'Has attachments' },
-                            limit: { type: 'number', description: 'Maximum results', default: 20 },
-                            page: { type: 'number', description: 'Page number', default: 1 }
+                        
+                        // Specific field searches
+                        from: { 
+                            type: 'string', 
+                            description: 'Find emails FROM this sender (email address or name). Example: "john@example.com" or "John"' 
                         },
-                        required: ['or']
-                    }
-                },
-                {
-                    name: 'getThread',
-                    description: 'Get all messages in a conversation thread',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            messageId: { type: 'string', description: 'Message ID to find thread for' },
-                            includeBody: { type: 'boolean', description: 'Include message bodies', default: false }
+                        to: { 
+                            type: 'string', 
+                            description: 'Find emails TO this recipient (searches To: and Cc: fields). Example: "jane@example.com"' 
                         },
-                        required: ['messageId']
-                    }
-                },
-                {
-                    name: 'getMultipleMessages',
-                    description: 'Get multiple messages by their IDs in a single call',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            messageIds: { 
-                                type: 'array', 
-                                items: { type: 'string' },
-                                description: 'Array of message IDs to fetch'
-                            },
-                            includeBody: { type: 'boolean', description: 'Include full message bodies', default: true },
-                            includeAttachments: { type: 'boolean', description: 'Include attachment info', default: true }
+                        subject: { 
+                            type: 'string', 
+                            description: 'Search in subject line. Example: "invoice" or "meeting"' 
                         },
-                        required: ['messageIds']
+                        
+                        // Location filters
+                        mailbox: { type: 'string', description: 'Mailbox ID or path to search in' },
+                        uidRange: { type: 'string', description: 'IMAP style UIDs within mailbox: a UID (42), a list (1,5,9) or a range (100:200, 100:* for everything from 100). Requires mailbox' },
+                        thread: { type: 'string', description: 'Thread ID to get all messages in thread' },
+                        
+                        // Date filters
+                        dateStart: { type: 'string', description: 'Start date (ISO format or date string)' },
+                        dateEnd: { type: 'string', description: 'End date (ISO format or date string)' },
+                        
+                        // Size filters
+                        minSize: { type: 'number', description: 'Minimum message size in bytes' },
+                        maxSize: { type: 'number', description: 'Maximum message size in bytes' },
+                        
+                        // Flag filters
+                        flagged: { type: 'boolean', description: 'Only flagged messages' },
+                        unseen: { type: 'boolean', description: 'Only unread messages' },
+                        attachments: { type: 'boolean', description: 'Only messages with attachments' },
+                        searchable: { type: 'boolean', description: 'Exclude Junk and Trash folders', default: true },
+                        
+                        // Results control
+                        limit: { type: 'number', description: 'Maximum results to return', default: 20 },
+                        cursor: { type: 'string', description: 'nextCursor from the previous response to get the next page' },
+                        includeTotal: { type: 'boolean', description: 'Count all matching messages, slow for broad searches in large mailboxes', default: false },
+                        threadCounters: { type: 'boolean', description: 'Include thread message counts', default: false }
                     }
-                },
-                {
-                    name: 'getAttachment',
-                    description: 'Get attachment URL or download attachment data',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            messageId: { type: 'string', description: 'Message ID' },
-                            attachmentId: { type: 'string', description: 'Attachment ID' },
-                            returnType: { 
-                                type: 'string', 
-                                description: 'How to return the attachment - url (secure download URL), base64 (base64 encoded data), or info (metadata only)',
-                                enum: ['url', 'base64', 'info'],
-                                default: 'url'
+                }
+            },
+            {
+                name: 'searchMessagesOr',
+                description: 'Search with OR conditions - finds emails matching ANY of the specified criteria. Perfect for finding all correspondence with someone (use both from and to in the or object).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        or: {
+                            type: 'object',
+                            description: 'OR conditions - message matches if ANY of these are true. Example: {"from": "john@example.com", "to": "john@example.com"} finds all emails from OR to John',
+                            properties: {
+                                query: { type: 'string', description: 'Full-text search in message content (NOT for email addresses)' },
+                                from: { type: 'string', description: 'Sender email/name' },
+                                to: { type: 'string', description: 'Recipient email/name (To/Cc)' },
+                                subject: { type: 'string', description: 'Subject line text' }
                             }
                         },
-                        required: ['messageId', 'attachmentId']
+                        // Can combine with AND filters
+                        dateStart: { type: 'string', description: 'Start date filter' },
+                        dateEnd: { type: 'string', description: 'End date filter' },
+                        mailbox: { type: 'string', description: 'Mailbox to search in' },
+                        attachments: { type: 'boolean', description: 'Has attachments' },
+                        limit: { type: 'number', description: 'Maximum results', default: 20 },
+                        cursor: { type: 'string', description: 'nextCursor from the previous response to get the next page' },
+                        includeTotal: { type: 'boolean', description: 'Count all matching messages, slow for broad searches in large mailboxes', default: false }
+                    },
+                    required: ['or']
+                }
+            },
+            {
+                name: 'getThread',
+                description: 'Get all messages in a conversation thread',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: `${MESSAGE_ID_DESCRIPTION}. The thread of this message is returned` },
+                        includeBody: { type: 'boolean', description: 'Include message bodies', default: false }
+                    },
+                    required: ['messageId']
+                }
+            },
+            {
+                name: 'getMultipleMessages',
+                description: 'Get multiple messages by their IDs in a single call',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageIds: { 
+                            type: 'array', 
+                            items: { type: 'string' },
+                            description: 'Message IDs or mailbox:uid references to fetch'
+                        },
+                        includeBody: { type: 'boolean', description: 'Include full message bodies', default: true },
+                        includeAttachments: { type: 'boolean', description: 'Include attachment info', default: true }
+                    },
+                    required: ['messageIds']
+                }
+            },
+            {
+                name: 'listKeywords',
+                description: 'List the IMAP keywords (custom flags used as labels) in use across all mailboxes, with message counts',
+                inputSchema: {
+                    type: 'object',
+                    properties: {}
+                }
+            },
+            {
+                name: 'listDrafts',
+                description: 'List drafts from the Drafts mailbox',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'number', description: 'Maximum drafts to return', default: 20 },
+                        cursor: { type: 'string', description: 'nextCursor from the previous response to get the next page' },
+                        includeBodies: { type: 'boolean', description: 'Include draft bodies', default: false }
                     }
                 }
-            ];
+            },
+            {
+                name: 'getAttachment',
+                description: 'Get attachment URL or download attachment data. base64 returns images as image content (downscaled to fit) and other files as embedded resources',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                        attachmentId: { type: 'string', description: 'Attachment ID' },
+                        returnType: { 
+                            type: 'string', 
+                            description: 'How to return the attachment - url (secure download URL), base64 (attachment content), or info (metadata only)',
+                            enum: ['url', 'base64', 'info'],
+                            default: 'url'
+                        }
+                    },
+                    required: ['messageId', 'attachmentId']
+                }
+            },
+            {
+                name: 'getAttachmentText',
+                description: 'Extract readable text from a PDF, DOCX, XLSX, CSV, HTML or plain text attachment. Pages and sheets are marked in the text, use offset to continue long documents',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                        attachmentId: { type: 'string', description: 'Attachment ID' },
+                        offset: { type: 'number', description: 'Character offset to start from, use nextOffset from a previous call', default: 0 },
+                        maxChars: { type: 'number', description: 'Maximum characters to return (capped by server configuration)' }
+                    },
+                    required: ['messageId', 'attachmentId']
+                }
+            },
+            {
+                name: 'bundleAttachments',
+                description: 'Bundle the attachments of a message, a thread or all messages matching a filter into one ZIP and return a signed download URL for it. Duplicate filenames are renamed, size and file count are capped',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                        threadId: { type: 'string', description: 'Thread ID' },
+                        filter: {
+                            type: 'object',
+                            description: 'Search filter, same fields as searchMessages. Example: {"subject": "invoice", "dateStart": "2025-01-01"}'
+                        },
+                        filenameContains: { type: 'string', description: 'Only include attachments whose filename contains this text, eg. ".pdf" or "invoice"' },
+                        includeInline: { type: 'boolean', description: 'Include images embedded in HTML bodies', default: false },
+                        name: { type: 'string', description: 'Name of the ZIP file', default: 'attachments.zip' }
+                    }
+                }
+            },
+            {
+                name: 'getChangesSince',
+                description: 'Get what changed in a mailbox since a sync token or modseq: added messages, flag changes and expunged UIDs, from the WildDuck journal. Call without a token to get the starting token, then pass syncToken from each response to the next call. When fullResyncRequired is true, list the mailbox again',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        mailbox: { type: 'string', description: 'Mailbox ID or path, not needed with syncToken' },
+                        syncToken: { type: 'string', description: 'syncToken from the previous response' },
+                        modseq: { type: 'number', description: 'Modseq to start from instead of a sync token, eg. the highest modseq of listed messages' }
+                    }
+                }
+            },
+            {
+                name: 'getMessageHeaders',
+                description: 'Get all headers of a message in original order, with parsed SPF/DKIM/DMARC/ARC results and the Received hop chain with delays. Use to explain why a message was marked as spam or arrived late',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION }
+                    },
+                    required: ['messageId']
+                }
+            },
+            {
+                name: 'analyzeMessageSafety',
+                description: 'Check a message for phishing signs: link text that differs from the real URL, lookalike or punycode domains, display names spoofing your own addresses, Reply-To redirection, failed DMARC and risky attachments. Offline heuristics, returns a risk level with findings',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION }
+                    },
+                    required: ['messageId']
+                }
+            },
+            {
+                name: 'getRawMessage',
+                description: 'Get the original RFC 822 source of a message (all headers and MIME parts) plus a signed .eml download URL. Use for forwarding evidence or debugging delivery',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                        includeSource: {
+                            type: 'boolean',
+                            description: 'Return the source inline. Sources over 1MB are never inlined, use the download URL instead',
+                            default: true
+                        }
+                    },
+                    required: ['messageId']
+                }
+            }
+        ];
+        
+
+        this.logger.info('MCP-HANDLER', 'Registering ListTools handler');
+        server.setRequestHandler(ListToolsRequestSchema, async (request) => {
+            this.logger.info('MCP-TOOLS', 'ListTools request received');
+            this.logger.verbose('MCP-TOOLS', 'Request details=%j', request);
+            
+            const isReadOnly = this.config?.readOnly;
+            this.logger.verbose('MCP-TOOLS', 'Configuration readOnly=%s', isReadOnly);
             
             let tools = [...readOnlyTools];
             
             // Add write tools if not in read-only mode
             if (!isReadOnly) {
+                // Shared target selection for bulk tools
+                const bulkTargetProperties = {
+                    messageIds: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Explicit list of message IDs or mailbox:uid references. Use either messageIds or filter'
+                    },
+                    filter: {
+                        type: 'object',
+                        description: 'Search filter, same fields as searchMessages (from, to, subject, query, mailbox, dateStart, dateEnd, flagged, unseen, attachments, minSize, maxSize, searchable). Example: {"from": "newsletter@example.com", "dateStart": "2025-01-01"}'
+                    },
+                    maxAffected: {
+                        type: 'number',
+                        description: 'Safety cap - the operation is refused if more messages match (limited by server configuration)'
+                    },
+                    dryRun: {
+                        type: 'boolean',
+                        description: 'Only report which messages would be affected',
+                        default: false
+                    }
+                };
+                
                 const writeTools = [
+                    {
+                        name: 'sendEmail',
+                        description: 'Send an email message. A copy is stored in the Sent mailbox',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                from: { type: 'string', description: 'Sender address or address ID, must be one of the user\'s addresses (defaults to the main address)' },
+                                to: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Recipients, eg. "jane@example.com" or "Jane <jane@example.com>"'
+                                },
+                                cc: { type: 'array', items: { type: 'string' }, description: 'Cc recipients' },
+                                bcc: { type: 'array', items: { type: 'string' }, description: 'Bcc recipients' },
+                                subject: { type: 'string', description: 'Message subject' },
+                                text: { type: 'string', description: 'Plain text body' },
+                                html: { type: 'string', description: 'HTML body' }
+                            },
+                            required: ['to', 'subject']
+                        }
+                    },
+                    {
+                        name: 'replyToMessage',
+                        description: 'Reply to a message. The original is quoted and threading headers (In-Reply-To, References) are set so the reply stays in the same conversation',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                messageId: { type: 'string', description: `Message to reply to. ${MESSAGE_ID_DESCRIPTION}` },
+                                text: { type: 'string', description: 'Reply text, the quoted original is appended below it' },
+                                html: { type: 'string', description: 'HTML reply body (optional)' },
+                                replyAll: { type: 'boolean', description: 'Reply to all original recipients', default: false },
+                                from: { type: 'string', description: 'Sender address or address ID (defaults to the main address)' },
+                                cc: { type: 'array', items: { type: 'string' }, description: 'Additional Cc recipients' },
+                                bcc: { type: 'array', items: { type: 'string' }, description: 'Bcc recipients' }
+                            },
+                            required: ['messageId', 'text']
+                        }
+                    },
+                    {
+                        name: 'forwardMessage',
+                        description: 'Forward a message, including its attachments, to new recipients',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                messageId: { type: 'string', description: `Message to forward. ${MESSAGE_ID_DESCRIPTION}` },
+                                to: { type: 'array', items: { type: 'string' }, description: 'Recipients' },
+                                cc: { type: 'array', items: { type: 'string' }, description: 'Cc recipients' },
+                                bcc: { type: 'array', items: { type: 'string' }, description: 'Bcc recipients' },
+                                text: { type: 'string', description: 'Note to add above the forwarded message' },
+                                html: { type: 'string', description: 'HTML note (optional)' },
+                                from: { type: 'string', description: 'Sender address or address ID (defaults to the main address)' },
+                                includeAttachments: { type: 'boolean', description: 'Include the original attachments', default: true }
+                            },
+                            required: ['messageId', 'to']
+                        }
+                    },
+                    {
+                        name: 'createDraft',
+                        description: 'Create a draft in the Drafts mailbox for a human to review instead of sending it directly',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                from: { type: 'string', description: 'Sender address or address ID (defaults to the main address)' },
+                                to: { type: 'array', items: { type: 'string' }, description: 'Recipients' },
+                                cc: { type: 'array', items: { type: 'string' }, description: 'Cc recipients' },
+                                bcc: { type: 'array', items: { type: 'string' }, description: 'Bcc recipients' },
+                                subject: { type: 'string', description: 'Message subject' },
+                                text: { type: 'string', description: 'Plain text body' },
+                                html: { type: 'string', description: 'HTML body' },
+                                replyToMessageId: { type: 'string', description: 'Message ID this draft replies to (sets threading headers)' }
+                            }
+                        }
+                    },
+                    {
+                        name: 'updateDraft',
+                        description: 'Replace a draft with updated content. Fields that are left out keep their previous values',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                draftId: { type: 'string', description: DRAFT_ID_DESCRIPTION },
+                                from: { type: 'string', description: 'Sender address or address ID' },
+                                to: { type: 'array', items: { type: 'string' }, description: 'Recipients' },
+                                cc: { type: 'array', items: { type: 'string' }, description: 'Cc recipients' },
+                                bcc: { type: 'array', items: { type: 'string' }, description: 'Bcc recipients' },
+                                subject: { type: 'string', description: 'Message subject' },
+                                text: { type: 'string', description: 'Plain text body' },
+                                html: { type: 'string', description: 'HTML body' }
+                            },
+                            required: ['draftId']
+                        }
+                    },
+                    {
+                        name: 'sendDraft',
+                        description: 'Send a draft and remove it from the Drafts mailbox',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                draftId: { type: 'string', description: DRAFT_ID_DESCRIPTION },
+                                from: { type: 'string', description: 'Sender address or address ID, replaces the sender of the draft' }
+                            },
+                            required: ['draftId']
+                        }
+                    },
                     {
                         name: 'createMailbox',
                         description: 'Create a new mailbox folder',
@@ -404,13 +907,60 @@ class MCPServerOfficial {
                             required: ['path']
                         }
                     },
+                    {
+                        name: 'renameMailbox',
+                        description: 'Rename or move a mailbox folder. Subfolders are moved along with it. Hidden mailboxes must be unhidden first',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                mailbox: { type: 'string', description: 'Mailbox ID or path' },
+                                newPath: { type: 'string', description: 'New mailbox path (e.g., "Archive/Projects")' }
+                            },
+                            required: ['mailbox', 'newPath']
+                        }
+                    },
+                    {
+                        name: 'deleteMailbox',
+                        description: 'Delete a mailbox folder. INBOX and special-use folders (Sent, Trash, Drafts, Junk, Archive) cannot be deleted, hidden mailboxes must be unhidden first',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                mailbox: { type: 'string', description: 'Mailbox ID or path' }
+                            },
+                            required: ['mailbox']
+                        }
+                    },
+                    {
+                        name: 'setMailboxSubscribed',
+                        description: 'Subscribe to or unsubscribe from a mailbox (controls visibility in IMAP clients that only show subscribed folders)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                mailbox: { type: 'string', description: 'Mailbox ID or path' },
+                                subscribed: { type: 'boolean', description: 'Subscribe (true) or unsubscribe (false)', default: true }
+                            },
+                            required: ['mailbox']
+                        }
+                    },
+                    {
+                        name: 'setMailboxHidden',
+                        description: 'Hide or unhide a mailbox from IMAP folder listings. Hidden mailboxes cannot be renamed or deleted until they are unhidden',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                mailbox: { type: 'string', description: 'Mailbox ID or path' },
+                                hidden: { type: 'boolean', description: 'Hide (true) or unhide (false)', default: true }
+                            },
+                            required: ['mailbox']
+                        }
+                    },
                     {
                         name: 'moveMessage',
                         description: 'Move a message to another mailbox',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                messageId: { type: 'string', description: 'Message ID' },
+                                messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
                                 targetMailbox: { type: 'string', description: 'Target mailbox ID' }
                             },
                             required: ['messageId', 'targetMailbox']
@@ -418,27 +968,121 @@ class MCPServerOfficial {
                     },
                     {
                         name: 'deleteMessage',
-                        description: 'Delete a message',
+                        description: 'Delete a message. By default it is moved to Trash and can be brought back with restoreMessage; messages already in Trash are deleted permanently',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                messageId: { type: 'string', description: 'Message ID' },
+                                messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
                                 permanently: { type: 'boolean', description: 'Delete permanently', default: false }
                             },
                             required: ['messageId']
                         }
                     },
+                    {
+                        name: 'emptyMailbox',
+                        description: 'Permanently delete all messages in the Trash or Junk mailbox, optionally only those older than a date. Returns the number of deleted messages and bytes reclaimed',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                mailbox: { type: 'string', description: 'Mailbox ID, path, or special-use flag ("\\Trash" or "\\Junk")' },
+                                olderThan: { type: 'string', description: 'Only delete messages received before this date (ISO format)' }
+                            },
+                            required: ['mailbox']
+                        }
+                    },
+                    {
+                        name: 'restoreMessage',
+                        description: 'Move a message from Trash back to the mailbox it was deleted from (INBOX if that is unknown)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                messageId: { type: 'string', description: `${MESSAGE_ID_DESCRIPTION}. The message must be in Trash` },
+                                targetMailbox: { type: 'string', description: 'Mailbox ID or path to restore to instead of the original one' }
+                            },
+                            required: ['messageId']
+                        }
+                    },
                     {
                         name: 'markAsRead',
                         description: 'Mark a message as read or unread',
                         inputSchema: {
                             type: 'object',
                             properties: {
-                                messageId: { type: 'string', description: 'Message ID' },
+                                messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
                                 read: { type: 'boolean', description: 'Mark as read (true) or unread (false)', default: true }
                             },
                             required: ['messageId']
                         }
+                    },
+                    {
+                        name: 'markAsFlag',
+                        description: 'Flag or unflag a message',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                                flagged: { type: 'boolean', description: 'Flag (true) or unflag (false)', default: true }
+                            },
+                            required: ['messageId']
+                        }
+                    },
+                    {
+                        name: 'setFlags',
+                        description: 'Add, remove or replace message flags. Supports system flags (\\Seen, \\Answered, \\Flagged, \\Draft) and custom IMAP keywords used as labels (eg. "$Work" or "Invoices")',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                messageId: { type: 'string', description: MESSAGE_ID_DESCRIPTION },
+                                flags: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Flags and keywords to change'
+                                },
+                                action: {
+                                    type: 'string',
+                                    description: 'add (keep existing flags), remove, or set (replace all flags)',
+                                    enum: ['add', 'remove', 'set'],
+                                    default: 'add'
+                                }
+                            },
+                            required: ['messageId', 'flags']
+                        }
+                    },
+                    {
+                        name: 'bulkMoveMessages',
+                        description: 'Move all messages matching a filter (or an ID list) to another mailbox. Returns a per-message report',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                ...bulkTargetProperties,
+                                targetMailbox: { type: 'string', description: 'Target mailbox ID' }
+                            },
+                            required: ['targetMailbox']
+                        }
+                    },
+                    {
+                        name: 'bulkFlagMessages',
+                        description: 'Add, remove or replace flags and keywords on all messages matching a filter (or an ID list). Returns a per-message report',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                ...bulkTargetProperties,
+                                flags: { type: 'array', items: { type: 'string' }, description: 'Flags and keywords to change, eg. ["\\\\Seen"]' },
+                                action: { type: 'string', enum: ['add', 'remove', 'set'], default: 'add', description: 'add, remove, or set (replace all flags)' }
+                            },
+                            required: ['flags']
+                        }
+                    },
+                    {
+                        name: 'bulkDeleteMessages',
+                        description: 'Delete all messages matching a filter (or an ID list). Returns a per-message report',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                ...bulkTargetProperties,
+                                permanently: { type: 'boolean', description: 'Delete permanently instead of moving to Trash', default: false }
+                            }
+                        }
                     }
                 ];
                 
@@ -461,12 +1105,21 @@ class MCPServerOfficial {
             const { name: toolName, arguments: args } = request.params;
             this.logger.info('MCP-TOOLS', 'CallTool request received tool=%s args=%j', toolName, args);
             
+            // ListTools hides the write tools in readOnly mode, calling them directly must fail too
+            if (this.config?.readOnly && !readOnlyTools.some(tool => tool.name === toolName)) {
+                this.logger.warn('MCP-TOOLS', 'Refused tool=%s in read-only mode', toolName);
+                throw new Error(`Tool ${toolName} is not available in read-only mode`);
+            }
+            
             this.logger.verbose('MCP-TOOLS', 'Executing tool=%s for userId=%s', toolName, userId);
             let result;
+            let content;
             
             switch (toolName) {
                 case 'listMailboxes':
-                    result = await this.mailboxService.getMailboxList(userId, args.includeCounters);
+                    result = await this.mailboxService.getMailboxList(userId, args.includeCounters !== false, {
+                        tree: args.tree === true
+                    });
                     break;
                     
                 case 'getMessages': {
@@ -513,6 +1166,42 @@ class MCPServerOfficial {
                     break;
                 }
                     
+                case 'listKeywords':
+                    result = await this.messageService.listKeywords(userId);
+                    break;
+                    
+                case 'listDrafts':
+                    result = await this.composeService.listDrafts(userId, { ...args, _req: req });
+                    break;
+                    
+                case 'bundleAttachments':
+                    result = await this.bundleService.createBundle(userId, args, getBaseUrl(req, this.config));
+                    break;
+                    
+                case 'getChangesSince':
+                    result = await this.syncService.getChangesSince(userId, args);
+                    break;
+                    
+                case 'getMessageHeaders':
+                    result = await this.messageService.getMessageHeaders(userId, args.messageId);
+                    break;
+                    
+                case 'analyzeMessageSafety':
+                    result = await this.safetyService.analyzeMessage(userId, args.messageId);
+                    break;
+                    
+                case 'getRawMessage':
+                    result = await this.messageService.getRawMessage(userId, args.messageId, {
+                        includeSource: args.includeSource !== false
+                    });
+                    result.downloadUrl = this.attachmentService.generateSecureRawMessageUrl(
+                        userId,
+                        result.id,
+                        result.filename,
+                        getBaseUrl(req, this.config)
+                    );
+                    break;
+                    
                 case 'getAttachment': {
                     const returnType = args.returnType || 'url';
                     
@@ -529,7 +1218,8 @@ class MCPServerOfficial {
                         );
                         
                         const secureUrl = this.attachmentService.generateSecureAttachmentUrl(
-                            args.messageId,
+                            userId,
+                            attachmentInfo.messageId,
                             args.attachmentId,
                             attachmentInfo.filename || 'attachment',
                             baseUrl
@@ -541,8 +1231,11 @@ class MCPServerOfficial {
                             contentType: attachmentInfo.contentType,
                             size: attachmentInfo.size
                         };
+                    } else if (returnType === 'base64') {
+                        // Native image / embedded resource content instead of base64 inside JSON
+                        content = await this.getAttachmentContent(userId, args.messageId, args.attachmentId, req);
                     } else {
-                        // Get actual attachment data (base64 or info)
+                        // Attachment metadata only
                         result = await this.attachmentService.getAttachment(
                             userId,
                             args.messageId,
@@ -553,10 +1246,69 @@ class MCPServerOfficial {
                     break;
                 }
                     
+                case 'getAttachmentText':
+                    result = await this.attachmentService.getAttachmentText(userId, args.messageId, args.attachmentId, {
+                        offset: args.offset,
+                        maxChars: args.maxChars
+                    });
+                    break;
+                    
+                case 'sendEmail':
+                    result = await this.composeService.sendEmail(userId, args);
+                    break;
+                    
+                case 'replyToMessage':
+                    result = await this.composeService.replyToMessage(userId, args.messageId, args);
+                    break;
+                    
+                case 'forwardMessage':
+                    result = await this.composeService.forwardMessage(userId, args.messageId, args);
+                    break;
+                    
+                case 'createDraft':
+                    result = await this.composeService.createDraft(userId, args);
+                    break;
+                    
+                case 'updateDraft':
+                    result = await this.composeService.updateDraft(userId, args.draftId, args);
+                    break;
+                    
+                case 'sendDraft':
+                    result = await this.composeService.sendDraft(userId, args.draftId, args);
+                    break;
+                    
+                case 'bulkMoveMessages':
+                    result = await this.bulkService.bulkMove(userId, args);
+                    break;
+                    
+                case 'bulkFlagMessages':
+                    result = await this.bulkService.bulkFlag(userId, args);
+                    break;
+                    
+                case 'bulkDeleteMessages':
+                    result = await this.bulkService.bulkDelete(userId, args);
+                    break;
+                    
                 case 'createMailbox':
                     result = await this.mailboxService.createMailbox(userId, args.path);
                     break;
                     
+                case 'renameMailbox':
+                    result = await this.mailboxService.renameMailbox(userId, args.mailbox, args.newPath);
+                    break;
+                    
+                case 'deleteMailbox':
+                    result = await this.mailboxService.deleteMailbox(userId, args.mailbox);
+                    break;
+                    
+                case 'setMailboxSubscribed':
+                    result = await this.mailboxService.setMailboxSubscribed(userId, args.mailbox, args.subscribed !== false);
+                    break;
+                    
+                case 'setMailboxHidden':
+                    result = await this.mailboxService.setMailboxHidden(userId, args.mailbox, args.hidden !== false);
+                    break;
+                    
                 case 'moveMessage':
                     result = await this.messageService.moveMessage(userId, args.messageId, args.targetMailbox);
                     break;
@@ -565,13 +1317,30 @@ class MCPServerOfficial {
                     result = await this.messageService.deleteMessage(userId, args.messageId, args.permanently);
                     break;
                     
+                case 'emptyMailbox':
+                    result = await this.messageService.emptyMailbox(userId, args.mailbox, { olderThan: args.olderThan });
+                    break;
+                    
+                case 'restoreMessage':
+                    result = await this.messageService.restoreMessage(userId, args.messageId, args.targetMailbox);
+                    break;
+                    
                 case 'markAsRead': {
-                    const flags = args.read ? ['\\Seen'] : [];
-                    const action = args.read ? 'add' : 'remove';
-                    result = await this.messageService.updateMessageFlags(userId, args.messageId, flags, action);
+                    const action = args.read !== false ? 'add' : 'remove';
+                    result = await this.messageService.updateMessageFlags(userId, args.messageId, ['\\Seen'], action);
                     break;
                 }
                     
+                case 'markAsFlag': {
+                    const action = args.flagged !== false ? 'add' : 'remove';
+                    result = await this.messageService.updateMessageFlags(userId, args.messageId, ['\\Flagged'], action);
+                    break;
+                }
+                    
+                case 'setFlags':
+                    result = await this.messageService.updateMessageFlags(userId, args.messageId, args.flags, args.action || 'add');
+                    break;
+                    
                 default:
                     this.logger.error('MCP-TOOLS', 'Unknown tool requested: %s', toolName);
                     throw new Error(`Unknown tool: ${toolName}`);
@@ -580,7 +1349,7 @@ class MCPServerOfficial {
             this.logger.verbose('MCP-TOOLS', 'Tool execution complete tool=%s success=true', toolName);
             
             const response = {
-                content: [{
+                content: content || [{
                     type: 'text',
                     text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
                 }]
@@ -828,7 +1597,19 @@ class MCPServerOfficial {
         server.setRequestHandler(CompleteRequestSchema, async (request) => {
             const { ref, argument } = request.params;
             
-            if (ref.uri === 'wildduck://completion/mailbox') {
+            if (ref.type === 'ref/resource' && RESOURCE_TEMPLATES.some(template => template.uriTemplate === ref.uri)) {
+                try {
+                    const values = await this.completeTemplateArgument(userId, argument, request.params.context?.arguments || {});
+                    return {
+                        completion: {
+                            values: values.slice(0, 10),
+                            hasMore: values.length > 10
+                        }
+                    };
+                } catch (err) {
+                    return { completion: { values: [] } };
+                }
+            } else if (ref.uri === 'wildduck://completion/mailbox') {
                 try {
                     const mailboxes = await this.mailboxService.getMailboxList(userId, false);
                     const prefix = argument.value || '';
@@ -929,6 +1710,11 @@ class MCPServerOfficial {
             // Register handlers with auth info and request passed through
             this.registerHandlers(server, req.user, req);
             
+            if (this.sessionService.isEnabled()) {
+                await this.handleSessionRequest(server, req, res);
+                return;
+            }
+            
             // Use StreamableHTTPServerTransport for stateless HTTP
             const transport = new StreamableHTTPServerTransport({ 
                 sessionIdGenerator: undefined // Stateless operation
@@ -973,44 +1759,327 @@ class MCPServerOfficial {
         }
     }
 
+    /**
+     * Handle a request in stateful mode. The transport is still created per request,
+     * its session state is restored from Redis so any API node can serve the session
+     */
+    async handleSessionRequest(server, req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        let transport;
+        
+        if (!sessionId) {
+            // Only an initialize request may start a new session, the transport rejects anything else
+            const newSessionId = this.sessionService.generateSessionId();
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => newSessionId
+            });
+            
+            const messages = [].concat(req.body || []);
+            const initRequest = req.method === 'POST' && messages.find(isInitializeRequest);
+            if (initRequest) {
+                // Store the session before the client can see the ID
+                await this.sessionService.createSession(newSessionId, req.user, initRequest.params);
+            }
+        } else {
+            const session = await this.sessionService.touchSession(sessionId, req.user);
+            if (!session) {
+                this.logger.verbose('MCP-SESSION', 'Unknown or expired session=%s user=%s', sessionId, req.user);
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    jsonrpc: '2.0',
+                    error: {
+                        code: -32001,
+                        message: 'Session not found'
+                    },
+                    id: null
+                }));
+                return;
+            }
+            
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => sessionId
+            });
+            await server.connect(transport);
+            await this.restoreSession(transport, session);
+            
+            if (req.method === 'DELETE') {
+                // Client terminates the session, the transport answers with 200
+                await this.sessionService.deleteSession(sessionId, req.user);
+            } else if (req.method === 'GET') {
+                // Standalone SSE stream, resource notifications for the session are sent here
+                this.notificationService.register(sessionId, req.user, server);
+            }
+        }
+        
+        res.on('close', () => {
+            if (sessionId) {
+                this.notificationService.unregister(sessionId, server);
+            }
+            transport.close();
+            server.close();
+        });
+        
+        if (!sessionId) {
+            await server.connect(transport);
+        }
+        await transport.handleRequest(req, res, req.body);
+    }
+    
+    /**
+     * The SDK keeps session state in memory after initialize. Rebuild it on a new,
+     * connected transport by replaying the stored initialize request, the response
+     * goes to a response object that is never sent
+     * @param {Object} transport - Transport created with sessionIdGenerator returning the session ID
+     * @param {Object} session - Session record from SessionService
+     */
+    async restoreSession(transport, session) {
+        const headers = {
+            host: 'localhost',
+            accept: 'application/json, text/event-stream',
+            'content-type': 'application/json'
+        };
+        const req = new http.IncomingMessage(new net.Socket());
+        req.method = 'POST';
+        req.url = '/';
+        req.headers = headers;
+        req.rawHeaders = Object.entries(headers).flat();
+        req.push(null);
+        
+        await transport.handleRequest(req, new http.ServerResponse(req), {
+            jsonrpc: '2.0',
+            id: 'session-restore',
+            method: 'initialize',
+            params: {
+                protocolVersion: session.protocolVersion || LATEST_PROTOCOL_VERSION,
+                capabilities: session.capabilities || {},
+                clientInfo: session.clientInfo || { name: 'unknown', version: '0' }
+            }
+        });
+        
+        if (transport.sessionId !== session.id) {
+            throw new Error('Failed to restore MCP session');
+        }
+    }
     
     /**
      * Handle secure attachment download
      */
     async handleSecureAttachment(req, res) {
         try {
-            const { messageId, attachmentId, expires, signature, filename } = req.params;
+            const { messageId, attachmentId, userId, expires, signature, filename } = req.params;
             
             // Verify the secure URL
             try {
-                this.attachmentService.verifySecureAttachmentUrl(messageId, attachmentId, expires, signature);
+                await this.attachmentService.verifySecureAttachmentUrl(userId, messageId, attachmentId, expires, signature);
             } catch (err) {
                 res.status(403);
                 res.send('Forbidden: ' + err.message);
                 return;
             }
             
-            // Get attachment data
-            const attachmentData = await this.attachmentService.getAttachment(
-                null, // No user ID check for secure URLs
+            // Ownership is checked again, the message may have been deleted or moved to another user
+            const { attachment, info } = await this.attachmentService.findAttachment(
+                userId,
                 messageId,
-                attachmentId,
-                'buffer'
+                attachmentId
             );
             
-            // Set headers
-            res.setHeader('Content-Type', attachmentData.contentType);
-            res.setHeader('Content-Length', attachmentData.size);
-            res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
+            // GridFS files never change, the file ID is a strong validator
+            const size = attachment.length;
+            const etag = `"${attachment._id}"`;
+            const lastModified = attachment.uploadDate ? new Date(attachment.uploadDate) : null;
+            const disposition = req.query?.download === '1' ? 'attachment' : 'inline';
+            
+            const notModified = isNotModified(req.headers, etag, lastModified);
+            const range = !notModified && isRangeFresh(req.headers, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+            
+            if (!notModified && range === null) {
+                // Single-use links are spent by the first full download, Range requests can resume it
+                try {
+                    await this.attachmentService.consumeUrl(expires, signature, 'Attachment');
+                } catch (err) {
+                    res.status(403);
+                    res.send('Forbidden: ' + err.message);
+                    return;
+                }
+            }
+            
+            res.setHeader('Content-Type', info.contentType || attachment.contentType || 'application/octet-stream');
+            res.setHeader('Content-Disposition', contentDisposition(disposition, filename));
+            res.setHeader('Accept-Ranges', 'bytes');
+            res.setHeader('ETag', etag);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            if (lastModified) {
+                res.setHeader('Last-Modified', lastModified.toUTCString());
+            }
+            
+            if (notModified) {
+                res.statusCode = 304;
+                res.end();
+                return;
+            }
+            
+            if (range === false) {
+                res.statusCode = 416;
+                res.setHeader('Content-Range', `bytes */${size}`);
+                res.end();
+                return;
+            }
+            
+            if (range) {
+                res.statusCode = 206;
+                res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+                res.setHeader('Content-Length', range.end - range.start + 1);
+            } else {
+                res.statusCode = 200;
+                res.setHeader('Content-Length', size);
+            }
             
-            // Send attachment data
-            res.write(attachmentData.data);
+            // Stream from GridFS, large attachments are never held in memory
+            const stream = this.attachmentService.openAttachmentStream(attachment, range);
+            await new Promise((resolve, reject) => {
+                stream.on('error', reject);
+                stream.on('end', resolve);
+                res.on('close', () => {
+                    // Client went away before the download completed
+                    stream.destroy();
+                    resolve();
+                });
+                stream.pipe(res, { end: false });
+            });
             res.end();
             
         } catch (err) {
             this.logger.error('MCP', 'Secure attachment error error=%s', err.message);
-            res.status(500);
-            res.json({ error: err.message });
+            if (!res.headersSent) {
+                res.status(['Message not found', 'Attachment not found'].includes(err.message) ? 404 : 500);
+                res.json({ error: err.message });
+            } else {
+                res.end();
+            }
+        }
+    }
+    
+    /**
+     * Handle secure raw message (.eml) download
+     */
+    async handleSecureRawMessage(req, res) {
+        try {
+            const { messageId, userId, expires, signature, filename } = req.params;
+            
+            try {
+                await this.attachmentService.verifySecureRawMessageUrl(userId, messageId, expires, signature);
+            } catch (err) {
+                res.status(403);
+                res.send('Forbidden: ' + err.message);
+                return;
+            }
+            
+            const messageData = await this.messageService.findRawMessage(userId, messageId);
+            
+            try {
+                await this.attachmentService.consumeUrl(expires, signature, 'Message');
+            } catch (err) {
+                res.status(403);
+                res.send('Forbidden: ' + err.message);
+                return;
+            }
+            
+            const stream = this.messageService.getRawMessageStream(messageData);
+            
+            res.setHeader('Content-Type', 'message/rfc822');
+            res.setHeader('Content-Disposition', contentDisposition('attachment', filename));
+            
+            await new Promise((resolve, reject) => {
+                stream.on('error', reject);
+                stream.on('end', resolve);
+                res.on('close', () => {
+                    // Client went away before the download completed
+                    stream.destroy();
+                    resolve();
+                });
+                stream.pipe(res, { end: false });
+            });
+            res.end();
+            
+        } catch (err) {
+            this.logger.error('MCP', 'Secure raw message error error=%s', err.message);
+            if (!res.headersSent) {
+                res.status(err.message === 'Message not found' ? 404 : 500);
+                res.json({ error: err.message });
+            } else {
+                res.end();
+            }
+        }
+    }
+    
+    /**
+     * Handle secure ZIP bundle download, attachments are streamed one after another
+     */
+    async handleSecureBundle(req, res) {
+        try {
+            const { bundleId, userId, expires, signature, filename } = req.params;
+            
+            try {
+                await this.attachmentService.verifySecureBundleUrl(userId, bundleId, expires, signature);
+            } catch (err) {
+                res.status(403);
+                res.send('Forbidden: ' + err.message);
+                return;
+            }
+            
+            const bundle = await this.bundleService.getBundleFiles(userId, bundleId);
+            
+            try {
+                await this.attachmentService.consumeUrl(expires, signature, 'Bundle');
+            } catch (err) {
+                res.status(403);
+                res.send('Forbidden: ' + err.message);
+                return;
+            }
+            
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', contentDisposition('attachment', filename || bundle.name));
+            
+            // Attachments are mostly compressed formats already, a low level keeps CPU use down
+            const archive = archiver('zip', { zlib: { level: 1 } });
+            await new Promise((resolve, reject) => {
+                archive.on('error', reject);
+                archive.on('warning', err => {
+                    this.logger.warn('MCP', 'Bundle warning bundle=%s error=%s', bundleId, err.message);
+                });
+                res.on('close', () => {
+                    // Client went away before the download completed
+                    archive.abort();
+                    resolve();
+                });
+                archive.on('end', resolve);
+                archive.pipe(res, { end: false });
+                
+                for (const file of bundle.files) {
+                    const stream = this.attachmentService.openAttachmentStream(file.attachment);
+                    // archiver does not handle source errors, eg. a missing GridFS chunk
+                    stream.on('error', err => {
+                        archive.abort();
+                        reject(err);
+                    });
+                    archive.append(stream, {
+                        name: file.filename,
+                        date: file.attachment.uploadDate
+                    });
+                }
+                archive.finalize().catch(reject);
+            });
+            res.end();
+            
+        } catch (err) {
+            this.logger.error('MCP', 'Secure bundle error error=%s', err.message);
+            if (!res.headersSent) {
+                res.status(err.message === 'Bundle not found' ? 404 : 500);
+                res.json({ error: err.message });
+            } else {
+                res.end();
+            }
         }
     }
     
@@ -1019,7 +2088,8 @@ class MCPServerOfficial {
      */
     async shutdown() {
         this.logger.info('MCP', 'Shutting down MCP server');
-        // Nothing to clean up since we create transports per request
+        // Transports are created per request, only the event listener needs to be stopped
+        await this.notificationService.close();
     }
 }
 
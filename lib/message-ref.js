@@ -0,0 +1,133 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Message references accepted by the message tools and resource URIs:
+ *   <message id>     24 character message ObjectId
+ *   <mailbox>:<uid>  UID within a mailbox, the mailbox is a path or a mailbox ID, eg. INBOX:42
+ * UIDs are only unique within a mailbox, so a bare UID is always rejected with
+ * the mailbox:uid references it could mean, unless the caller limits the lookup
+ * to a single mailbox
+ */
+
+/**
+ * Parse a message reference
+ * @param {string} ref - Message ID, mailbox:uid or a bare UID
+ * @returns {Object} { id } or { mailbox, uid } or { uid }
+ */
+function parseMessageRef(ref) {
+    const value = String(ref === undefined || ref === null ? '' : ref).trim();
+
+    if (/^[0-9a-f]{24}$/i.test(value)) {
+        return { id: new ObjectId(value) };
+    }
+
+    // Paths may contain colons, the UID is after the last one
+    const match = value.match(/^(.+):(\d+)$/);
+    if (match) {
+        return { mailbox: match[1], uid: Number(match[2]) };
+    }
+
+    if (/^\d+$/.test(value) && value.length < 10) {
+        return { uid: Number(value) };
+    }
+
+    throw new Error(`Invalid message ID "${value}", use a message ID or mailbox:uid, eg. INBOX:42`);
+}
+
+/**
+ * Find a mailbox of a user by mailbox ID or path
+ * @param {Object} db - Database handles
+ * @param {string} userId - User ID
+ * @param {string} mailbox - Mailbox ID or path, the path is matched case-insensitively for INBOX only
+ * @returns {Object|null} Mailbox document
+ */
+async function findMailboxByRef(db, userId, mailbox) {
+    const query = { user: new ObjectId(userId) };
+    const value = String(mailbox);
+
+    if (/^[0-9a-f]{24}$/i.test(value)) {
+        query._id = new ObjectId(value);
+    } else if (/^inbox$/i.test(value)) {
+        query.path = 'INBOX';
+    } else {
+        query.path = value;
+    }
+
+    return await db.database.collection('mailboxes').findOne(query);
+}
+
+/**
+ * Build the messages collection query for a message reference
+ * @param {Object} db - Database handles
+ * @param {string} userId - User ID
+ * @param {string} ref - Message ID or mailbox:uid, a bare UID only together with options.mailbox
+ * @param {Object} [options] - { mailbox: ObjectId of the only mailbox the message may be in, eg. Drafts }
+ * @returns {Object} Query matching exactly one message
+ */
+async function resolveMessageRef(db, userId, ref, options = {}) {
+    const user = new ObjectId(userId);
+    const parsed = parseMessageRef(ref);
+
+    if (parsed.id) {
+        const query = { user, _id: parsed.id };
+        if (options.mailbox) {
+            query.mailbox = options.mailbox;
+        }
+        return query;
+    }
+
+    if (parsed.mailbox) {
+        const mailbox = await findMailboxByRef(db, userId, parsed.mailbox);
+        if (!mailbox) {
+            throw new Error('Mailbox not found');
+        }
+        if (options.mailbox && !mailbox._id.equals(options.mailbox)) {
+            throw new Error('Message not found');
+        }
+        return { user, mailbox: mailbox._id, uid: parsed.uid };
+    }
+
+    if (options.mailbox) {
+        return { user, mailbox: options.mailbox, uid: parsed.uid };
+    }
+
+    // Only to suggest references, {mailbox, uid} is the index messages are stored by
+    const mailboxes = await db.database.collection('mailboxes')
+        .find({ user }, { projection: { _id: 1, path: 1 } })
+        .toArray();
+    const matches = mailboxes.length
+        ? await db.database.collection('messages')
+            .find({ mailbox: { $in: mailboxes.map(mailbox => mailbox._id) }, uid: parsed.uid }, { projection: { _id: 1, mailbox: 1 } })
+            .limit(5)
+            .toArray()
+        : [];
+
+    const refs = matches
+        .map(message => mailboxes.find(mailbox => mailbox._id.equals(message.mailbox)))
+        .filter(Boolean)
+        .map(mailbox => `${mailbox.path}:${parsed.uid}`);
+    const err = new Error(
+        `Message ID ${parsed.uid} is a bare UID, UIDs are only unique within a mailbox. Use mailbox:uid, eg. ${(refs.length ? refs : [`INBOX:${parsed.uid}`]).join(' or ')}`
+    );
+    err.code = 'AmbiguousMessageId';
+    throw err;
+}
+
+/**
+ * Check if a message document is the one a resolved query points to
+ */
+function matchesMessageRef(message, query) {
+    if (query._id) {
+        return message._id.equals(query._id);
+    }
+    return message.uid === query.uid && message.mailbox.equals(query.mailbox);
+}
+
+module.exports = {
+    parseMessageRef,
+    findMailboxByRef,
+    resolveMessageRef,
+    matchesMessageRef
+};
@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * Gmail style search queries, eg. `from:alice has:attachment newer_than:7d -is:read`.
+ * The query is parsed into a tree and compiled into the same MongoDB clauses
+ * prepareSearchFilter builds for the individual search fields
+ *
+ * Supported syntax:
+ *   word "exact phrase"          full-text search (all terms must match)
+ *   operator:value               see OPERATORS, values can be quoted: subject:"weekly report"
+ *   a OR b, a | b                either side matches
+ *   -term, -(a OR b)             negation
+ *   ( ... )                      grouping
+ */
+
+const escapeRegexStr = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DAY = 24 * 3600 * 1000;
+
+const DURATION_UNITS = {
+    h: 3600 * 1000,
+    d: DAY,
+    w: 7 * DAY,
+    m: 30 * DAY,
+    y: 365 * DAY
+};
+
+const SIZE_UNITS = {
+    '': 1,
+    k: 1024,
+    m: 1024 * 1024,
+    g: 1024 * 1024 * 1024
+};
+
+/**
+ * Error with the position in the query string it refers to
+ */
+function queryError(message, position) {
+    const err = new Error(`Invalid search query: ${message}${position !== undefined ? ` (at position ${position + 1})` : ''}`);
+    err.code = 'InvalidSearchQuery';
+    return err;
+}
+
+// Header search, same clause prepareSearchFilter builds for from/to/subject
+function headerClause(key, value) {
+    return {
+        headers: {
+            $elemMatch: {
+                key,
+                value: {
+                    $regex: escapeRegexStr(value),
+                    $options: 'i'
+                }
+            }
+        }
+    };
+}
+
+function parseDate(value, position) {
+    let date;
+    if (/^\d{9,11}$/.test(value)) {
+        // Unix timestamp in seconds
+        date = new Date(Number(value) * 1000);
+    } else {
+        const match = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+        date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+        // Date.UTC rolls over out of range values, 2025/13/45 would become a date in 2026
+        if (date && (date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3]))) {
+            date = null;
+        }
+    }
+    if (!date || isNaN(date.getTime())) {
+        throw queryError(`"${value}" is not a date, use YYYY/MM/DD`, position);
+    }
+    return date;
+}
+
+function parseDuration(value, position) {
+    const match = value.match(/^(\d+)([hdwmy])$/i);
+    if (!match) {
+        throw queryError(`"${value}" is not a duration, use a number with h, d, w, m or y, eg. 7d`, position);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+function parseSize(value, position) {
+    const match = value.match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+    if (!match) {
+        throw queryError(`"${value}" is not a size, use bytes or a number with K, M or G, eg. 5M`, position);
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Operators and the clause each one compiles to. Handlers get the operator value,
+ * its position in the query and the compile context, context.negated is set while
+ * compiling inside an odd number of negations
+ */
+const OPERATORS = {
+    from: value => headerClause('from', value),
+    to: value => ({ $or: [headerClause('to', value), headerClause('cc', value)] }),
+    cc: value => headerClause('cc', value),
+    bcc: value => headerClause('bcc', value),
+    subject: value => headerClause('subject', value),
+    filename: value => ({ 'attachments.filename': { $regex: escapeRegexStr(value), $options: 'i' } }),
+
+    has: (value, position) => {
+        if (!['attachment', 'attachments'].includes(value.toLowerCase())) {
+            throw queryError(`unknown value "has:${value}", use has:attachment`, position);
+        }
+        return { ha: true };
+    },
+
+    is: (value, position) => {
+        switch (value.toLowerCase()) {
+            case 'unread':
+            case 'unseen':
+                return { unseen: true };
+            case 'read':
+            case 'seen':
+                return { unseen: false };
+            case 'flagged':
+            case 'starred':
+                return { flagged: true };
+            case 'unflagged':
+            case 'unstarred':
+                return { flagged: false };
+            case 'draft':
+                return { draft: true };
+            default:
+                throw queryError(`unknown value "is:${value}", use unread, read, flagged, unflagged or draft`, position);
+        }
+    },
+
+    in: async (value, position, context) => {
+        if (value.toLowerCase() === 'anywhere') {
+            context.anywhere = true;
+            return null;
+        }
+        const negated = context.negated;
+        const mailbox = await context.resolveMailbox(value);
+        if (!mailbox) {
+            throw queryError(`mailbox "${value}" not found`, position);
+        }
+        if (!negated) {
+            context.mailboxes.push(mailbox);
+        }
+        return { mailbox: mailbox._id };
+    },
+
+    after: (value, position) => ({ idate: { $gte: parseDate(value, position) } }),
+    before: (value, position) => ({ idate: { $lt: parseDate(value, position) } }),
+    newer_than: (value, position, context) => ({ idate: { $gte: new Date(context.now - parseDuration(value, position)) } }),
+    older_than: (value, position, context) => ({ idate: { $lt: new Date(context.now - parseDuration(value, position)) } }),
+    larger: (value, position) => ({ size: { $gt: parseSize(value, position) } }),
+    smaller: (value, position) => ({ size: { $lt: parseSize(value, position) } })
+};
+
+// Gmail names for the same operators
+OPERATORS.newer = OPERATORS.after;
+OPERATORS.older = OPERATORS.before;
+OPERATORS.size = OPERATORS.larger;
+
+/**
+ * Split a query into tokens: ( ) OR NOT and terms
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        i++; // opening quote
+        let value = '';
+        while (i < input.length && input[i] !== '"') {
+            if (input[i] === '\\' && i + 1 < input.length) {
+                i++;
+            }
+            value += input[i++];
+        }
+        if (i >= input.length) {
+            throw queryError('missing closing quote', start);
+        }
+        i++; // closing quote
+        return value;
+    };
+
+    while (i < input.length) {
+        const chr = input[i];
+
+        if (/\s/.test(chr)) {
+            i++;
+            continue;
+        }
+
+        if (chr === '(' || chr === ')') {
+            tokens.push({ type: chr, position: i++ });
+            continue;
+        }
+
+        if (chr === '|') {
+            tokens.push({ type: 'OR', position: i++ });
+            continue;
+        }
+
+        if (chr === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT', position: i++ });
+            continue;
+        }
+
+        const position = i;
+        if (chr === '"') {
+            tokens.push({ type: 'term', operator: null, value: readQuoted(), phrase: true, position });
+            continue;
+        }
+
+        let word = '';
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+            word += input[i++];
+        }
+
+        // Unknown prefixes such as "re:" are plain words, like in Gmail
+        const operator = word.match(/^([a-z_]+):(.*)$/i);
+        if (operator && OPERATORS[operator[1].toLowerCase()]) {
+            const name = operator[1].toLowerCase();
+            let value = operator[2];
+            if (!value && input[i] === '"') {
+                value = readQuoted();
+            }
+            if (!value) {
+                throw queryError(`missing value for "${operator[1]}:"`, position);
+            }
+            tokens.push({ type: 'term', operator: name, value, position });
+        } else if (word === 'OR') {
+            tokens.push({ type: 'OR', position });
+        } else if (word !== 'AND') {
+            tokens.push({ type: 'term', operator: null, value: word, phrase: false, position });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a query string into a tree of and / or / not / term nodes
+ * @param {string} input - Query string
+ * @returns {Object} Root node
+ */
+function parseSearchQuery(input) {
+    const tokens = tokenize(String(input || ''));
+    let index = 0;
+
+    const peek = () => tokens[index];
+
+    const parseUnary = () => {
+        const token = tokens[index++];
+        if (!token) {
+            throw queryError('unexpected end of query', input.length);
+        }
+        switch (token.type) {
+            case 'NOT': {
+                return { type: 'not', item: parseUnary(), position: token.position };
+            }
+            case '(': {
+                const group = parseAnd(true);
+                if (!peek() || peek().type !== ')') {
+                    throw queryError('missing closing parenthesis', token.position);
+                }
+                index++;
+                return group;
+            }
+            case 'term':
+                return token;
+            default:
+                throw queryError(`unexpected "${token.type}"`, token.position);
+        }
+    };
+
+    const parseOr = () => {
+        const items = [parseUnary()];
+        while (peek() && peek().type === 'OR') {
+            index++;
+            items.push(parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+
+    const parseAnd = nested => {
+        const items = [];
+        while (peek() && peek().type !== ')') {
+            items.push(parseOr());
+        }
+        if (peek() && !nested) {
+            throw queryError('unexpected ")"', peek().position);
+        }
+        if (!items.length) {
+            throw queryError('empty query', peek() ? peek().position : 0);
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+
+    return parseAnd(false);
+}
+
+/**
+ * Compile a parsed query into MongoDB clauses
+ * @param {Object} root - Node from parseSearchQuery()
+ * @param {Object} options - { resolveMailbox(name) -> mailbox document or null, now }
+ * @returns {Object} { filter (clause or null), text ($text search string or null),
+ *   mailboxes (documents of the in: operators that are not negated), anywhere (in:anywhere was used) }
+ */
+async function compileSearchQuery(root, options = {}) {
+    const context = {
+        resolveMailbox: options.resolveMailbox || (async () => null),
+        now: options.now || Date.now(),
+        negated: false,
+        mailboxes: [],
+        anywhere: false
+    };
+    const textTerms = [];
+
+    // Full-text terms can only be ANDed at the top level, MongoDB allows one $text per query
+    const topLevel = root.type === 'and' ? root.items : [root];
+    const rest = [];
+    for (const item of topLevel) {
+        const negated = item.type === 'not' && item.item.type === 'term' && !item.item.operator;
+        const term = negated ? item.item : item;
+        if (term.type === 'term' && !term.operator) {
+            textTerms.push(`${negated ? '-' : ''}"${term.value.replace(/"/g, '')}"`);
+        } else {
+            rest.push(item);
+        }
+    }
+
+    if (textTerms.length && textTerms.every(term => term.startsWith('-'))) {
+        throw queryError('full-text search needs at least one word that is not negated', 0);
+    }
+
+    const compile = async (node, negated) => {
+        switch (node.type) {
+            case 'term':
+                if (!node.operator) {
+                    throw queryError(`full-text "${node.value}" can not be used inside OR or a group, use an operator such as subject: or from:`, node.position);
+                }
+                context.negated = negated;
+                return await OPERATORS[node.operator](node.value, node.position, context);
+            case 'not': {
+                const clause = await compile(node.item, !negated);
+                if (!clause) {
+                    throw queryError('in:anywhere can not be negated', node.position);
+                }
+                return { $nor: [clause] };
+            }
+            case 'and':
+            case 'or': {
+                // One at a time, context.negated belongs to the term being compiled
+                const clauses = [];
+                for (const item of node.items) {
+                    const clause = await compile(item, negated);
+                    if (clause) {
+                        clauses.push(clause);
+                    }
+                }
+                if (node.type === 'or' && clauses.length < node.items.length) {
+                    throw queryError('in:anywhere can not be used inside OR', node.items[0].position);
+                }
+                if (clauses.length <= 1) {
+                    return clauses[0] || null;
+                }
+                return { [node.type === 'and' ? '$and' : '$or']: clauses };
+            }
+        }
+    };
+
+    const clauses = [];
+    for (const item of rest) {
+        const clause = await compile(item, false);
+        if (clause) {
+            clauses.push(clause);
+        }
+    }
+
+    return {
+        filter: clauses.length > 1 ? { $and: clauses } : clauses[0] || null,
+        text: textTerms.length ? textTerms.join(' ') : null,
+        mailboxes: context.mailboxes,
+        anywhere: context.anywhere
+    };
+}
+
+module.exports = {
+    OPERATORS,
+    parseSearchQuery,
+    compileSearchQuery
+};
@@ -1,18 +1,65 @@
 'use strict';
 
-const { ObjectId } = require('mongodb');
+const { ObjectId, GridFSBucket } = require('mongodb');
 const crypto = require('crypto');
+const { detectFormat, extractText } = require('../attachment-text');
+const { resolveMessageRef } = require('../message-ref');
 
+// Largest attachment (bytes) text is extracted from unless configured otherwise
+const DEFAULT_TEXT_MAX_SIZE = 20 * 1024 * 1024;
+
+// Characters of extracted text returned per call unless configured otherwise
+const DEFAULT_TEXT_MAX_CHARS = 50000;
+
+
+// Seconds a signed download URL stays valid unless configured otherwise
+const DEFAULT_URL_TTL = 3600;
+
+// Secrets that must never be used to sign URLs
+const PLACEHOLDER_SECRETS = ['default-secret', 'change-this-to-a-secure-random-string'];
 
 function signData(data, secret) {
     const dataToSign = data.join(':');
     const signature = crypto
-        .createHmac('sha1', secret)
+        .createHmac('sha256', secret)
         .update(dataToSign)
         .digest('base64url'); // Use base64url for shorter, URL-safe signatures
     return signature;
 }
 
+/**
+ * Load URL signing keys from config. The current secret is attachmentSecret,
+ * secrets from signedUrls.previousSecrets keep verifying URLs signed before a rotation
+ * @returns {Object} { keyId, keys: Map(keyId -> secret), ttl, singleUse }
+ */
+function loadSigningConfig(config) {
+    const secret = config?.attachmentSecret;
+    if (!secret || PLACEHOLDER_SECRETS.includes(secret)) {
+        throw new Error('mcp.attachmentSecret is not configured, refusing to start. Generate one with: openssl rand -base64 32');
+    }
+
+    const options = config.signedUrls || {};
+    const keyId = String(options.keyId || '1');
+    const keys = new Map();
+    for (const [id, previous] of Object.entries(options.previousSecrets || {})) {
+        keys.set(String(id), previous);
+    }
+    keys.set(keyId, secret);
+
+    for (const id of keys.keys()) {
+        if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw new Error(`Invalid signing key ID "${id}", use letters, digits, "-" and "_"`);
+        }
+    }
+
+    return {
+        keyId,
+        keys,
+        ttl: Number(options.ttl) || DEFAULT_URL_TTL,
+        singleUse: !!options.singleUse
+    };
+}
+
 /**
  * Service for attachment operations
  */
@@ -23,16 +70,23 @@ class AttachmentService {
         this.logger = options.logger;
         this.config = options.config;
         this.storageHandler = options.storageHandler; // For potential future use
+
+        this.signing = loadSigningConfig(this.config);
+        if (this.signing.singleUse && !this.redis) {
+            this.logger.warn('MCP-ATTACHMENT', 'Single-use download URLs need Redis, links can be reused until they expire');
+        }
     }
 
     /**
-     * Get attachment data
+     * Find the message and the GridFS file of an attachment
+     * @returns {Object} { message, attachment (GridFS file), info (entry from message.attachments) }
      */
-    async getAttachment(userId, messageId, attachmentId, returnType = 'base64') {
+    async findAttachment(userId, messageId, attachmentId) {
+        // With a user ID the lookup is limited to their messages and accepts mailbox:uid
+        const query = userId ? await resolveMessageRef(this.db, userId, messageId) : { _id: new ObjectId(messageId) };
+
         // Verify the message exists
-        const message = await this.db.database.collection('messages').findOne({
-            _id: new ObjectId(messageId)
-        }, {
+        const message = await this.db.database.collection('messages').findOne(query, {
             projection: {
                 _id: 1,
                 mailbox: 1,
@@ -45,18 +99,6 @@ class AttachmentService {
             throw new Error('Message not found');
         }
 
-        // If userId provided, verify user owns this message
-        if (userId) {
-            const mailbox = await this.db.database.collection('mailboxes').findOne({
-                _id: message.mailbox,
-                user: new ObjectId(userId)
-            });
-
-            if (!mailbox) {
-                throw new Error('Message not found');
-            }
-        }
-
         // Get the GridFS ID from the attachment map
         let gridfsId;
         if (message.mimeTree?.attachmentMap && message.mimeTree.attachmentMap[attachmentId]) {
@@ -76,9 +118,22 @@ class AttachmentService {
             throw new Error('Attachment not found');
         }
 
+        const info = (message.attachments || []).find(entry => entry.id === attachmentId) || {};
+
+        return { message, attachment, info };
+    }
+
+    /**
+     * Get attachment data
+     * @param {Object} [options] - { maxSize: largest attachment in bytes that is read into memory }
+     */
+    async getAttachment(userId, messageId, attachmentId, returnType = 'base64', options = {}) {
+        const { message, attachment } = await this.findAttachment(userId, messageId, attachmentId);
+
         if (returnType === 'info') {
             return {
                 id: attachment._id.toString(),
+                messageId: message._id.toString(),
                 filename: attachment.filename,
                 contentType: attachment.contentType,
                 size: attachment.length,
@@ -86,17 +141,16 @@ class AttachmentService {
             };
         }
 
-        // Get attachment data from GridFS
-        const chunks = await this.db.gridfs.collection('attachments.chunks')
-            .find({ files_id: attachment._id })
-            .sort({ n: 1 })
-            .toArray();
-
-        const buffer = Buffer.concat(chunks.map(chunk => chunk.data.buffer));
+        const maxSize = options.maxSize || Infinity;
+        if (attachment.length > maxSize) {
+            throw new Error('Attachment exceeds the size limit, download it with getAttachment returnType "url"');
+        }
+        const buffer = await this.readAttachmentFile(attachment, maxSize);
 
         if (returnType === 'base64') {
             return {
                 data: buffer.toString('base64'),
+                messageId: message._id.toString(),
                 contentType: attachment.contentType,
                 filename: attachment.filename,
                 size: attachment.length
@@ -104,6 +158,7 @@ class AttachmentService {
         } else if (returnType === 'buffer') {
             return {
                 data: buffer,
+                messageId: message._id.toString(),
                 contentType: attachment.contentType,
                 filename: attachment.filename,
                 size: attachment.length
@@ -114,38 +169,227 @@ class AttachmentService {
     }
 
     /**
-     * Generate secure attachment URL
+     * Open a read stream for a GridFS attachment file
+     * @param {Object} attachment - GridFS file document
+     * @param {Object} [range] - { start, end } byte range, end is inclusive
+     * @returns {Stream} Readable stream
      */
-    generateSecureAttachmentUrl(messageId, attachmentId, filename, baseUrl) {
-        const secret = this.config?.attachmentSecret || 'default-secret';
-        const expires = Math.floor(Date.now() / 1000) + 3600; // 1 hour expiry
+    openAttachmentStream(attachment, range) {
+        const bucket = new GridFSBucket(this.db.gridfs, { bucketName: 'attachments' });
+        return bucket.openDownloadStream(attachment._id, range ? { start: range.start, end: range.end + 1 } : {});
+    }
 
-        const signature = signData([messageId, attachmentId, expires], secret);
+    /**
+     * Read a GridFS file into a buffer, aborting once it grows past maxSize
+     */
+    async readAttachmentFile(attachment, maxSize = Infinity) {
+        const stream = this.openAttachmentStream(attachment);
 
-        return `${baseUrl}/plugin/mcp/att/${messageId}/${attachmentId}/${expires}/${signature}/${encodeURIComponent(filename)}`;
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of stream) {
+            size += chunk.length;
+            if (size > maxSize) {
+                stream.destroy();
+                throw new Error('Attachment exceeds the size limit');
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks, size);
     }
 
     /**
-     * Verify secure attachment URL
+     * Extract readable text from an attachment (PDF, DOCX, XLSX, CSV, HTML, text)
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {Object} options - { offset, maxChars } to page through long documents
+     * @returns {Object} Extracted text with page/sheet sections, or extractable: false with a reason
+     */
+    async getAttachmentText(userId, messageId, attachmentId, options = {}) {
+        const { message, attachment, info } = await this.findAttachment(userId, messageId, attachmentId);
+
+        const limits = this.config?.attachmentText || {};
+        const maxSize = Number(limits.maxSize) || DEFAULT_TEXT_MAX_SIZE;
+        const configMaxChars = Number(limits.maxChars) || DEFAULT_TEXT_MAX_CHARS;
+        const maxChars = Math.min(Math.max(Number(options.maxChars) || configMaxChars, 1), configMaxChars);
+        const offset = Math.max(Number(options.offset) || 0, 0);
+
+        const filename = info.filename || attachment.filename || null;
+        const contentType = info.contentType || attachment.contentType || 'application/octet-stream';
+
+        const result = {
+            id: attachmentId,
+            messageId: message._id.toString(),
+            filename,
+            contentType,
+            size: attachment.length
+        };
+
+        if (attachment.length > maxSize) {
+            return {
+                ...result,
+                extractable: false,
+                reason: `Attachment is larger than the text extraction limit of ${maxSize} bytes`
+            };
+        }
+
+        // Generic content types without a known extension are identified by magic bytes
+        let format = detectFormat(contentType, filename);
+        let buffer;
+        if (!format) {
+            buffer = await this.readAttachmentFile(attachment, maxSize);
+            format = detectFormat(contentType, filename, buffer);
+        }
+
+        if (!format) {
+            return {
+                ...result,
+                extractable: false,
+                reason: `Text can not be extracted from ${contentType} attachments. Supported types are PDF, DOCX, XLSX, CSV, HTML and plain text`
+            };
+        }
+
+        if (!buffer) {
+            buffer = await this.readAttachmentFile(attachment, maxSize);
+        }
+
+        let extracted;
+        try {
+            extracted = await extractText(buffer, format, contentType);
+        } catch (err) {
+            this.logger.error('MCP-ATTACHMENT', 'Text extraction failed message=%s attachment=%s format=%s error=%s', messageId, attachmentId, format, err.message);
+            return {
+                ...result,
+                format,
+                extractable: false,
+                reason: `Failed to read ${format.toUpperCase()} file: ${err.message}`
+            };
+        }
+
+        const text = extracted.text.substr(offset, maxChars);
+        const end = offset + text.length;
+
+        return {
+            ...result,
+            format,
+            extractable: true,
+            totalChars: extracted.text.length,
+            offset,
+            text,
+            truncated: end < extracted.text.length,
+            nextOffset: end < extracted.text.length ? end : null,
+            sections: extracted.sections
+        };
+    }
+
+    /**
+     * Sign the parts of a download URL with the current key
+     * @param {string} scope - URL type (att, raw), a signature is only valid for its own scope
+     * @param {Array} parts - Values the URL grants access to, including the user ID
+     * @returns {Object} { expires, signature } where signature is "<keyId>.<hmac>"
+     */
+    signUrl(scope, parts) {
+        const expires = Math.floor(Date.now() / 1000) + this.signing.ttl;
+        const secret = this.signing.keys.get(this.signing.keyId);
+        const signature = `${this.signing.keyId}.${signData([scope, ...parts, expires], secret)}`;
+        return { expires, signature };
+    }
+
+    /**
+     * Verify a signed download URL. Single-use URLs are not consumed here, see consumeUrl()
+     * @throws {Error} When the link expired or the signature does not match
      */
-    verifySecureAttachmentUrl(messageId, attachmentId, expires, signature) {
-        const secret = this.config?.attachmentSecret || 'default-secret';
+    async verifyUrl(scope, parts, expires, signature, label) {
         const now = Math.floor(Date.now() / 1000);
+        const expiresAt = parseInt(expires, 10);
 
-        // Check if expired
-        if (now > parseInt(expires, 10)) {
-            throw new Error('Attachment link expired');
+        if (!expiresAt || now > expiresAt) {
+            throw new Error(`${label} link expired`);
         }
 
-        // Verify signature
-        const expectedSignature = signData([messageId, attachmentId, expires], secret);
+        const [keyId, hmac] = String(signature || '').split('.');
+        const secret = this.signing.keys.get(keyId);
+        const expected = secret && signData([scope, ...parts, expiresAt], secret);
 
-        if (signature !== expectedSignature) {
-            throw new Error('Invalid attachment signature');
+        if (!expected || !hmac || hmac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(expected))) {
+            throw new Error(`Invalid ${label.toLowerCase()} signature`);
         }
 
         return true;
     }
+
+    /**
+     * Mark a verified single-use URL as used. Called once the download is known to
+     * succeed and only for full responses, Range requests can resume a download
+     * @throws {Error} When the link has been used already
+     */
+    async consumeUrl(expires, signature, label) {
+        if (!this.signing.singleUse || !this.redis) {
+            return;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const hmac = String(signature || '').split('.')[1];
+
+        // Remember used signatures until the link would have expired anyway
+        const stored = await this.redis.set(`mcp:url:used:${hmac}`, '1', 'EX', Math.max(parseInt(expires, 10) - now, 1), 'NX');
+        if (!stored) {
+            throw new Error(`${label} link has already been used`);
+        }
+    }
+
+    /**
+     * Generate secure attachment URL, bound to the user owning the message
+     */
+    generateSecureAttachmentUrl(userId, messageId, attachmentId, filename, baseUrl) {
+        const { expires, signature } = this.signUrl('att', [userId, messageId, attachmentId]);
+
+        return `${baseUrl}/plugin/mcp/att/${messageId}/${attachmentId}/${userId}/${expires}/${signature}/${encodeURIComponent(filename)}`;
+    }
+
+    /**
+     * Verify secure attachment URL
+     */
+    async verifySecureAttachmentUrl(userId, messageId, attachmentId, expires, signature) {
+        return await this.verifyUrl('att', [userId, messageId, attachmentId], expires, signature, 'Attachment');
+    }
+
+    /**
+     * Generate secure download URL for the raw message source (.eml)
+     */
+    generateSecureRawMessageUrl(userId, messageId, filename, baseUrl) {
+        const { expires, signature } = this.signUrl('raw', [userId, messageId]);
+
+        return `${baseUrl}/plugin/mcp/eml/${messageId}/${userId}/${expires}/${signature}/${encodeURIComponent(filename)}`;
+    }
+
+    /**
+     * Verify secure raw message URL
+     */
+    async verifySecureRawMessageUrl(userId, messageId, expires, signature) {
+        return await this.verifyUrl('raw', [userId, messageId], expires, signature, 'Message');
+    }
+
+    /**
+     * Generate secure download URL for a ZIP bundle of attachments
+     * @returns {Object} { url, expires }
+     */
+    generateSecureBundleUrl(userId, bundleId, filename, baseUrl) {
+        const { expires, signature } = this.signUrl('zip', [userId, bundleId]);
+
+        return {
+            url: `${baseUrl}/plugin/mcp/zip/${bundleId}/${userId}/${expires}/${signature}/${encodeURIComponent(filename)}`,
+            expires
+        };
+    }
+
+    /**
+     * Verify secure bundle URL
+     */
+    async verifySecureBundleUrl(userId, bundleId, expires, signature) {
+        return await this.verifyUrl('zip', [userId, bundleId], expires, signature, 'Bundle');
+    }
 }
 
 module.exports = AttachmentService;
\ No newline at end of file
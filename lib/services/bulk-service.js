@@ -0,0 +1,330 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const { resolveMessageRef, matchesMessageRef } = require('../message-ref');
+const { normalizeFlags } = require('./message-service');
+
+// Default number of messages a single bulk call may touch
+const DEFAULT_MAX_AFFECTED = 100;
+
+// Number of messages moved or expunged per batch
+const BATCH_SIZE = 50;
+
+/**
+ * Split an array into chunks
+ */
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Group messages by the mailbox they are in
+ */
+function groupByMailbox(messages) {
+    const groups = new Map();
+    for (const message of messages) {
+        const key = message.mailbox.toString();
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(message);
+    }
+    return groups;
+}
+
+/**
+ * Service for search-driven bulk operations (move, flag, delete)
+ */
+class BulkService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.messageHandler = options.messageHandler;
+        this.messageService = options.messageService;
+    }
+
+    /**
+     * Get the effective safety cap for a bulk call
+     * @param {number} requested - Cap requested by the caller (optional)
+     * @returns {number} Maximum number of messages that may be affected
+     */
+    getMaxAffected(requested) {
+        const limit = Number(this.config?.bulkMaxAffected) || DEFAULT_MAX_AFFECTED;
+        if (!requested) {
+            return limit;
+        }
+        return Math.min(Math.max(Number(requested) || 0, 1), limit);
+    }
+
+    /**
+     * Resolve the target messages from either an explicit ID list or a search filter
+     * @param {string} userId - User ID
+     * @param {Object} options - Bulk options
+     * @param {string[]} options.messageIds - Explicit message IDs
+     * @param {Object} options.filter - Filter object as accepted by searchMessages
+     * @param {number} options.maxAffected - Safety cap
+     * @returns {Object} Matched messages and IDs that could not be found
+     */
+    async resolveTargets(userId, options = {}) {
+        const maxAffected = this.getMaxAffected(options.maxAffected);
+        const projection = { _id: 1, uid: 1, mailbox: 1, flags: 1 };
+
+        let query;
+        let notFound = [];
+        const refs = new Map();
+
+        if (Array.isArray(options.messageIds) && options.messageIds.length) {
+            if (options.messageIds.length > maxAffected) {
+                throw new Error(`${options.messageIds.length} messages requested, which exceeds the limit of ${maxAffected}`);
+            }
+
+            // Ambiguous bare UIDs fail the whole operation instead of picking a message
+            for (const id of options.messageIds) {
+                try {
+                    refs.set(id, await resolveMessageRef(this.db, userId, id));
+                } catch (err) {
+                    if (err.code === 'AmbiguousMessageId') {
+                        throw err;
+                    }
+                    notFound.push(id);
+                }
+            }
+
+            query = refs.size ? { $or: [...refs.values()] } : { _id: { $in: [] } };
+        } else if (options.filter && typeof options.filter === 'object') {
+            query = await this.messageService.buildSearchFilter(userId, options.filter);
+        } else {
+            throw new Error('Either messageIds or filter is required');
+        }
+
+        // Fetch one more than allowed so we can tell when the cap is exceeded
+        const messages = await this.db.database.collection('messages')
+            .find(query, { projection })
+            .sort({ idate: -1 })
+            .limit(maxAffected + 1)
+            .toArray();
+
+        if (messages.length > maxAffected) {
+            throw new Error(`Operation matches more than ${maxAffected} messages. Narrow the filter or raise maxAffected`);
+        }
+
+        for (const [id, ref] of refs) {
+            if (!messages.some(message => matchesMessageRef(message, ref))) {
+                notFound.push(id);
+            }
+        }
+
+        return { messages, notFound, maxAffected };
+    }
+
+    /**
+     * Build the response report for a bulk operation
+     */
+    buildReport(operation, targets, results, dryRun) {
+        const report = results.concat(targets.notFound.map(id => ({
+            id,
+            success: false,
+            error: 'Message not found'
+        })));
+
+        return {
+            operation,
+            dryRun: !!dryRun,
+            maxAffected: targets.maxAffected,
+            matched: targets.messages.length,
+            succeeded: report.filter(r => r.success).length,
+            failed: report.filter(r => !r.success).length,
+            results: report
+        };
+    }
+
+    /**
+     * Move matching messages to another mailbox
+     */
+    async bulkMove(userId, options = {}) {
+        if (!options.targetMailbox) {
+            throw new Error('targetMailbox is required');
+        }
+
+        const targetMailbox = await this.db.database.collection('mailboxes').findOne({
+            _id: new ObjectId(options.targetMailbox),
+            user: new ObjectId(userId)
+        });
+
+        if (!targetMailbox) {
+            throw new Error('Target mailbox not found');
+        }
+
+        const targets = await this.resolveTargets(userId, options);
+        const results = [];
+
+        if (options.dryRun) {
+            targets.messages.forEach(m => results.push({ id: m._id.toString(), success: true }));
+            return this.buildReport('move', targets, results, true);
+        }
+
+        if (!this.messageHandler) {
+            throw new Error('MessageHandler not available');
+        }
+
+        // moveAsync works on UIDs within a single source mailbox
+        const bySource = new Map();
+        for (const message of targets.messages) {
+            if (message.mailbox.equals(targetMailbox._id)) {
+                results.push({ id: message._id.toString(), success: true, skipped: 'Already in target mailbox' });
+                continue;
+            }
+            const key = message.mailbox.toString();
+            if (!bySource.has(key)) {
+                bySource.set(key, []);
+            }
+            bySource.get(key).push(message);
+        }
+
+        for (const [sourceId, messages] of bySource) {
+            for (const batch of chunk(messages.sort((a, b) => a.uid - b.uid), BATCH_SIZE)) {
+                try {
+                    const { info } = await this.messageHandler.moveAsync({
+                        source: {
+                            user: new ObjectId(userId),
+                            mailbox: new ObjectId(sourceId)
+                        },
+                        destination: {
+                            user: new ObjectId(userId),
+                            mailbox: targetMailbox._id
+                        },
+                        messages: batch.map(m => m.uid),
+                        markAsSeen: false
+                    });
+
+                    const moved = new Set((info && info.sourceUid) || []);
+                    batch.forEach(m => results.push(moved.has(m.uid)
+                        ? { id: m._id.toString(), success: true }
+                        : { id: m._id.toString(), success: false, error: 'Message was not moved' }));
+                } catch (err) {
+                    this.logger.error('MCP-BULK', 'Bulk move batch failed user=%s mailbox=%s error=%s', userId, sourceId, err.message);
+                    batch.forEach(m => results.push({ id: m._id.toString(), success: false, error: err.message }));
+                }
+            }
+        }
+
+        return this.buildReport('move', targets, results, false);
+    }
+
+    /**
+     * Add, remove or replace flags on matching messages. Each mailbox gets one update
+     * and one new modseq, with a journal entry per message
+     */
+    async bulkFlag(userId, options = {}) {
+        if (!Array.isArray(options.flags)) {
+            throw new Error('flags is required');
+        }
+
+        const flags = normalizeFlags(options.flags);
+        const action = options.action || 'add';
+        const targets = await this.resolveTargets(userId, options);
+        const results = [];
+
+        if (options.dryRun) {
+            targets.messages.forEach(m => results.push({ id: m._id.toString(), success: true }));
+            return this.buildReport('flag', targets, results, true);
+        }
+
+        const byMailbox = groupByMailbox(targets.messages);
+        const mailboxes = await this.db.database.collection('mailboxes')
+            .find({ _id: { $in: [...byMailbox.keys()].map(id => new ObjectId(id)) }, user: new ObjectId(userId) })
+            .toArray();
+        const mailboxMap = new Map(mailboxes.map(mb => [mb._id.toString(), mb]));
+
+        for (const [mailboxId, messages] of byMailbox) {
+            try {
+                const mailbox = mailboxMap.get(mailboxId);
+                if (!mailbox) {
+                    throw new Error('Mailbox not found');
+                }
+                await this.messageService.applyFlagUpdate(mailbox, messages.map(m => m.uid), flags, action);
+                messages.forEach(m => results.push({ id: m._id.toString(), success: true }));
+            } catch (err) {
+                this.logger.error('MCP-BULK', 'Bulk flag failed user=%s mailbox=%s error=%s', userId, mailboxId, err.message);
+                messages.forEach(m => results.push({ id: m._id.toString(), success: false, error: err.message }));
+            }
+        }
+
+        return this.buildReport('flag', targets, results, false);
+    }
+
+    /**
+     * Delete matching messages (move to Trash or permanently)
+     */
+    async bulkDelete(userId, options = {}) {
+        const targets = await this.resolveTargets(userId, options);
+        const results = [];
+
+        if (options.dryRun) {
+            targets.messages.forEach(m => results.push({ id: m._id.toString(), success: true }));
+            return this.buildReport('delete', targets, results, true);
+        }
+
+        const trashMailbox = await this.db.database.collection('mailboxes').findOne({
+            user: new ObjectId(userId),
+            specialUse: '\\Trash'
+        });
+
+        // Messages already in Trash, or users without a Trash mailbox, get deleted permanently
+        const expunge = [];
+        const trash = [];
+        for (const message of targets.messages) {
+            if (options.permanently || !trashMailbox || message.mailbox.equals(trashMailbox._id)) {
+                expunge.push(message);
+            } else {
+                trash.push(message);
+            }
+        }
+
+        for (const [sourceId, messages] of groupByMailbox(trash)) {
+            for (const batch of chunk(messages.sort((a, b) => a.uid - b.uid), BATCH_SIZE)) {
+                try {
+                    const moved = await this.messageService.trashMessages(userId, new ObjectId(sourceId), batch.map(m => m.uid), trashMailbox);
+                    const movedIds = new Set(moved.map(id => id.toString()));
+                    batch.forEach(m => results.push(movedIds.has(m._id.toString())
+                        ? { id: m._id.toString(), success: true }
+                        : { id: m._id.toString(), success: false, error: 'Message was not moved' }));
+                } catch (err) {
+                    this.logger.error('MCP-BULK', 'Bulk delete batch failed user=%s mailbox=%s error=%s', userId, sourceId, err.message);
+                    batch.forEach(m => results.push({ id: m._id.toString(), success: false, error: err.message }));
+                }
+            }
+        }
+
+        // WildDuck expunges one message at a time, but the documents are loaded per batch
+        for (const batch of chunk(expunge, BATCH_SIZE)) {
+            const messages = await this.db.database.collection('messages')
+                .find({ _id: { $in: batch.map(m => m._id) }, user: new ObjectId(userId) })
+                .toArray();
+            const messageMap = new Map(messages.map(m => [m._id.toString(), m]));
+
+            for (const { _id } of batch) {
+                const id = _id.toString();
+                try {
+                    const messageData = messageMap.get(id);
+                    if (!messageData || !(await this.messageService.expungeMessage(messageData))) {
+                        throw new Error('Message not found');
+                    }
+                    results.push({ id, success: true });
+                } catch (err) {
+                    results.push({ id, success: false, error: err.message });
+                }
+            }
+        }
+
+        return this.buildReport('delete', targets, results, false);
+    }
+}
+
+module.exports = BulkService;
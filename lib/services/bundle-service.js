@@ -0,0 +1,232 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const { resolveMessageRef } = require('../message-ref');
+
+// Limits for a single bundle unless configured otherwise
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 100;
+const DEFAULT_MAX_MESSAGES = 200;
+
+/**
+ * Make a filename safe for a ZIP entry
+ */
+function safeFilename(filename, fallback) {
+    const name = (filename || '')
+        .replace(/[\\/]+/g, '_')
+        .replace(/[\x00-\x1f\x7f]+/g, '')
+        .replace(/^\.+/, '')
+        .trim();
+    return name || fallback;
+}
+
+/**
+ * Give every file a unique name, duplicates become "name (2).ext"
+ */
+function dedupeFilenames(files) {
+    const used = new Set();
+    for (const file of files) {
+        const dot = file.filename.lastIndexOf('.');
+        const base = dot > 0 ? file.filename.substr(0, dot) : file.filename;
+        const ext = dot > 0 ? file.filename.substr(dot) : '';
+
+        let name = file.filename;
+        for (let i = 2; used.has(name.toLowerCase()); i++) {
+            name = `${base} (${i})${ext}`;
+        }
+        used.add(name.toLowerCase());
+        file.filename = name;
+    }
+    return files;
+}
+
+/**
+ * Service for ZIP bundles of attachments. The list of files is stored in Redis
+ * and a signed URL streams the ZIP straight from GridFS
+ */
+class BundleService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.messageService = options.messageService;
+        this.attachmentService = options.attachmentService;
+    }
+
+    getLimits() {
+        const limits = this.config?.bundles || {};
+        return {
+            maxSize: Number(limits.maxSize) || DEFAULT_MAX_SIZE,
+            maxFiles: Number(limits.maxFiles) || DEFAULT_MAX_FILES,
+            maxMessages: Number(limits.maxMessages) || DEFAULT_MAX_MESSAGES
+        };
+    }
+
+    getBundleKey(bundleId) {
+        return `mcp:bundle:${bundleId}`;
+    }
+
+    /**
+     * Find the messages to collect attachments from
+     * @param {string} userId - User ID
+     * @param {Object} options - One of messageId, threadId or filter (searchMessages fields)
+     * @returns {Object[]} Messages with their attachment lists
+     */
+    async resolveMessages(userId, options, maxMessages) {
+        let query;
+        if (options.messageId) {
+            query = await resolveMessageRef(this.db, userId, options.messageId);
+        } else if (options.threadId) {
+            if (!ObjectId.isValid(options.threadId)) {
+                throw new Error('Invalid thread ID');
+            }
+            query = { user: new ObjectId(userId), thread: new ObjectId(options.threadId) };
+        } else if (options.filter && typeof options.filter === 'object') {
+            query = await this.messageService.buildSearchFilter(userId, { ...options.filter, attachments: true });
+        } else {
+            throw new Error('One of messageId, threadId or filter is required');
+        }
+
+        const messages = await this.db.database.collection('messages')
+            .find(query, { projection: { _id: 1, subject: 1, idate: 1, attachments: 1, 'mimeTree.attachmentMap': 1 } })
+            .sort({ idate: 1 })
+            .limit(options.messageId ? 1 : maxMessages + 1)
+            .toArray();
+
+        if (!messages.length && options.messageId) {
+            throw new Error('Message not found');
+        }
+        if (messages.length > maxMessages) {
+            throw new Error(`Bundle matches more than ${maxMessages} messages. Narrow the filter`);
+        }
+
+        return messages;
+    }
+
+    /**
+     * Collect attachments into a bundle and return a signed ZIP download URL
+     * @param {string} userId - User ID
+     * @param {Object} options - { messageId | threadId | filter, filenameContains, includeInline, name }
+     * @param {string} baseUrl - Base URL for the download link
+     * @returns {Object} Download URL, expiry and the list of bundled files
+     */
+    async createBundle(userId, options, baseUrl) {
+        if (!this.redis) {
+            throw new Error('Attachment bundles require Redis');
+        }
+
+        const limits = this.getLimits();
+        const messages = await this.resolveMessages(userId, options, limits.maxMessages);
+        const match = options.filenameContains ? options.filenameContains.toLowerCase() : null;
+
+        const candidates = [];
+        for (const message of messages) {
+            const attachmentMap = message.mimeTree?.attachmentMap || {};
+            for (const att of message.attachments || []) {
+                if (att.related && !options.includeInline) {
+                    // Embedded images of HTML bodies
+                    continue;
+                }
+                if (match && !(att.filename || '').toLowerCase().includes(match)) {
+                    continue;
+                }
+                candidates.push({
+                    messageId: message._id.toString(),
+                    attachmentId: att.id,
+                    gridfsId: attachmentMap[att.id] || att.id,
+                    filename: safeFilename(att.filename, `attachment-${candidates.length + 1}`),
+                    contentType: att.contentType || 'application/octet-stream'
+                });
+            }
+        }
+
+        if (!candidates.length) {
+            throw new Error('No attachments found');
+        }
+        if (candidates.length > limits.maxFiles) {
+            throw new Error(`Bundle would contain ${candidates.length} files, which exceeds the limit of ${limits.maxFiles}. Narrow the filter or use filenameContains`);
+        }
+
+        // Sizes come from GridFS, the size in message.attachments is the encoded size
+        const gridfsFiles = await this.db.gridfs.collection('attachments.files')
+            .find({ _id: { $in: candidates.map(file => file.gridfsId) } }, { projection: { _id: 1, length: 1 } })
+            .toArray();
+        const sizes = new Map(gridfsFiles.map(file => [file._id.toString(), file.length]));
+
+        const files = dedupeFilenames(candidates.filter(file => sizes.has(file.gridfsId.toString())));
+        const totalSize = files.reduce((sum, file) => sum + sizes.get(file.gridfsId.toString()), 0);
+        if (totalSize > limits.maxSize) {
+            throw new Error(`Bundle would be ${totalSize} bytes, which exceeds the limit of ${limits.maxSize} bytes. Narrow the filter or use filenameContains`);
+        }
+
+        const bundleId = crypto.randomBytes(12).toString('hex');
+        const name = `${safeFilename(options.name, 'attachments').replace(/\.zip$/i, '')}.zip`;
+        const { url, expires } = this.attachmentService.generateSecureBundleUrl(userId, bundleId, name, baseUrl);
+
+        await this.redis.set(this.getBundleKey(bundleId), JSON.stringify({
+            user: String(userId),
+            name,
+            files: files.map(file => ({ messageId: file.messageId, attachmentId: file.attachmentId, filename: file.filename }))
+        }), 'EX', Math.max(expires - Math.floor(Date.now() / 1000), 1));
+
+        this.logger.verbose('MCP-BUNDLE', 'Created bundle=%s user=%s files=%d size=%d', bundleId, userId, files.length, totalSize);
+
+        return {
+            url,
+            expiresAt: new Date(expires * 1000).toISOString(),
+            filename: name,
+            totalSize,
+            messages: messages.length,
+            files: files.map(file => ({
+                filename: file.filename,
+                messageId: file.messageId,
+                attachmentId: file.attachmentId,
+                contentType: file.contentType,
+                size: sizes.get(file.gridfsId.toString())
+            }))
+        };
+    }
+
+    /**
+     * Load a bundle for download. Ownership of every message is checked again,
+     * files of deleted or moved messages are left out
+     * @returns {Object} { name, files: [{ filename, attachment (GridFS file) }] }
+     */
+    async getBundleFiles(userId, bundleId) {
+        const data = await this.redis.get(this.getBundleKey(bundleId));
+        const bundle = data ? JSON.parse(data) : null;
+        if (!bundle || bundle.user !== String(userId)) {
+            throw new Error('Bundle not found');
+        }
+
+        const messageIds = [...new Set(bundle.files.map(file => file.messageId))];
+        const messages = await this.db.database.collection('messages')
+            .find({
+                _id: { $in: messageIds.map(id => new ObjectId(id)) },
+                user: new ObjectId(userId)
+            }, { projection: { _id: 1, 'mimeTree.attachmentMap': 1 } })
+            .toArray();
+        const attachmentMaps = new Map(messages.map(message => [message._id.toString(), message.mimeTree?.attachmentMap || {}]));
+
+        const files = [];
+        for (const file of bundle.files) {
+            const attachmentMap = attachmentMaps.get(file.messageId);
+            if (!attachmentMap) {
+                this.logger.info('MCP-BUNDLE', 'Skipping file of missing message bundle=%s message=%s', bundleId, file.messageId);
+                continue;
+            }
+            const attachment = await this.db.gridfs.collection('attachments.files').findOne({
+                _id: attachmentMap[file.attachmentId] || file.attachmentId
+            });
+            if (attachment) {
+                files.push({ filename: file.filename, attachment });
+            }
+        }
+
+        return { name: bundle.name, files };
+    }
+}
+
+module.exports = BundleService;
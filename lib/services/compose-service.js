@@ -0,0 +1,731 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { resolveMessageRef } = require('../message-ref');
+
+// Message meta field that marks a draft as being replaced by updateDraft or sent by sendDraft
+const DRAFT_CLAIM_KEY = 'mcpDraftClaim';
+
+// A claim older than this is left over from a failed update and can be taken over
+const DRAFT_CLAIM_TTL = 5 * 60 * 1000;
+
+// Total size (bytes) of the original attachments a forward or draft may carry unless configured otherwise
+const DEFAULT_MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Normalize a recipient input (string, comma separated string or array) to an array
+ * @param {string|string[]} value - Recipient input
+ * @returns {string[]} Array of recipient strings
+ */
+function normalizeRecipients(value) {
+    if (!value) {
+        return [];
+    }
+
+    return [].concat(value)
+        .flatMap(entry => typeof entry === 'string' ? entry.split(',') : [entry])
+        .map(entry => typeof entry === 'string' ? entry.trim() : entry)
+        .filter(entry => entry);
+}
+
+/**
+ * Remove duplicate addresses and addresses found in the exclude lists
+ * @param {Object[]} addresses - Address objects ({ name, address })
+ * @param {string[]} exclude - Lowercased addresses to skip
+ * @param {Object[]} existing - Address objects already in use
+ * @returns {Object[]} Filtered address objects
+ */
+function dedupeAddresses(addresses, exclude = [], existing = []) {
+    const seen = new Set(exclude.concat(existing.map(addr => (addr.address || '').toLowerCase())));
+    const result = [];
+
+    for (const addr of [].concat(addresses || [])) {
+        const key = (addr && addr.address || '').toLowerCase();
+        if (!key || seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        result.push({ name: addr.name || '', address: addr.address });
+    }
+
+    return result;
+}
+
+/**
+ * Prefix a subject with Re/Fwd unless it already has that prefix
+ */
+function prefixSubject(subject, prefix) {
+    subject = (subject || '').trim();
+    if (new RegExp('^' + prefix + '\\s*:', 'i').test(subject)) {
+        return subject;
+    }
+    return `${prefix}: ${subject}`;
+}
+
+/**
+ * Build the References chain for a reply or forward of the given message
+ */
+function buildReferences(original) {
+    const references = [].concat(original.references || []);
+    if (original.messageId && !references.includes(original.messageId)) {
+        references.push(original.messageId);
+    }
+    return references;
+}
+
+/**
+ * Format an address object for display in quoted headers
+ */
+function formatAddress(addr) {
+    if (!addr) {
+        return '';
+    }
+    return addr.name ? `${addr.name} <${addr.address}>` : addr.address;
+}
+
+/**
+ * Quote the original body for a reply
+ */
+function quoteText(original) {
+    const date = original.headerDate || original.date;
+    const header = `On ${date ? new Date(date).toUTCString() : 'an unknown date'}, ${formatAddress(original.from) || 'unknown sender'} wrote:`;
+    const body = (original.body || '').replace(/\r?\n/g, '\n').trimEnd();
+
+    return header + '\n' + body.split('\n').map(line => '> ' + line).join('\n');
+}
+
+/**
+ * Build the forwarded message block
+ */
+function forwardText(original) {
+    const date = original.headerDate || original.date;
+    const lines = [
+        '---------- Forwarded message ----------',
+        `From: ${formatAddress(original.from)}`,
+        `Date: ${date ? new Date(date).toUTCString() : ''}`,
+        `Subject: ${original.subject}`,
+        `To: ${original.to.map(formatAddress).join(', ')}`
+    ];
+
+    if (original.cc.length) {
+        lines.push(`Cc: ${original.cc.map(formatAddress).join(', ')}`);
+    }
+
+    return lines.join('\n') + '\n\n' + (original.body || '');
+}
+
+/**
+ * Wrap quoted plain text into an HTML blockquote
+ */
+function htmlQuote(text) {
+    const escaped = text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>\n');
+    return `<br><blockquote type="cite">${escaped}</blockquote>`;
+}
+
+/**
+ * Service for composing, submitting and storing outgoing messages
+ */
+class ComposeService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.messageHandler = options.messageHandler;
+        this.userService = options.userService;
+        this.messageService = options.messageService;
+        this.attachmentService = options.attachmentService;
+
+        // Allow the submission transport to be injected (eg. a local stand-in),
+        // otherwise it is created lazily from the [mcp.smtp] config section
+        this.transport = options.submitTransport || null;
+    }
+
+    /**
+     * Get the SMTP submission transport
+     * @returns {Object} Nodemailer transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            const smtpConfig = this.config?.smtp;
+            if (!smtpConfig) {
+                throw new Error('SMTP submission is not configured');
+            }
+
+            this.transport = nodemailer.createTransport(smtpConfig);
+        }
+
+        return this.transport;
+    }
+
+    /**
+     * Resolve the sender identity from the user's addresses
+     * @param {string} userId - User ID
+     * @param {string} from - Address or address ID to send from (optional, defaults to main address)
+     * @returns {Object} Identity with name and address
+     */
+    async resolveIdentity(userId, from) {
+        const userInfo = await this.userService.getUserInfo(userId);
+
+        let identity;
+        if (from) {
+            const value = from.trim().toLowerCase();
+            identity = userInfo.addresses.find(addr =>
+                addr.id === from || addr.address.toLowerCase() === value
+            );
+
+            if (!identity) {
+                throw new Error(`Address ${from} does not belong to this user`);
+            }
+        } else {
+            identity = userInfo.addresses.find(addr => addr.main) || userInfo.addresses[0];
+
+            if (!identity) {
+                throw new Error('User has no addresses to send from');
+            }
+        }
+
+        return {
+            name: identity.name || userInfo.name || '',
+            address: identity.address
+        };
+    }
+
+    /**
+     * Compile a message into RFC 822 format
+     * @param {Object} data - Nodemailer message data
+     * @returns {Object} Compiled message with raw (for submission), stored (keeps Bcc), envelope and messageId
+     */
+    async compileMessage(data) {
+        const mail = new MailComposer(data).compile();
+
+        const envelope = mail.getEnvelope();
+        const messageId = mail.messageId();
+        const raw = await mail.build();
+
+        // Stored copies keep the Bcc header so the sender can see who was included
+        mail.keepBcc = true;
+        const stored = await mail.build();
+
+        return { raw, stored, envelope, messageId };
+    }
+
+    /**
+     * Store a raw message in a special-use mailbox
+     * @param {string} userId - User ID
+     * @param {string} specialUse - Special-use flag of the target mailbox (eg. \Sent)
+     * @param {Buffer} raw - RFC 822 message source
+     * @param {string[]} flags - Message flags
+     * @returns {Object} Stored message info
+     */
+    async storeMessage(userId, specialUse, raw, flags = []) {
+        if (!this.messageHandler) {
+            throw new Error('MessageHandler not available');
+        }
+
+        const { data } = await this.messageHandler.addAsync({
+            user: new ObjectId(userId),
+            specialUse,
+            flags,
+            raw,
+            date: new Date()
+        });
+
+        return {
+            id: data.id,
+            uid: data.uid,
+            mailbox: data.mailbox,
+            mailboxPath: data.mailboxPath
+        };
+    }
+
+    /**
+     * Submit a compiled message over SMTP and store a copy in the Sent mailbox
+     * @param {string} userId - User ID
+     * @param {Object} data - Nodemailer message data
+     * @returns {Object} Submission result
+     */
+    async submitMessage(userId, data) {
+        const compiled = await this.compileMessage(data);
+
+        this.logger.info('MCP-COMPOSE', 'Submitting message user=%s messageId=%s recipients=%d',
+            userId, compiled.messageId, compiled.envelope.to.length);
+
+        const info = await this.getTransport().sendMail({
+            envelope: compiled.envelope,
+            raw: compiled.raw
+        });
+
+        // The message is already out, so a failure to store the copy must not look like a failed send
+        let sent = null;
+        try {
+            sent = await this.storeMessage(userId, '\\Sent', compiled.stored, ['\\Seen']);
+        } catch (err) {
+            this.logger.error('MCP-COMPOSE', 'Failed to store sent copy user=%s error=%s', userId, err.message);
+        }
+
+        return {
+            success: true,
+            messageId: compiled.messageId,
+            from: data.from.address,
+            envelope: compiled.envelope,
+            response: info.response,
+            sent
+        };
+    }
+
+    /**
+     * Send an email and store a copy in the Sent mailbox
+     */
+    async sendEmail(userId, options = {}) {
+        const to = normalizeRecipients(options.to);
+        const cc = normalizeRecipients(options.cc);
+        const bcc = normalizeRecipients(options.bcc);
+
+        if (!to.length && !cc.length && !bcc.length) {
+            throw new Error('At least one recipient is required');
+        }
+
+        if (!options.text && !options.html) {
+            throw new Error('Message text or html is required');
+        }
+
+        const from = await this.resolveIdentity(userId, options.from);
+
+        return await this.submitMessage(userId, {
+            from,
+            to,
+            cc,
+            bcc,
+            subject: options.subject || '',
+            text: options.text,
+            html: options.html
+        });
+    }
+
+    /**
+     * Reply to a message, optionally to all recipients
+     */
+    async replyToMessage(userId, messageId, options = {}) {
+        if (!options.text && !options.html) {
+            throw new Error('Message text or html is required');
+        }
+
+        const original = await this.messageService.getMessage(userId, messageId, {
+            includeBody: true
+        });
+
+        const from = await this.resolveIdentity(userId, options.from);
+        const ownAddresses = await this.getOwnAddresses(userId);
+
+        const to = dedupeAddresses([original.replyTo || original.from].filter(Boolean));
+        let cc = [];
+
+        if (options.replyAll) {
+            // Keep everyone from the original conversation except ourselves and the primary recipients
+            to.push(...dedupeAddresses(original.to, ownAddresses, to));
+            cc = dedupeAddresses(original.cc, ownAddresses, to);
+        }
+
+        if (!to.length) {
+            throw new Error('Original message has no address to reply to');
+        }
+
+        const quote = quoteText(original);
+
+        const result = await this.submitMessage(userId, {
+            from,
+            to,
+            cc: cc.concat(normalizeRecipients(options.cc)),
+            bcc: normalizeRecipients(options.bcc),
+            subject: prefixSubject(original.subject, 'Re'),
+            inReplyTo: original.messageId,
+            references: buildReferences(original),
+            text: (options.text || '') + '\n\n' + quote,
+            html: options.html ? options.html + htmlQuote(quote) : undefined
+        });
+
+        await this.markOriginal(userId, original.id, '\\Answered');
+        result.thread = await this.getStoredThread(result.sent);
+        result.originalThread = original.thread ? original.thread.toString() : null;
+
+        return result;
+    }
+
+    /**
+     * Forward a message including its attachments
+     */
+    async forwardMessage(userId, messageId, options = {}) {
+        const to = normalizeRecipients(options.to);
+        const cc = normalizeRecipients(options.cc);
+        const bcc = normalizeRecipients(options.bcc);
+
+        if (!to.length && !cc.length && !bcc.length) {
+            throw new Error('At least one recipient is required');
+        }
+
+        const original = await this.messageService.getMessage(userId, messageId, {
+            includeBody: true
+        });
+
+        const from = await this.resolveIdentity(userId, options.from);
+
+        const attachments = options.includeAttachments !== false
+            ? await this.getOriginalAttachments(userId, original.id)
+            : [];
+
+        const forwarded = forwardText(original);
+
+        const result = await this.submitMessage(userId, {
+            from,
+            to,
+            cc,
+            bcc,
+            subject: prefixSubject(original.subject, 'Fwd'),
+            references: buildReferences(original),
+            text: (options.text ? options.text + '\n\n' : '') + forwarded,
+            html: options.html ? options.html + htmlQuote(forwarded) : undefined,
+            attachments
+        });
+
+        await this.markOriginal(userId, original.id, '$Forwarded');
+        result.thread = await this.getStoredThread(result.sent);
+        result.originalThread = original.thread ? original.thread.toString() : null;
+        result.attachments = attachments.length;
+
+        return result;
+    }
+
+    /**
+     * Get the user's Drafts mailbox
+     */
+    async getDraftsMailbox(userId) {
+        const mailbox = await this.db.database.collection('mailboxes').findOne({
+            user: new ObjectId(userId),
+            specialUse: '\\Drafts'
+        });
+
+        if (!mailbox) {
+            throw new Error('Drafts mailbox not found');
+        }
+
+        return mailbox;
+    }
+
+    /**
+     * Load a draft message document from the Drafts mailbox
+     * @param {string} userId - User ID
+     * @param {string} draftId - Draft message ID, Drafts:uid or a bare UID, which is scoped to the Drafts mailbox
+     * @returns {Object} Full message document
+     */
+    async getDraft(userId, draftId) {
+        const mailbox = await this.getDraftsMailbox(userId);
+        const query = await resolveMessageRef(this.db, userId, draftId, { mailbox: mailbox._id });
+
+        const draft = await this.db.database.collection('messages').findOne(query);
+
+        if (!draft || !draft.draft) {
+            throw new Error('Draft not found');
+        }
+
+        return draft;
+    }
+
+    /**
+     * Extract composable message data from a stored draft
+     * @param {string} userId - User ID
+     * @param {Object} draft - Full draft message document
+     * @param {string} [from] - Sender address or address ID replacing the stored one, which may no longer exist
+     * @returns {Object} Nodemailer message data
+     */
+    async getDraftContent(userId, draft, from) {
+        const parsedHeader = (draft.mimeTree && draft.mimeTree.parsedHeader) || {};
+        const storedFrom = parsedHeader.from ? [].concat(parsedHeader.from)[0] : null;
+
+        return {
+            from: await this.resolveIdentity(userId, from || (storedFrom && storedFrom.address)),
+            to: [].concat(parsedHeader.to || []),
+            cc: [].concat(parsedHeader.cc || []),
+            bcc: [].concat(parsedHeader.bcc || []),
+            subject: draft.subject || parsedHeader.subject || '',
+            inReplyTo: parsedHeader['in-reply-to'],
+            references: parsedHeader.references,
+            text: draft.text ? draft.text + (draft.textFooter || '') : undefined,
+            html: draft.html && draft.html.length ? [].concat(draft.html).join('') : undefined,
+            attachments: await this.getOriginalAttachments(userId, draft._id.toString())
+        };
+    }
+
+    /**
+     * Compile and store a draft in the Drafts mailbox
+     */
+    async storeDraft(userId, data) {
+        const compiled = await this.compileMessage(data);
+        const stored = await this.storeMessage(userId, '\\Drafts', compiled.stored, ['\\Draft', '\\Seen']);
+
+        return {
+            success: true,
+            id: stored.id,
+            uid: stored.uid,
+            messageId: compiled.messageId,
+            mailbox: stored.mailbox
+        };
+    }
+
+    /**
+     * Create a new draft for later review
+     */
+    async createDraft(userId, options = {}) {
+        let threading = {};
+        if (options.replyToMessageId) {
+            // Draft a reply, keep threading headers so it lands in the original thread once sent
+            const original = await this.messageService.getMessage(userId, options.replyToMessageId, {
+                includeBody: false
+            });
+            threading = {
+                inReplyTo: original.messageId,
+                references: buildReferences(original)
+            };
+        }
+
+        return await this.storeDraft(userId, {
+            from: await this.resolveIdentity(userId, options.from),
+            to: normalizeRecipients(options.to),
+            cc: normalizeRecipients(options.cc),
+            bcc: normalizeRecipients(options.bcc),
+            subject: options.subject || '',
+            text: options.text,
+            html: options.html,
+            ...threading
+        });
+    }
+
+    /**
+     * Replace a draft with updated content. Fields that are not provided keep their previous values
+     */
+    async updateDraft(userId, draftId, options = {}) {
+        const draft = await this.getDraft(userId, draftId);
+        const content = await this.getDraftContent(userId, draft, options.from);
+
+        ['to', 'cc', 'bcc'].forEach(key => {
+            if (options[key] !== undefined) {
+                content[key] = normalizeRecipients(options[key]);
+            }
+        });
+
+        ['subject', 'text', 'html'].forEach(key => {
+            if (options[key] !== undefined) {
+                content[key] = options[key];
+            }
+        });
+
+        // Claim the old version first, a concurrent update of the same draft must not create a second copy
+        await this.claimDraft(draft);
+
+        // Store the new version before removing the old one so the draft is never lost
+        let result;
+        try {
+            result = await this.storeDraft(userId, content);
+        } catch (err) {
+            await this.releaseDraft(draft);
+            throw err;
+        }
+
+        try {
+            await this.messageService.expungeMessage(draft);
+        } catch (err) {
+            this.logger.error('MCP-COMPOSE', 'Failed to replace draft %s error=%s', draft._id, err.message);
+            await this.removeStoredDraft(userId, result.id);
+            await this.releaseDraft(draft);
+            throw err;
+        }
+
+        result.replaced = draft._id.toString();
+        return result;
+    }
+
+    /**
+     * Mark a draft as being replaced or sent. Fails when the draft changed since it
+     * was loaded or another update or send holds it
+     */
+    async claimDraft(draft) {
+        const result = await this.db.database.collection('messages').findOneAndUpdate(
+            {
+                _id: draft._id,
+                mailbox: draft.mailbox,
+                modseq: draft.modseq,
+                [`meta.${DRAFT_CLAIM_KEY}`]: { $not: { $gt: new Date(Date.now() - DRAFT_CLAIM_TTL) } }
+            },
+            { $set: { [`meta.${DRAFT_CLAIM_KEY}`]: new Date() } },
+            { projection: { _id: 1 } }
+        );
+
+        // Driver 4 wraps the document in { value }, newer drivers return it directly
+        const claimed = result && result.value !== undefined ? result.value : result;
+        if (!claimed) {
+            throw new Error('Draft was changed or is being updated or sent by another request, load it again');
+        }
+    }
+
+    /**
+     * Release the claim on a draft that was not replaced after all
+     */
+    async releaseDraft(draft) {
+        try {
+            await this.db.database.collection('messages').updateOne(
+                { _id: draft._id, mailbox: draft.mailbox },
+                { $unset: { [`meta.${DRAFT_CLAIM_KEY}`]: true } }
+            );
+        } catch (err) {
+            this.logger.error('MCP-COMPOSE', 'Failed to release draft %s error=%s', draft._id, err.message);
+        }
+    }
+
+    /**
+     * Expunge a copy stored by a draft update that could not be completed
+     */
+    async removeStoredDraft(userId, id) {
+        try {
+            const stored = await this.db.database.collection('messages').findOne({
+                _id: new ObjectId(id),
+                user: new ObjectId(userId)
+            });
+            if (stored) {
+                await this.messageService.expungeMessage(stored);
+            }
+        } catch (err) {
+            this.logger.error('MCP-COMPOSE', 'Failed to remove draft copy %s error=%s', id, err.message);
+        }
+    }
+
+    /**
+     * List drafts from the Drafts mailbox
+     */
+    async listDrafts(userId, options = {}) {
+        const mailbox = await this.getDraftsMailbox(userId);
+
+        return await this.messageService.getMessages(userId, {
+            ...options,
+            mailbox: mailbox._id.toString()
+        });
+    }
+
+    /**
+     * Send a draft and remove it from the Drafts mailbox
+     * @param {Object} [options] - { from: sender address or address ID replacing the one of the draft }
+     */
+    async sendDraft(userId, draftId, options = {}) {
+        const draft = await this.getDraft(userId, draftId);
+        const content = await this.getDraftContent(userId, draft, options.from);
+
+        if (!content.to.length && !content.cc.length && !content.bcc.length) {
+            throw new Error('Draft has no recipients');
+        }
+
+        // Claim the draft first, concurrent sends or an update of the same draft must not send it twice
+        await this.claimDraft(draft);
+
+        let result;
+        try {
+            result = await this.submitMessage(userId, content);
+        } catch (err) {
+            await this.releaseDraft(draft);
+            throw err;
+        }
+
+        // A draft that could not be removed stays claimed, so it is not sent again right away
+        try {
+            await this.messageService.expungeMessage(draft);
+        } catch (err) {
+            this.logger.error('MCP-COMPOSE', 'Failed to remove sent draft %s error=%s', draft._id, err.message);
+        }
+
+        result.draft = draft._id.toString();
+        return result;
+    }
+
+    /**
+     * Get all addresses that belong to the user
+     * @param {string} userId - User ID
+     * @returns {string[]} Lowercased addresses
+     */
+    async getOwnAddresses(userId) {
+        const userInfo = await this.userService.getUserInfo(userId);
+        return userInfo.addresses.map(addr => addr.address.toLowerCase());
+    }
+
+    /**
+     * Load the attachments of a stored message from GridFS. The attachments are held
+     * in memory while the message is built, so their total size is limited
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ObjectId
+     * @returns {Object[]} Nodemailer attachment list
+     */
+    async getOriginalAttachments(userId, messageId) {
+        const maxSize = Number(this.config?.compose?.maxAttachmentSize) || DEFAULT_MAX_ATTACHMENT_SIZE;
+        const message = await this.db.database.collection('messages').findOne(
+            { _id: new ObjectId(messageId), user: new ObjectId(userId) },
+            { projection: { attachments: 1 } }
+        );
+
+        // Check the sizes from GridFS before anything is read
+        const files = [];
+        let total = 0;
+        for (const att of (message && message.attachments) || []) {
+            const info = await this.attachmentService.getAttachment(userId, messageId, att.id, 'info');
+            total += info.size || 0;
+            if (total > maxSize) {
+                throw new Error(`Attachments of message ${messageId} exceed the limit of ${maxSize} bytes (mcp.compose.maxAttachmentSize)`);
+            }
+            files.push(att);
+        }
+
+        const attachments = [];
+        for (const att of files) {
+            const data = await this.attachmentService.getAttachment(userId, messageId, att.id, 'buffer', { maxSize });
+            attachments.push({
+                filename: data.filename || att.filename || 'attachment',
+                contentType: data.contentType || att.contentType,
+                content: data.data
+            });
+        }
+
+        return attachments;
+    }
+
+    /**
+     * Add a flag to the original message after replying or forwarding
+     */
+    async markOriginal(userId, messageId, flag) {
+        try {
+            await this.messageService.updateMessageFlags(userId, messageId, [flag], 'add');
+        } catch (err) {
+            this.logger.warn('MCP-COMPOSE', 'Failed to flag original message %s flag=%s error=%s', messageId, flag, err.message);
+        }
+    }
+
+    /**
+     * Look up the thread ID WildDuck assigned to a stored message
+     */
+    async getStoredThread(stored) {
+        if (!stored) {
+            return null;
+        }
+
+        const message = await this.db.database.collection('messages').findOne(
+            { _id: new ObjectId(stored.id) },
+            { projection: { thread: 1 } }
+        );
+
+        return message && message.thread ? message.thread.toString() : null;
+    }
+}
+
+module.exports = ComposeService;
+module.exports.normalizeRecipients = normalizeRecipients;
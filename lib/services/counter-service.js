@@ -0,0 +1,195 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+
+// Seconds a cached counter entry lives unless configured otherwise
+const DEFAULT_CACHE_TTL = 30;
+
+/**
+ * Service for mailbox message counters (messages, unread, size).
+ * Counters for any number of mailboxes are computed with a single grouped
+ * aggregation and optionally cached in Redis. A cache entry is only reused
+ * while the mailbox modseq (modifyIndex) is unchanged, WildDuck bumps it on
+ * every add, expunge and flag change
+ */
+class CounterService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+    }
+
+    /**
+     * Get the cache TTL in seconds, 0 disables caching
+     */
+    getCacheTtl() {
+        const ttl = this.config?.counterCacheTtl;
+        if (ttl === undefined || ttl === null) {
+            return DEFAULT_CACHE_TTL;
+        }
+        return Math.max(Number(ttl) || 0, 0);
+    }
+
+    getCacheKey(userId) {
+        return `mcp:counters:${userId}`;
+    }
+
+    /**
+     * Get counters for a list of mailboxes of one user
+     * @param {string} userId - User ID
+     * @param {Object[]} mailboxes - Mailbox documents (need _id and modifyIndex)
+     * @returns {Map} Mailbox ID string -> { messages, unread, size }
+     */
+    async getCounters(userId, mailboxes) {
+        const counters = new Map();
+        if (!mailboxes.length) {
+            return counters;
+        }
+
+        const ttl = this.getCacheTtl();
+        const cached = ttl ? await this.readCache(userId) : {};
+
+        const stale = [];
+        for (const mailbox of mailboxes) {
+            const id = mailbox._id.toString();
+            const entry = cached[id];
+            if (entry && entry.modseq === (mailbox.modifyIndex || 0)) {
+                counters.set(id, { messages: entry.messages, unread: entry.unread, size: entry.size });
+            } else {
+                stale.push(mailbox);
+            }
+        }
+
+        if (!stale.length) {
+            return counters;
+        }
+
+        const fresh = await this.aggregate(userId, stale, stale.length === mailboxes.length && mailboxes.length > 1);
+        for (const mailbox of stale) {
+            const id = mailbox._id.toString();
+            counters.set(id, fresh.get(id) || { messages: 0, unread: 0, size: 0 });
+        }
+
+        if (ttl) {
+            await this.writeCache(userId, stale, counters, ttl);
+        }
+
+        return counters;
+    }
+
+    /**
+     * Get counters for a single mailbox
+     * @param {string} userId - User ID
+     * @param {Object} mailbox - Mailbox document
+     * @returns {Object} { messages, unread, size }
+     */
+    async getMailboxCounters(userId, mailbox) {
+        const counters = await this.getCounters(userId, [mailbox]);
+        return counters.get(mailbox._id.toString());
+    }
+
+    /**
+     * Count messages for the given mailboxes in one grouped aggregation
+     * @param {string} userId - User ID
+     * @param {Object[]} mailboxes - Mailbox documents
+     * @param {boolean} allMailboxes - Match the whole account instead of listing mailbox IDs
+     * @returns {Map} Mailbox ID string -> counters
+     */
+    async aggregate(userId, mailboxes, allMailboxes) {
+        const match = { user: new ObjectId(userId) };
+        if (!allMailboxes) {
+            match.mailbox = mailboxes.length === 1 ? mailboxes[0]._id : { $in: mailboxes.map(mailbox => mailbox._id) };
+        }
+
+        const stats = await this.db.database.collection('messages').aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$mailbox',
+                    total: { $sum: 1 },
+                    unread: {
+                        $sum: {
+                            $cond: [{ $in: ['\\Seen', '$flags'] }, 0, 1]
+                        }
+                    },
+                    size: { $sum: '$size' }
+                }
+            }
+        ]).toArray();
+
+        const result = new Map();
+        for (const entry of stats) {
+            result.set(entry._id.toString(), {
+                messages: entry.total,
+                unread: entry.unread,
+                size: entry.size
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Read cached counters, errors are logged and treated as a cache miss
+     */
+    async readCache(userId) {
+        if (!this.redis) {
+            return {};
+        }
+
+        try {
+            const entries = (await this.redis.hgetall(this.getCacheKey(userId))) || {};
+            const cached = {};
+            for (const [id, value] of Object.entries(entries)) {
+                try {
+                    cached[id] = JSON.parse(value);
+                } catch (err) {
+                    // ignore broken entries, they are recomputed
+                }
+            }
+            return cached;
+        } catch (err) {
+            this.logger.error('MCP-COUNTERS', 'Failed to read counter cache user=%s error=%s', userId, err.message);
+            return {};
+        }
+    }
+
+    /**
+     * Store freshly computed counters together with the modseq they belong to
+     */
+    async writeCache(userId, mailboxes, counters, ttl) {
+        if (!this.redis) {
+            return;
+        }
+
+        const key = this.getCacheKey(userId);
+        const fields = {};
+        for (const mailbox of mailboxes) {
+            const id = mailbox._id.toString();
+            fields[id] = JSON.stringify({ modseq: mailbox.modifyIndex || 0, ...counters.get(id) });
+        }
+
+        try {
+            await this.redis.multi().hmset(key, fields).expire(key, ttl).exec();
+        } catch (err) {
+            this.logger.error('MCP-COUNTERS', 'Failed to write counter cache user=%s error=%s', userId, err.message);
+        }
+    }
+
+    /**
+     * Drop cached counters for a user, eg. after mailboxes were deleted
+     */
+    async invalidate(userId) {
+        if (!this.redis) {
+            return;
+        }
+
+        try {
+            await this.redis.del(this.getCacheKey(userId));
+        } catch (err) {
+            this.logger.error('MCP-COUNTERS', 'Failed to clear counter cache user=%s error=%s', userId, err.message);
+        }
+    }
+}
+
+module.exports = CounterService;
@@ -2,6 +2,106 @@
 
 const { ObjectId } = require('mongodb');
 
+// Same as escapeRegexStr in prepare-search-filter.js
+const escapeRegexStr = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Map mailboxHandler errors to user-friendly errors
+ * @param {Error} err - Error from the handler
+ * @returns {Error} Error to throw
+ */
+function mapMailboxError(err) {
+    if (err.code === 'UserNotFound') {
+        return new Error('User not found');
+    } else if (err.code === 'ALREADYEXISTS') {
+        return new Error('Mailbox already exists');
+    } else if (err.code === 'NONEXISTENT') {
+        return new Error('Mailbox not found');
+    } else if (err.code === 'CANNOT') {
+        return new Error(err.message);
+    }
+    return err;
+}
+
+/**
+ * Nest a flat, path-sorted mailbox list by its "/" delimiter. Each node keeps
+ * its own counters and gets a `totals` object with the rolled-up subtree counts
+ * @param {Object[]} mailboxes - Formatted mailboxes from getMailboxList
+ * @param {boolean} includeCounters - Whether the mailboxes carry counters
+ * @returns {Object[]} Root nodes
+ */
+function buildMailboxTree(mailboxes, includeCounters) {
+    const nodes = new Map();
+    const roots = [];
+
+    const getNode = path => {
+        if (nodes.has(path)) {
+            return nodes.get(path);
+        }
+
+        // Parent folder that does not exist as a mailbox of its own
+        const node = {
+            id: null,
+            name: path.split('/').pop(),
+            path,
+            virtual: true,
+            children: []
+        };
+        if (includeCounters) {
+            node.messages = 0;
+            node.unread = 0;
+            node.size = 0;
+        }
+        attach(node);
+        return node;
+    };
+
+    const attach = node => {
+        nodes.set(node.path, node);
+        const parentPath = node.path.includes('/') ? node.path.substr(0, node.path.lastIndexOf('/')) : null;
+        if (parentPath) {
+            getNode(parentPath).children.push(node);
+        } else {
+            roots.push(node);
+        }
+    };
+
+    for (const mailbox of mailboxes) {
+        if (nodes.has(mailbox.path)) {
+            // Replace a virtual placeholder created by an earlier child
+            const node = Object.assign(nodes.get(mailbox.path), mailbox);
+            delete node.virtual;
+            continue;
+        }
+        attach({ ...mailbox, children: [] });
+    }
+
+    const rollUp = node => {
+        node.children.sort((a, b) => a.path.localeCompare(b.path));
+        if (!includeCounters) {
+            node.children.forEach(rollUp);
+            return;
+        }
+
+        node.totals = {
+            messages: node.messages,
+            unread: node.unread,
+            size: node.size,
+            mailboxes: node.virtual ? 0 : 1
+        };
+        for (const child of node.children) {
+            rollUp(child);
+            node.totals.messages += child.totals.messages;
+            node.totals.unread += child.totals.unread;
+            node.totals.size += child.totals.size;
+            node.totals.mailboxes += child.totals.mailboxes;
+        }
+    };
+    roots.forEach(rollUp);
+
+    return roots;
+}
+
 /**
  * Service for mailbox operations
  */
@@ -11,12 +111,17 @@ class MailboxService {
         this.redis = options.redis;
         this.logger = options.logger;
         this.mailboxHandler = options.mailboxHandler;
+        this.counterService = options.counterService;
     }
 
     /**
      * Get all mailboxes for a user
+     * @param {string} userId - User ID
+     * @param {boolean} includeCounters - Include message counts
+     * @param {Object} options - Listing options
+     * @param {boolean} options.tree - Nest mailboxes by path with rolled-up subtree totals
      */
-    async getMailboxList(userId, includeCounters = true) {
+    async getMailboxList(userId, includeCounters = true, options = {}) {
         const user = await this.db.users.collection('users').findOne(
             { _id: new ObjectId(userId) },
             { projection: { _id: 1, username: 1, name: 1 } }
@@ -31,6 +136,11 @@ class MailboxService {
             .sort({ path: 1 })
             .toArray();
 
+        // One grouped aggregation (or cache hit) serves all mailboxes
+        const counters = includeCounters && this.counterService
+            ? await this.counterService.getCounters(userId, mailboxes)
+            : new Map();
+
         const result = [];
         for (const mailbox of mailboxes) {
             const mailboxData = {
@@ -43,25 +153,10 @@ class MailboxService {
             };
 
             if (includeCounters) {
-                // Get message counts
-                const stats = await this.db.database.collection('messages').aggregate([
-                    { $match: { mailbox: mailbox._id, user: new ObjectId(userId) } },
-                    {
-                        $group: {
-                            _id: null,
-                            total: { $sum: 1 },
-                            unread: {
-                                $sum: {
-                                    $cond: [{ $in: ['\\Seen', '$flags'] }, 0, 1]
-                                }
-                            }
-                        }
-                    }
-                ]).toArray();
-
-                const counts = stats[0] || { total: 0, unread: 0 };
-                mailboxData.messages = counts.total;
+                const counts = counters.get(mailboxData.id) || { messages: 0, unread: 0, size: 0 };
+                mailboxData.messages = counts.messages;
                 mailboxData.unread = counts.unread;
+                mailboxData.size = counts.size;
             }
 
             result.push(mailboxData);
@@ -73,7 +168,7 @@ class MailboxService {
                 username: user.username,
                 name: user.name
             },
-            mailboxes: result
+            mailboxes: options.tree ? buildMailboxTree(result, includeCounters) : result
         };
     }
 
@@ -124,17 +219,176 @@ class MailboxService {
                 created: result.status
             };
         } catch (err) {
-            // Map handler errors to user-friendly messages
-            if (err.code === 'UserNotFound') {
-                throw new Error('User not found');
-            } else if (err.code === 'ALREADYEXISTS') {
-                throw new Error('Mailbox already exists');
-            } else if (err.code === 'CANNOT') {
-                throw new Error(err.message);
+            throw mapMailboxError(err);
+        }
+    }
+
+    /**
+     * Rename a mailbox, child mailboxes are moved along with it
+     */
+    async renameMailbox(userId, mailboxIdentifier, newPath) {
+        const mailbox = await this.getMailbox(userId, mailboxIdentifier);
+
+        newPath = (newPath || '').replace(/^\/+|\/+$/g, '');
+        if (!newPath) {
+            throw new Error('New mailbox path is required');
+        }
+
+        if (mailbox.path === 'INBOX') {
+            throw new Error('INBOX cannot be renamed');
+        }
+
+        if (newPath === mailbox.path) {
+            throw new Error(`Mailbox is already named ${newPath}`);
+        }
+
+        if (newPath.startsWith(mailbox.path + '/')) {
+            throw new Error('A mailbox cannot be moved into itself');
+        }
+
+        const children = await this.db.database.collection('mailboxes')
+            .find({
+                user: new ObjectId(userId),
+                path: { $regex: '^' + escapeRegexStr(mailbox.path + '/') }
+            })
+            .toArray();
+
+        const renames = [mailbox].concat(children).map(entry => ({
+            mailbox: entry,
+            path: newPath + entry.path.substr(mailbox.path.length)
+        }));
+
+        // WildDuck refuses to rename hidden mailboxes
+        const hidden = renames.find(rename => rename.mailbox.hidden);
+        if (hidden) {
+            throw new Error(`Mailbox ${hidden.mailbox.path} is hidden, unhide it before renaming`);
+        }
+
+        // Check every target before the first rename, a conflict halfway would split the tree
+        const existing = await this.db.database.collection('mailboxes').findOne({
+            user: new ObjectId(userId),
+            path: { $in: renames.map(rename => rename.path) }
+        });
+        if (existing) {
+            throw new Error(`Mailbox ${existing.path} already exists`);
+        }
+
+        // mailboxHandler.rename only changes the path of the mailbox it is given,
+        // WildDuck leaves the children alone, so each one is renamed here
+        const completed = [];
+        try {
+            for (const rename of renames) {
+                await this.callHandler('rename', new ObjectId(userId), rename.mailbox._id, rename.path, {});
+                completed.push(rename);
+            }
+        } catch (err) {
+            // Put back what was renamed already, newest first
+            for (const rename of completed.reverse()) {
+                try {
+                    await this.callHandler('rename', new ObjectId(userId), rename.mailbox._id, rename.mailbox.path, {});
+                } catch (rollbackErr) {
+                    this.logger.error('MCP-MAILBOX', 'Failed to roll back rename mailbox=%s path=%s error=%s', rename.mailbox._id, rename.mailbox.path, rollbackErr.message);
+                }
             }
             throw err;
         }
+
+        return {
+            id: mailbox._id.toString(),
+            previousPath: mailbox.path,
+            path: newPath,
+            name: newPath.split('/').pop(),
+            renamedChildren: children.length
+        };
+    }
+
+    /**
+     * Delete a mailbox. Special-use folders cannot be deleted
+     */
+    async deleteMailbox(userId, mailboxIdentifier) {
+        const mailbox = await this.getMailbox(userId, mailboxIdentifier);
+
+        if (mailbox.path === 'INBOX' || mailbox.specialUse) {
+            throw new Error(`Cannot delete special-use mailbox ${mailbox.path}`);
+        }
+
+        // WildDuck refuses to delete hidden mailboxes
+        if (mailbox.hidden) {
+            throw new Error(`Mailbox ${mailbox.path} is hidden, unhide it before deleting`);
+        }
+
+        await this.callHandler('del', new ObjectId(userId), mailbox._id);
+
+        if (this.counterService) {
+            await this.counterService.invalidate(userId);
+        }
+
+        return {
+            id: mailbox._id.toString(),
+            path: mailbox.path,
+            deleted: true
+        };
+    }
+
+    /**
+     * Subscribe to or unsubscribe from a mailbox
+     */
+    async setMailboxSubscribed(userId, mailboxIdentifier, subscribed) {
+        const mailbox = await this.getMailbox(userId, mailboxIdentifier);
+
+        await this.callHandler('update', new ObjectId(userId), mailbox._id, { subscribed: !!subscribed });
+
+        return {
+            id: mailbox._id.toString(),
+            path: mailbox.path,
+            subscribed: !!subscribed
+        };
+    }
+
+    /**
+     * Hide or unhide a mailbox from IMAP listings
+     */
+    async setMailboxHidden(userId, mailboxIdentifier, hidden) {
+        const mailbox = await this.getMailbox(userId, mailboxIdentifier);
+
+        if (hidden && mailbox.path === 'INBOX') {
+            throw new Error('INBOX cannot be hidden');
+        }
+
+        await this.callHandler('update', new ObjectId(userId), mailbox._id, { hidden: !!hidden });
+
+        return {
+            id: mailbox._id.toString(),
+            path: mailbox.path,
+            hidden: !!hidden
+        };
+    }
+
+    /**
+     * Call a callback-style mailboxHandler method and map its errors
+     * @param {string} method - Handler method name (rename, del, update)
+     * @param {...*} args - Arguments for the handler method
+     * @returns {*} Handler result
+     */
+    async callHandler(method, ...args) {
+        if (!this.mailboxHandler) {
+            throw new Error('MailboxHandler not available');
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                this.mailboxHandler[method](...args, (err, result) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(result);
+                });
+            });
+        } catch (err) {
+            throw mapMailboxError(err);
+        }
     }
 }
 
-module.exports = MailboxService;
\ No newline at end of file
+module.exports = MailboxService;
+module.exports.buildMailboxTree = buildMailboxTree;
\ No newline at end of file
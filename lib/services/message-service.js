@@ -2,12 +2,30 @@
 
 const { ObjectId } = require('mongodb');
 const TurndownService = require('turndown');
-const { getBaseUrl } = require('../mcp-server');
+const { parseHeaderLines, parseAuthentication, buildReceivedChain } = require('../header-forensics');
+const { parseSearchQuery, compileSearchQuery } = require('../search-query');
+const { encodeCursor, decodeCursor } = require('../cursor');
+const { resolveMessageRef, matchesMessageRef, findMailboxByRef } = require('../message-ref');
+
+const escapeRegexStr = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Folder names accepted by in: that map to special-use mailboxes
+const SPECIAL_USE_NAMES = {
+    sent: '\\Sent',
+    trash: '\\Trash',
+    bin: '\\Trash',
+    spam: '\\Junk',
+    junk: '\\Junk',
+    drafts: '\\Drafts',
+    draft: '\\Drafts',
+    archive: '\\Archive'
+};
 
 // Standard projection for message queries
 const MESSAGE_PROJECTION = {
     _id: 1,
     uid: 1,
+    user: 1,  // Owner, bound into signed attachment URLs
     mailbox: 1,
     thread: 1,
     subject: 1,
@@ -64,6 +82,113 @@ function headersArrayToObject(headers) {
     return result;
 }
 
+// Message meta field that records the mailbox a trashed message was deleted from
+const RESTORE_MAILBOX_KEY = 'mcpRestoreMailbox';
+
+// Special-use mailboxes WildDuck leaves out of searches unless searchable is disabled
+const UNSEARCHABLE_SPECIAL_USE = ['\\Trash', '\\Junk'];
+
+// Special-use mailboxes that emptyMailbox works on unless configured otherwise
+const EMPTYABLE_SPECIAL_USE = ['\\Trash', '\\Junk'];
+
+// Raw message sources larger than this are not returned inline, use the download URL instead
+const MAX_INLINE_RAW_SIZE = 1024 * 1024;
+
+// System flags that can be changed through the flag tools
+const SYSTEM_FLAGS = ['\\Seen', '\\Answered', '\\Flagged', '\\Draft', '\\Deleted'];
+
+// Boolean message fields WildDuck keeps in sync with system flags
+const FLAG_FIELDS = {
+    '\\Seen': { field: 'unseen', inverse: true },
+    '\\Flagged': { field: 'flagged', inverse: false },
+    '\\Draft': { field: 'draft', inverse: false },
+    '\\Deleted': { field: 'undeleted', inverse: true }
+};
+
+// System flags messageHandler.update() can add or remove, and the change key it uses for them
+const HANDLER_FLAGS = {
+    '\\Seen': 'seen',
+    '\\Flagged': 'flagged',
+    '\\Deleted': 'deleted'
+};
+
+/**
+ * Validate and normalize a list of flags and IMAP keywords
+ * @param {string[]} flags - System flags (eg. \\Flagged) or keywords (eg. $Label1)
+ * @returns {string[]} Normalized flags
+ */
+function normalizeFlags(flags) {
+    return [...new Set([].concat(flags || []).map(flag => {
+        flag = (flag || '').toString().trim();
+
+        if (flag.startsWith('\\')) {
+            const systemFlag = SYSTEM_FLAGS.find(f => f.toLowerCase() === flag.toLowerCase());
+            if (!systemFlag) {
+                throw new Error(`Unknown system flag: ${flag}`);
+            }
+            return systemFlag;
+        }
+
+        // Keywords must be valid IMAP atoms
+        if (!flag || /[\s(){%*"\\\]\x00-\x1f\x7f]/.test(flag)) {
+            throw new Error(`Invalid keyword: ${flag}`);
+        }
+        return flag;
+    }))];
+}
+
+/**
+ * Build a MongoDB update for a flag change, keeping the boolean flag fields in sync
+ * @param {string[]} flags - Normalized flags
+ * @param {string} action - add, remove or set
+ * @returns {Object} MongoDB update
+ */
+function buildFlagUpdate(flags, action) {
+    const update = {};
+    const $set = {};
+
+    if (action === 'add') {
+        update.$addToSet = { flags: { $each: flags } };
+    } else if (action === 'remove') {
+        update.$pull = { flags: { $in: flags } };
+    } else {
+        $set.flags = flags;
+    }
+
+    Object.keys(FLAG_FIELDS).forEach(flag => {
+        const { field, inverse } = FLAG_FIELDS[flag];
+        let present;
+
+        if (action === 'set') {
+            present = flags.includes(flag);
+        } else if (flags.includes(flag)) {
+            present = action === 'add';
+        } else {
+            return;
+        }
+
+        $set[field] = inverse ? !present : present;
+    });
+
+    if (Object.keys($set).length) {
+        update.$set = $set;
+    }
+
+    return update;
+}
+
+/**
+ * Read a stream into a single Buffer
+ */
+function streamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
 /**
  * Service for message operations
  */
@@ -75,6 +200,8 @@ class MessageService {
         this.messageHandler = options.messageHandler;
         this.mailboxHandler = options.mailboxHandler;
         this.attachmentService = options.attachmentService;
+        this.counterService = options.counterService;
+        this.config = options.config;
         
         // Initialize Turndown for HTML to Markdown conversion
         this.turndown = new TurndownService({
@@ -210,11 +337,14 @@ class MessageService {
 
         // Handle attachments - check attachments array, not just ha flag
         if (message.attachments && message.attachments.length > 0 && this.attachmentService) {
+            // Required lazily, mcp-server.js requires this module and replaces its exports
+            const { getBaseUrl } = require('../mcp-server');
             const baseUrl = getBaseUrl(options?._req, this.config);
             this.logger.verbose('MCP-MESSAGE', 'Generating attachment URLs with baseUrl=%s', baseUrl);
 
             // Get attachment map from mimeTree if available
             const attachmentMap = message.mimeTree?.attachmentMap || {};
+            const owner = message.user || mailbox?.user;
             
             // Log for debugging
             if (Object.keys(attachmentMap).length === 0 && message.attachments.length > 0) {
@@ -240,8 +370,9 @@ class MessageService {
                 };
                 
                 // Only add secure URL if we have a valid GridFS ID
-                if (gridfsId) {
+                if (gridfsId && owner) {
                     attachment.secureUrl = this.attachmentService.generateSecureAttachmentUrl(
+                        owner.toString(),
                         message._id.toString(),
                         att.id,
                         att.filename || 'attachment',
@@ -259,35 +390,34 @@ class MessageService {
     }
 
     /**
-     * Get messages from a mailbox
+     * Get messages from a mailbox, newest first. Pages are keyed on the UID,
+     * pass nextCursor from the previous response as cursor
      */
     async getMessages(userId, options = {}) {
         const {
             mailbox = 'INBOX',
             limit = 20,
-            page = 1,
             includeBodies = false
         } = options;
 
         // Get mailbox
-        let mailboxDoc;
-        if (ObjectId.isValid(mailbox)) {
-            mailboxDoc = await this.db.database.collection('mailboxes').findOne({
-                _id: new ObjectId(mailbox),
-                user: new ObjectId(userId)
-            });
-        } else {
-            mailboxDoc = await this.db.database.collection('mailboxes').findOne({
-                path: mailbox,
-                user: new ObjectId(userId)
-            });
-        }
+        const mailboxDoc = await findMailboxByRef(this.db, userId, mailbox);
 
         if (!mailboxDoc) {
             throw new Error('Mailbox not found');
         }
 
-        const skip = (page - 1) * limit;
+        // The cursor is bound to the mailbox, not to how it was named
+        const cursorScope = { mailbox: mailboxDoc._id.toString() };
+        const position = decodeCursor(options.cursor, 'mailbox', cursorScope);
+        if (position && !Number.isInteger(position.uid)) {
+            throw new Error('Invalid cursor');
+        }
+
+        const match = { mailbox: mailboxDoc._id, user: new ObjectId(userId) };
+        if (position) {
+            match.uid = { $lt: position.uid };
+        }
 
         // Build projection
         const projection = this.getMessageProjection({
@@ -295,12 +425,11 @@ class MessageService {
             includeIntro: false // Not needed for listing
         });
 
-        // Build aggregation pipeline with projection
+        // Build aggregation pipeline with projection, one extra message tells if there is a next page
         const pipeline = [
-            { $match: { mailbox: mailboxDoc._id, user: new ObjectId(userId) } },
+            { $match: match },
             { $sort: { uid: -1 } },
-            { $skip: skip },
-            { $limit: limit },
+            { $limit: limit + 1 },
             { $project: projection }
         ];
 
@@ -308,6 +437,11 @@ class MessageService {
             .aggregate(pipeline)
             .toArray();
 
+        const hasMore = messages.length > limit;
+        if (hasMore) {
+            messages.length = limit;
+        }
+
         // Format all messages
         const result = [];
         for (const message of messages) {
@@ -325,14 +459,30 @@ class MessageService {
                 name: mailboxDoc.name
             },
             messages: result,
-            page,
             limit,
-            total: await this.db.database.collection('messages').countDocuments({
-                mailbox: mailboxDoc._id
-            })
+            // Served from the counter cache, may lag behind the listing by a few seconds
+            total: await this.countMailboxMessages(userId, mailboxDoc),
+            nextCursor: hasMore ? encodeCursor('mailbox', cursorScope, { uid: messages[messages.length - 1].uid }) : null
         };
     }
 
+    /**
+     * Count messages in a mailbox, served from the shared counter cache when available
+     * @param {string} userId - User ID
+     * @param {Object} mailboxDoc - Mailbox document
+     * @returns {number} Number of messages
+     */
+    async countMailboxMessages(userId, mailboxDoc) {
+        if (this.counterService) {
+            return (await this.counterService.getMailboxCounters(userId, mailboxDoc)).messages;
+        }
+
+        return await this.db.database.collection('messages').countDocuments({
+            mailbox: mailboxDoc._id,
+            user: new ObjectId(userId)
+        });
+    }
+
     /**
      * Get a specific message by ID or UID
      */
@@ -347,15 +497,8 @@ class MessageService {
             includeIntro: true // Include preview for single message
         });
 
-        // Build query - support both UID and ObjectId
-        const query = { user: new ObjectId(userId) };
-        
-        // Check if messageId is a UID (numeric and < 10 chars)
-        if (/^\d+$/.test(messageId) && messageId.length < 10) {
-            query.uid = parseInt(messageId, 10);
-        } else {
-            query._id = new ObjectId(messageId);
-        }
+        // Message ID or mailbox:uid
+        const query = await resolveMessageRef(this.db, userId, messageId);
 
         const message = await this.db.database.collection('messages').findOne(
             query,
@@ -385,18 +528,78 @@ class MessageService {
     }
 
     /**
-     * Search messages using WildDuck's search API
+     * Find the mailbox an in: search operator refers to, by special-use name, path or ID
+     * @returns {Object|null} Mailbox document
      */
-    async searchMessages(userId, options = {}) {
-        const prepareSearchFilter = require('../prepare-search-filter').prepareSearchFilter;
+    async resolveQueryMailbox(userId, name) {
+        const query = { user: new ObjectId(userId) };
+        const specialUse = SPECIAL_USE_NAMES[name.toLowerCase()];
+
+        if (specialUse) {
+            query.specialUse = specialUse;
+        } else if (ObjectId.isValid(name) && name.length === 24) {
+            query._id = new ObjectId(name);
+        } else {
+            // Paths are matched case-insensitively, "in:inbox" finds INBOX
+            query.path = { $regex: `^${escapeRegexStr(name)}$`, $options: 'i' };
+        }
+
+        return await this.db.database.collection('mailboxes').findOne(query, { projection: { _id: 1, path: 1, specialUse: 1 } });
+    }
+
+    /**
+     * Resolve the mailbox option of a search to a mailbox ID, prepareSearchFilter only takes IDs
+     * @returns {string|undefined} Mailbox ID
+     */
+    async resolveSearchMailbox(userId, mailbox) {
+        if (!mailbox) {
+            return undefined;
+        }
+        const mailboxDoc = await findMailboxByRef(this.db, userId, mailbox);
+        if (!mailboxDoc) {
+            throw new Error('Mailbox not found');
+        }
+        return mailboxDoc._id.toString();
+    }
+
+    /**
+     * Build a MongoDB filter from searchMessages options using WildDuck's search filter
+     * @param {string} userId - User ID
+     * @param {Object} options - Search options as accepted by searchMessages
+     * @returns {Object} MongoDB filter for the messages collection
+     */
+    async buildSearchFilter(userId, options = {}) {
+        const { prepareSearchFilter, uidRangeStringToQuery } = require('../prepare-search-filter');
+
+        const mailbox = await this.resolveSearchMailbox(userId, options.mailbox);
+        if (options.uidRange) {
+            if (!mailbox) {
+                throw new Error('uidRange requires mailbox, UIDs are only unique within a mailbox');
+            }
+            if (!uidRangeStringToQuery(String(options.uidRange))) {
+                throw new Error('Invalid uidRange, use a UID (42), a list (1,5,9) or a range (100:200 or 100:*)');
+            }
+        }
+        
+        // Operators in the query string compile to extra clauses, plain words stay full-text search
+        const parsed = options.query
+            ? await compileSearchQuery(parseSearchQuery(options.query), {
+                resolveMailbox: name => this.resolveQueryMailbox(userId, name)
+            })
+            : null;
+        
+        // Trash and Junk are not searchable, in:trash, in:junk and in:anywhere have to include them
+        const includeUnsearchable = !!parsed && (parsed.anywhere ||
+            parsed.mailboxes.some(mailboxDoc => UNSEARCHABLE_SPECIAL_USE.includes(mailboxDoc.specialUse)));
         
         // Prepare payload for WildDuck search
         const payload = {
-            query: options.query,
+            query: parsed?.text || undefined,
             from: options.from,
             to: options.to,
             subject: options.subject,
-            mailbox: options.mailbox,
+            mailbox,
+            id: options.uidRange ? String(options.uidRange) : undefined,
             thread: options.thread,
             datestart: options.dateStart ? new Date(options.dateStart) : undefined,
             dateend: options.dateEnd ? new Date(options.dateEnd) : undefined,
@@ -405,7 +608,7 @@ class MessageService {
             attachments: options.attachments,
             flagged: options.flagged,
             unseen: options.unseen,
-            searchable: options.searchable !== false // Default to true
+            searchable: options.searchable !== false && !includeUnsearchable // Default to true
         };
 
         // Clean undefined values
@@ -418,12 +621,42 @@ class MessageService {
         // Use WildDuck's prepare search filter
         const { filter } = await prepareSearchFilter(this.db, new ObjectId(userId), payload);
 
+        if (parsed?.filter) {
+            filter.$and = (filter.$and || []).concat(parsed.filter);
+        }
+        if (includeUnsearchable) {
+            // Full-text search sets searchable, which would hide Trash and Junk from in:trash
+            delete filter.searchable;
+        }
+
+        return filter;
+    }
+
+    /**
+     * Load one page of search results, newest first. Pages are keyed on
+     * (idate, _id), so mail arriving between requests does not shift the results
+     * @param {string} kind - Cursor kind of the calling search
+     * @param {Object} filter - MongoDB filter
+     * @param {Object} options - Search options with limit, cursor and includeTotal
+     * @returns {Object} { messages, nextCursor, total (only when includeTotal is set) }
+     */
+    async findSearchPage(kind, filter, options) {
         const limit = options.limit || 20;
-        const page = options.page || 1;
-        const skip = (page - 1) * limit;
+        const position = decodeCursor(options.cursor, kind, options);
 
-        // Get total count
-        const total = await this.db.database.collection('messages').countDocuments(filter);
+        let pageFilter = filter;
+        if (position) {
+            if (typeof position.idate !== 'number' || !ObjectId.isValid(position.id)) {
+                throw new Error('Invalid cursor');
+            }
+            const idate = new Date(position.idate);
+            pageFilter = {
+                ...filter,
+                $and: (filter.$and || []).concat({
+                    $or: [{ idate: { $lt: idate } }, { idate, _id: { $lt: new ObjectId(position.id) } }]
+                })
+            };
+        }
 
         // Use projection for efficiency
         const projection = this.getMessageProjection({
@@ -431,19 +664,34 @@ class MessageService {
             includeIntro: true
         });
 
-        // Add thread info to projection if requested
-        if (options.threadCounters) {
-            projection.thread = true;
-        }
-
-        // Get messages
+        // One extra message tells if there is a next page
         const messages = await this.db.database.collection('messages')
-            .find(filter, { projection })
-            .sort({ idate: -1 })
-            .skip(skip)
-            .limit(limit)
+            .find(pageFilter, { projection })
+            .sort({ idate: -1, _id: -1 })
+            .limit(limit + 1)
             .toArray();
 
+        const hasMore = messages.length > limit;
+        if (hasMore) {
+            messages.length = limit;
+        }
+        const last = messages[messages.length - 1];
+
+        return {
+            messages,
+            nextCursor: hasMore ? encodeCursor(kind, options, { idate: last.idate.getTime(), id: last._id.toString() }) : null,
+            // Counting every match is slow in large mailboxes, so totals are opt-in
+            total: options.includeTotal ? await this.db.database.collection('messages').countDocuments(filter) : undefined
+        };
+    }
+
+    /**
+     * Search messages using WildDuck's search API
+     */
+    async searchMessages(userId, options = {}) {
+        const filter = await this.buildSearchFilter(userId, options);
+        const { messages, nextCursor, total } = await this.findSearchPage('search', filter, options);
+
         // Get thread counts if requested
         let threadCounts = new Map();
         if (options.threadCounters && messages.length > 0) {
@@ -496,9 +744,8 @@ class MessageService {
 
         return {
             total,
-            page,
-            pages: Math.ceil(total / limit),
-            results
+            results,
+            nextCursor
         };
     }
 
@@ -511,7 +758,7 @@ class MessageService {
         // Prepare payload with OR conditions
         const payload = {
             or: options.or || {},
-            mailbox: options.mailbox,
+            mailbox: await this.resolveSearchMailbox(userId, options.mailbox),
             datestart: options.dateStart ? new Date(options.dateStart) : undefined,
             dateend: options.dateEnd ? new Date(options.dateEnd) : undefined,
             attachments: options.attachments,
@@ -527,27 +774,7 @@ class MessageService {
 
         // Use WildDuck's prepare search filter
         const { filter } = await prepareSearchFilter(this.db, new ObjectId(userId), payload);
-
-        const limit = options.limit || 20;
-        const page = options.page || 1;
-        const skip = (page - 1) * limit;
-
-        // Get total count
-        const total = await this.db.database.collection('messages').countDocuments(filter);
-
-        // Use projection
-        const projection = this.getMessageProjection({
-            includeBody: false,
-            includeIntro: true
-        });
-
-        // Get messages
-        const messages = await this.db.database.collection('messages')
-            .find(filter, { projection })
-            .sort({ idate: -1 })
-            .skip(skip)
-            .limit(limit)
-            .toArray();
+        const { messages, nextCursor, total } = await this.findSearchPage('search-or', filter, options);
 
         // Preload mailboxes
         const mailboxIds = [...new Set(messages.map(m => m.mailbox.toString()))];
@@ -569,27 +796,94 @@ class MessageService {
 
         return {
             total,
-            page,
-            pages: Math.ceil(total / limit),
             or: options.or,
-            results
+            results,
+            nextCursor
         };
     }
 
 
+    /**
+     * Change the flags of messages in one mailbox. Like WildDuck's own flag updates this
+     * allocates a new mailbox modseq, stores it on the messages and journals a FETCH
+     * entry for each one, so IMAP clients and getChangesSince see the change
+     * @param {Object} mailbox - Mailbox document
+     * @param {number[]} uids - UIDs of the messages in the mailbox
+     * @param {string[]} flags - Normalized flags
+     * @param {string} action - add, remove or set
+     * @returns {number} Number of updated messages
+     */
+    async applyFlagUpdate(mailbox, uids, flags, action) {
+        if (!uids.length) {
+            return 0;
+        }
+
+        if (this.messageHandler && action !== 'set' && flags.length && flags.every(flag => HANDLER_FLAGS[flag])) {
+            const changes = {};
+            flags.forEach(flag => {
+                changes[HANDLER_FLAGS[flag]] = action === 'add';
+            });
+            return await new Promise((resolve, reject) => {
+                this.messageHandler.update(mailbox.user, mailbox._id, { $in: uids }, changes, (err, updated) => (err ? reject(err) : resolve(updated)));
+            });
+        }
+
+        // Keywords, \Draft and set are not supported by messageHandler.update(), do the same steps here
+        const result = await this.db.database.collection('mailboxes').findOneAndUpdate(
+            { _id: mailbox._id, user: mailbox.user },
+            { $inc: { modifyIndex: 1 } },
+            { returnDocument: 'after' }
+        );
+        // Driver 4 wraps the document in { value }, newer drivers return it directly
+        const mailboxData = result && result.value !== undefined ? result.value : result;
+        if (!mailboxData) {
+            throw new Error('Mailbox not found');
+        }
+        const modseq = mailboxData.modifyIndex;
+
+        const update = buildFlagUpdate(flags, action);
+        update.$set = Object.assign({}, update.$set, { modseq });
+
+        const messages = this.db.database.collection('messages');
+        await messages.updateMany({ mailbox: mailboxData._id, uid: { $in: uids } }, update);
+
+        const updated = await messages
+            .find({ mailbox: mailboxData._id, uid: { $in: uids }, modseq: { $gte: modseq } }, { projection: { _id: 1, uid: 1, flags: 1, thread: 1 } })
+            .toArray();
+
+        const unseenChange = action === 'set' || flags.includes('\\Seen');
+        const entries = updated.map(message => ({
+            command: 'FETCH',
+            uid: message.uid,
+            flags: message.flags,
+            thread: message.thread,
+            message: message._id,
+            modseq,
+            unseenChange
+        }));
+
+        const notifier = this.messageHandler && this.messageHandler.notifier;
+        if (notifier) {
+            await new Promise((resolve, reject) => {
+                notifier.addEntries(mailboxData, entries, err => (err ? reject(err) : resolve()));
+            });
+            notifier.fire(mailboxData.user);
+        } else if (entries.length) {
+            const created = new Date();
+            await this.db.database.collection('journal').insertMany(
+                entries.map(entry => Object.assign(entry, { mailbox: mailboxData._id, user: mailboxData.user, created }))
+            );
+        }
+
+        return updated.length;
+    }
+
     /**
      * Update message flags
      */
     async updateMessageFlags(userId, messageId, flags, action = 'set') {
-        // Build query - support both UID and ObjectId
-        const query = { user: new ObjectId(userId) };
-        
-        // Check if messageId is a UID (numeric and < 10 chars)
-        if (/^\d+$/.test(messageId) && messageId.length < 10) {
-            query.uid = parseInt(messageId, 10);
-        } else {
-            query._id = new ObjectId(messageId);
-        }
+        // Message ID or mailbox:uid
+        const query = await resolveMessageRef(this.db, userId, messageId);
 
         const message = await this.db.database.collection('messages').findOne(query);
 
@@ -597,7 +891,6 @@ class MessageService {
             throw new Error('Message not found');
         }
 
-        // Get mailbox for handler operations
         const mailbox = await this.db.database.collection('mailboxes').findOne({
             _id: message.mailbox,
             user: new ObjectId(userId)
@@ -607,56 +900,65 @@ class MessageService {
             throw new Error('Mailbox not found');
         }
 
-        if (this.messageHandler) {
-            // Use messageHandler for proper flag updates with notifications
-            const update = {};
-            if (action === 'add') {
-                update.$addToSet = { flags: { $each: flags } };
-            } else if (action === 'remove') {
-                update.$pull = { flags: { $in: flags } };
-            } else {
-                update.$set = { flags };
+        await this.applyFlagUpdate(mailbox, [message.uid], normalizeFlags(flags), action);
+
+        return { success: true };
+    }
+
+    /**
+     * List IMAP keywords in use across the user's mailboxes
+     */
+    async listKeywords(userId) {
+        const stats = await this.db.database.collection('messages').aggregate([
+            { $match: { user: new ObjectId(userId), flags: { $regex: /^[^\\]/ } } },
+            { $unwind: '$flags' },
+            { $match: { flags: { $regex: /^[^\\]/ } } },
+            {
+                $group: {
+                    _id: { keyword: '$flags', mailbox: '$mailbox' },
+                    count: { $sum: 1 }
+                }
             }
+        ]).toArray();
 
-            await this.messageHandler.updateMessage({
-                user: new ObjectId(userId),
-                mailbox: mailbox._id,
-                message: message._id,
-                uid: message.uid
-            }, update);
-        } else {
-            // Fallback to direct database update
-            let updateQuery;
-            if (action === 'add') {
-                updateQuery = { $addToSet: { flags: { $each: flags } } };
-            } else if (action === 'remove') {
-                updateQuery = { $pullAll: { flags } };
-            } else {
-                updateQuery = { $set: { flags } };
+        const mailboxIds = [...new Set(stats.map(s => s._id.mailbox.toString()))];
+        const mailboxes = await this.db.database.collection('mailboxes')
+            .find({ _id: { $in: mailboxIds.map(id => new ObjectId(id)) } })
+            .project({ _id: 1, path: 1 })
+            .toArray();
+        const mailboxMap = new Map(mailboxes.map(mb => [mb._id.toString(), mb]));
+
+        const keywords = new Map();
+        for (const entry of stats) {
+            const { keyword, mailbox } = entry._id;
+            if (!keywords.has(keyword)) {
+                keywords.set(keyword, { keyword, count: 0, mailboxes: [] });
             }
 
-            await this.db.database.collection('messages').updateOne(
-                { _id: new ObjectId(messageId) },
-                updateQuery
-            );
+            const data = keywords.get(keyword);
+            const mailboxDoc = mailboxMap.get(mailbox.toString());
+            data.count += entry.count;
+            data.mailboxes.push({
+                id: mailbox.toString(),
+                path: mailboxDoc ? mailboxDoc.path : null,
+                count: entry.count
+            });
         }
 
-        return { success: true };
+        const result = [...keywords.values()].sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword));
+
+        return {
+            keywords: result,
+            total: result.length
+        };
     }
 
     /**
      * Move message to different mailbox
      */
     async moveMessage(userId, messageId, targetMailboxId) {
-        // Build query - support both UID and ObjectId
-        const query = { user: new ObjectId(userId) };
-        
-        // Check if messageId is a UID (numeric and < 10 chars)
-        if (/^\d+$/.test(messageId) && messageId.length < 10) {
-            query.uid = parseInt(messageId, 10);
-        } else {
-            query._id = new ObjectId(messageId);
-        }
+        // Message ID or mailbox:uid
+        const query = await resolveMessageRef(this.db, userId, messageId);
 
         const message = await this.db.database.collection('messages').findOne(query);
 
@@ -684,44 +986,101 @@ class MessageService {
             throw new Error('Target mailbox not found');
         }
 
-        if (this.messageHandler) {
-            // Use messageHandler for proper move with notifications
-            await this.messageHandler.moveAsync({
-                source: {
-                    user: new ObjectId(userId),
-                    mailbox: sourceMailbox._id
-                },
-                destination: {
-                    user: new ObjectId(userId),
-                    mailbox: new ObjectId(targetMailboxId)
-                },
-                messages: [message._id],
-                markAsSeen: false
-            });
-        } else {
-            // Fallback to direct database update
-            await this.db.database.collection('messages').updateOne(
-                { _id: new ObjectId(messageId) },
-                { $set: { mailbox: new ObjectId(targetMailboxId) } }
+        const moved = await this.moveStoredMessage(userId, message, targetMailbox);
+
+        return { success: true, ...moved };
+    }
+
+    /**
+     * Move a stored message through WildDuck's message handler. The moved
+     * message gets a new ID and UID in the target mailbox
+     * @param {string} userId - User ID
+     * @param {Object} message - Message document (needs _id, uid and mailbox)
+     * @param {Object} targetMailbox - Target mailbox document
+     * @returns {Object} New message ID and UID
+     */
+    async moveStoredMessage(userId, message, targetMailbox) {
+        if (!this.messageHandler) {
+            throw new Error('MessageHandler not available');
+        }
+
+        // moveAsync selects messages by UID within the source mailbox
+        const { info } = await this.messageHandler.moveAsync({
+            source: {
+                user: new ObjectId(userId),
+                mailbox: message.mailbox
+            },
+            destination: {
+                user: new ObjectId(userId),
+                mailbox: targetMailbox._id
+            },
+            messages: [message.uid],
+            markAsSeen: false,
+            returnIds: true
+        });
+
+        if (!info || !info.destinationUid || !info.destinationUid.length) {
+            throw new Error('Message was not moved');
+        }
+
+        const id = info.destinationUid[0];
+        const moved = await this.db.database.collection('messages').findOne(
+            { _id: id, mailbox: targetMailbox._id },
+            { projection: { _id: 1, uid: 1 } }
+        );
+
+        return {
+            id: id.toString(),
+            uid: moved ? moved.uid : null,
+            mailbox: targetMailbox._id.toString()
+        };
+    }
+
+    /**
+     * Move messages of one mailbox to Trash in a single moveAsync call and remember
+     * the source mailbox so restoreMessage can put them back
+     * @param {string} userId - User ID
+     * @param {ObjectId} mailboxId - Source mailbox
+     * @param {number[]} uids - UIDs in the source mailbox
+     * @param {Object} trashMailbox - Trash mailbox document
+     * @returns {ObjectId[]} IDs the moved messages had in the source mailbox
+     */
+    async trashMessages(userId, mailboxId, uids, trashMailbox) {
+        if (!this.messageHandler) {
+            throw new Error('MessageHandler not available');
+        }
+
+        const { info } = await this.messageHandler.moveAsync({
+            source: {
+                user: new ObjectId(userId),
+                mailbox: mailboxId
+            },
+            destination: {
+                user: new ObjectId(userId),
+                mailbox: trashMailbox._id
+            },
+            messages: uids,
+            markAsSeen: false,
+            returnIds: true
+        });
+
+        const movedIds = (info && info.destinationUid) || [];
+        if (movedIds.length) {
+            await this.db.database.collection('messages').updateMany(
+                { _id: { $in: movedIds }, mailbox: trashMailbox._id },
+                { $set: { [`meta.${RESTORE_MAILBOX_KEY}`]: mailboxId } }
             );
         }
 
-        return { success: true };
+        return (info && info.sourceUid) || [];
     }
 
     /**
      * Get message thread
      */
     async getThread(userId, messageId, includeBody = false) {
-        // Build query - support both UID and ObjectId
-        const query = { user: new ObjectId(userId) };
-        
-        // Check if messageId is a UID (numeric and < 10 chars)
-        if (/^\d+$/.test(messageId) && messageId.length < 10) {
-            query.uid = parseInt(messageId, 10);
-        } else {
-            query._id = new ObjectId(messageId);
-        }
+        // Message ID or mailbox:uid
+        const query = await resolveMessageRef(this.db, userId, messageId);
 
         // Use minimal projection for initial lookup
         const message = await this.db.database.collection('messages').findOne(
@@ -733,35 +1092,49 @@ class MessageService {
             throw new Error('Message not found');
         }
 
+        // No thread ID means it's a single message thread
+        return await this.getThreadMessages(userId, message.thread ? { thread: message.thread } : { _id: message._id }, includeBody);
+    }
+
+    /**
+     * Get all messages of a thread by thread ID
+     * @param {string} userId - User ID
+     * @param {string} threadId - Thread ID (the `thread` field of a message)
+     * @param {boolean} includeBody - Include message bodies
+     */
+    async getThreadById(userId, threadId, includeBody = false) {
+        if (!ObjectId.isValid(threadId)) {
+            throw new Error('Invalid thread ID');
+        }
+
+        const result = await this.getThreadMessages(userId, { thread: new ObjectId(threadId) }, includeBody);
+        if (!result.total) {
+            throw new Error('Thread not found');
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch and format thread messages, oldest first
+     */
+    async getThreadMessages(userId, query, includeBody) {
         // Build projection for thread messages
         const projection = this.getMessageProjection({
             includeBody,
             includeIntro: true // Include preview for thread messages
         });
 
-        let threadMessages;
-
-        // If message has a thread ID, get all messages in that thread
-        if (message.thread) {
-            threadMessages = await this.db.database.collection('messages')
-                .find(
-                    {
-                        user: new ObjectId(userId),
-                        thread: message.thread
-                    },
-                    { projection }
-                )
-                .sort({ idate: 1 })
-                .toArray();
-        } else {
-            // No thread ID means it's a single message thread - fetch full message
-            threadMessages = await this.db.database.collection('messages')
-                .find(
-                    { _id: message._id },
-                    { projection }
-                )
-                .toArray();
-        }
+        const threadMessages = await this.db.database.collection('messages')
+            .find(
+                {
+                    ...query,
+                    user: new ObjectId(userId)
+                },
+                { projection }
+            )
+            .sort({ idate: 1 })
+            .toArray();
 
         // Preload all mailboxes
         const mailboxIds = [...new Set(threadMessages.map(m => m.mailbox.toString()))];
@@ -787,6 +1160,43 @@ class MessageService {
         };
     }
 
+    /**
+     * Get recent message or thread IDs starting with a prefix, used for argument completion
+     * @param {string} userId - User ID
+     * @param {string} field - '_id' for message IDs or 'thread' for thread IDs
+     * @param {string} prefix - Typed prefix
+     * @param {number} limit - Maximum number of values
+     * @returns {string[]} Matching IDs, newest first
+     */
+    async completeIds(userId, field, prefix = '', limit = 10) {
+        const messages = await this.db.database.collection('messages')
+            .find({ user: new ObjectId(userId) }, { projection: { [field]: 1 } })
+            .sort({ _id: -1 })
+            .limit(200)
+            .toArray();
+
+        const values = [...new Set(messages.map(m => m[field] && m[field].toString()).filter(Boolean))];
+        return values.filter(value => value.startsWith(prefix.toLowerCase())).slice(0, limit);
+    }
+
+    /**
+     * Get attachment IDs of a message starting with a prefix, used for argument completion
+     */
+    async completeAttachmentIds(userId, messageId, prefix = '') {
+        let query;
+        try {
+            query = await resolveMessageRef(this.db, userId, messageId);
+        } catch (err) {
+            return [];
+        }
+
+        const message = await this.db.database.collection('messages').findOne(query, { projection: { attachments: 1 } });
+
+        return ((message && message.attachments) || [])
+            .map(att => att.id)
+            .filter(id => id && id.toLowerCase().startsWith(prefix.toLowerCase()));
+    }
+
     /**
      * Get multiple messages by their IDs
      */
@@ -795,15 +1205,17 @@ class MessageService {
             includeBody = true
         } = options;
 
-        // Validate and convert message IDs
-        const messageQueries = messageIds.map(id => {
-            // Support both UID and ObjectId formats
-            if (/^\d+$/.test(id) && id.length < 10) {
-                return { uid: parseInt(id, 10), user: new ObjectId(userId) };
-            } else {
-                return { _id: new ObjectId(id), user: new ObjectId(userId) };
+        // Resolve message IDs and mailbox:uid references, unknown ones are reported as not found
+        const messageQueries = new Map();
+        for (const id of messageIds) {
+            try {
+                messageQueries.set(id, await resolveMessageRef(this.db, userId, id));
+            } catch (err) {
+                if (err.code === 'AmbiguousMessageId') {
+                    throw err;
+                }
             }
-        });
+        }
 
         // Build projection
         const projection = this.getMessageProjection({
@@ -812,11 +1224,13 @@ class MessageService {
         });
 
         // Fetch all messages in one query
-        const messages = await this.db.database.collection('messages')
-            .find({ 
-                $or: messageQueries
-            }, { projection })
-            .toArray();
+        const messages = messageQueries.size
+            ? await this.db.database.collection('messages')
+                .find({ 
+                    $or: [...messageQueries.values()]
+                }, { projection })
+                .toArray()
+            : [];
 
         // Get all unique mailbox IDs
         const mailboxIds = [...new Set(messages.map(m => m.mailbox.toString()))];
@@ -838,7 +1252,7 @@ class MessageService {
                 includeBody,
                 _req: options._req
             });
-            results.push(formatted);
+            results.push({ message, formatted });
         }
 
         // Return in the same order as requested if possible
@@ -846,17 +1260,11 @@ class MessageService {
         const notFound = [];
         
         for (const requestedId of messageIds) {
-            const found = results.find(msg => {
-                // Match by either MongoDB ID or UID
-                if (/^\d+$/.test(requestedId) && requestedId.length < 10) {
-                    return msg.uid === parseInt(requestedId, 10);
-                } else {
-                    return msg.id === requestedId;
-                }
-            });
+            const query = messageQueries.get(requestedId);
+            const found = query && results.find(result => matchesMessageRef(result.message, query));
             
             if (found) {
-                orderedResults.push(found);
+                orderedResults.push(found.formatted);
             } else {
                 notFound.push(requestedId);
             }
@@ -870,53 +1278,327 @@ class MessageService {
     }
 
     /**
-     * Delete message (move to Trash or permanent delete)
+     * Get the complete ordered header list of a message with parsed
+     * authentication results and the Received hop chain
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID or UID
+     * @returns {Object} Headers, authentication summary and delivery path
      */
-    async deleteMessage(userId, messageId, permanently = false) {
-        // Build query - support both UID and ObjectId
-        const query = { user: new ObjectId(userId) };
-        
-        // Check if messageId is a UID (numeric and < 10 chars)
-        if (/^\d+$/.test(messageId) && messageId.length < 10) {
-            query.uid = parseInt(messageId, 10);
+    async getMessageHeaders(userId, messageId) {
+        const query = await resolveMessageRef(this.db, userId, messageId);
+
+        const message = await this.db.database.collection('messages').findOne(query, {
+            projection: { _id: 1, uid: 1, mailbox: 1, subject: 1, idate: 1, hdate: 1, headers: 1, 'mimeTree.header': 1 }
+        });
+
+        if (!message) {
+            throw new Error('Message not found');
+        }
+
+        // message.headers only holds the indexed headers, lowercased, mimeTree keeps the full original list
+        const headers = message.mimeTree && message.mimeTree.header && message.mimeTree.header.length
+            ? parseHeaderLines(message.mimeTree.header)
+            : (message.headers || []).map(header => ({ key: header.key, value: header.value }));
+
+        const dateHeader = headers.find(header => header.key.toLowerCase() === 'date');
+        const received = buildReceivedChain(headers, dateHeader ? dateHeader.value : message.hdate);
+
+        // Time between the last relay and WildDuck storing the message
+        const lastHop = received.hops[received.hops.length - 1];
+        received.storedAt = message.idate;
+        received.storeDelaySeconds = lastHop && lastHop.date && message.idate
+            ? Math.round((new Date(message.idate).getTime() - new Date(lastHop.date).getTime()) / 1000)
+            : null;
+
+        return {
+            id: message._id.toString(),
+            uid: message.uid,
+            subject: message.subject,
+            headers,
+            authentication: parseAuthentication(headers),
+            received,
+            spam: headers.filter(header => /^x-(spam|rspamd|virus)/i.test(header.key))
+        };
+    }
+
+    /**
+     * Find a message for raw export
+     * @param {string|null} userId - User ID, null skips the ownership check (signed URLs)
+     * @param {string} messageId - Message ID or UID
+     */
+    async findRawMessage(userId, messageId) {
+        let query;
+        if (userId) {
+            query = await resolveMessageRef(this.db, userId, messageId);
+        } else if (ObjectId.isValid(messageId)) {
+            query = { _id: new ObjectId(messageId) };
         } else {
-            query._id = new ObjectId(messageId);
+            throw new Error('Message not found');
+        }
+
+        const messageData = await this.db.database.collection('messages').findOne(query, {
+            projection: { _id: 1, user: 1, mailbox: 1, uid: 1, size: 1, subject: 1, mimeTree: 1 }
+        });
+
+        if (!messageData) {
+            throw new Error('Message not found');
+        }
+
+        return messageData;
+    }
+
+    /**
+     * Rebuild the full RFC 822 source of a message from its mimeTree and GridFS
+     * attachments, the same way IMAP FETCH BODY[] does
+     * @param {Object} messageData - Message document with mimeTree
+     * @returns {Stream} Message source stream
+     */
+    getRawMessageStream(messageData) {
+        if (!this.messageHandler || !this.messageHandler.indexer) {
+            throw new Error('MessageHandler not available');
+        }
+
+        const response = this.messageHandler.indexer.rebuild(messageData.mimeTree);
+        if (!response || response.type !== 'stream' || !response.value) {
+            throw new Error('Message source not available');
         }
 
+        return response.value;
+    }
+
+    /**
+     * Get the raw RFC 822 source of a message
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID or UID
+     * @param {Object} options - Export options
+     * @param {boolean} options.includeSource - Return the source inline (default true)
+     * @returns {Object} Message info with `source` unless omitted or too large
+     */
+    async getRawMessage(userId, messageId, options = {}) {
+        const messageData = await this.findRawMessage(userId, messageId);
+
+        const result = {
+            id: messageData._id.toString(),
+            uid: messageData.uid,
+            mailbox: messageData.mailbox.toString(),
+            subject: messageData.subject,
+            size: messageData.size,
+            filename: `message-${messageData._id}.eml`
+        };
+
+        if (options.includeSource === false) {
+            return result;
+        }
+
+        if (messageData.size > MAX_INLINE_RAW_SIZE) {
+            result.sourceOmitted = `Message is larger than ${MAX_INLINE_RAW_SIZE} bytes, use the download URL`;
+            return result;
+        }
+
+        const raw = await streamToBuffer(this.getRawMessageStream(messageData));
+        result.source = raw.toString();
+
+        return result;
+    }
+
+    /**
+     * Permanently remove a stored message through WildDuck's message handler
+     * so quota, attachment references and IMAP notifications are updated
+     * @param {Object} messageData - Full message document
+     * @returns {boolean} True if the message was removed
+     */
+    async expungeMessage(messageData) {
+        if (!this.messageHandler) {
+            throw new Error('MessageHandler not available');
+        }
+
+        return await this.messageHandler.delAsync({
+            messageData,
+            archive: false
+        });
+    }
+
+    /**
+     * Permanently delete all messages in a Trash or Junk mailbox
+     * @param {string} userId - User ID
+     * @param {string} mailboxIdentifier - Mailbox ID, path or special-use flag (eg. \\Trash)
+     * @param {Object} options - Options
+     * @param {string} options.olderThan - Only delete messages received before this date
+     * @returns {Object} Deleted message count and bytes reclaimed
+     */
+    async emptyMailbox(userId, mailboxIdentifier, options = {}) {
+        // Special-use flag, otherwise a mailbox ID or path like every other mailbox argument
+        const mailbox = /^\\/.test(mailboxIdentifier)
+            ? await this.db.database.collection('mailboxes').findOne({ user: new ObjectId(userId), specialUse: mailboxIdentifier })
+            : await findMailboxByRef(this.db, userId, mailboxIdentifier);
+
+        if (!mailbox) {
+            throw new Error('Mailbox not found');
+        }
+
+        const allowed = [].concat(this.config?.emptyMailboxSpecialUse || EMPTYABLE_SPECIAL_USE);
+        if (!allowed.includes(mailbox.specialUse)) {
+            throw new Error(`Only ${allowed.join(' and ')} mailboxes can be emptied`);
+        }
+
+        const filter = { mailbox: mailbox._id, user: new ObjectId(userId) };
+
+        if (options.olderThan) {
+            const olderThan = new Date(options.olderThan);
+            if (isNaN(olderThan.getTime())) {
+                throw new Error('Invalid olderThan date');
+            }
+            filter.idate = { $lt: olderThan };
+        }
+
+        let deleted = 0;
+        let failed = 0;
+        let bytes = 0;
+
+        const cursor = this.db.database.collection('messages').find(filter).sort({ uid: 1 });
+
+        try {
+            let message;
+            while ((message = await cursor.next())) {
+                try {
+                    if (await this.expungeMessage(message)) {
+                        deleted++;
+                        bytes += message.size || 0;
+                    }
+                } catch (err) {
+                    failed++;
+                    this.logger.error('MCP-MESSAGE', 'Failed to delete message %s while emptying mailbox %s error=%s',
+                        message._id, mailbox._id, err.message);
+                }
+            }
+        } finally {
+            await cursor.close();
+        }
+
+        return {
+            mailbox: {
+                id: mailbox._id.toString(),
+                path: mailbox.path,
+                specialUse: mailbox.specialUse
+            },
+            olderThan: filter.idate ? filter.idate.$lt : null,
+            deleted,
+            failed,
+            bytesReclaimed: bytes
+        };
+    }
+
+    /**
+     * Delete message (move to Trash or permanent delete)
+     */
+    async deleteMessage(userId, messageId, permanently = false) {
+        // Message ID or mailbox:uid
+        const query = await resolveMessageRef(this.db, userId, messageId);
+
         const message = await this.db.database.collection('messages').findOne(query);
 
         if (!message) {
             throw new Error('Message not found');
         }
 
-        if (permanently) {
-            // Permanent delete
-            await this.db.database.collection('messages').deleteOne({
-                _id: message._id
-            });
-        } else {
-            // Move to Trash
-            const trashMailbox = await this.db.database.collection('mailboxes').findOne({
+        const trashMailbox = await this.db.database.collection('mailboxes').findOne({
+            user: new ObjectId(userId),
+            specialUse: '\\Trash'
+        });
+
+        // Messages already in Trash, or users without a Trash mailbox, get deleted permanently
+        if (permanently || !trashMailbox || message.mailbox.equals(trashMailbox._id)) {
+            const deleted = await this.expungeMessage(message);
+            if (!deleted) {
+                throw new Error('Message not found');
+            }
+            return { success: true, permanently: true };
+        }
+
+        const moved = await this.moveStoredMessage(userId, message, trashMailbox);
+
+        // Remember where the message came from so it can be restored later
+        await this.db.database.collection('messages').updateOne(
+            { _id: new ObjectId(moved.id), mailbox: trashMailbox._id },
+            { $set: { [`meta.${RESTORE_MAILBOX_KEY}`]: message.mailbox } }
+        );
+
+        return {
+            success: true,
+            permanently: false,
+            trash: moved
+        };
+    }
+
+    /**
+     * Restore a trashed message to the mailbox it was deleted from
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID or mailbox:uid of a message in Trash
+     * @param {string} [targetMailboxId] - Mailbox ID or path to restore to instead
+     */
+    async restoreMessage(userId, messageId, targetMailboxId = null) {
+        const trashMailbox = await this.db.database.collection('mailboxes').findOne({
+            user: new ObjectId(userId),
+            specialUse: '\\Trash'
+        });
+
+        if (!trashMailbox) {
+            throw new Error('Trash mailbox not found');
+        }
+
+        const query = await resolveMessageRef(this.db, userId, messageId);
+
+        const message = await this.db.database.collection('messages').findOne(query, {
+            projection: { _id: 1, uid: 1, mailbox: 1, meta: 1 }
+        });
+
+        if (!message || !message.mailbox.equals(trashMailbox._id)) {
+            throw new Error('Message not found in Trash');
+        }
+
+        let targetMailbox = null;
+        let fallback = false;
+
+        const originalMailbox = targetMailboxId || (message.meta && message.meta[RESTORE_MAILBOX_KEY]);
+        if (originalMailbox) {
+            targetMailbox = await findMailboxByRef(this.db, userId, originalMailbox);
+        }
+
+        if (!targetMailbox && targetMailboxId) {
+            throw new Error('Target mailbox not found');
+        }
+
+        if (!targetMailbox) {
+            // Original mailbox unknown or deleted since, restore to INBOX
+            fallback = true;
+            targetMailbox = await this.db.database.collection('mailboxes').findOne({
                 user: new ObjectId(userId),
-                specialUse: '\\Trash'
+                path: 'INBOX'
             });
+        }
 
-            if (trashMailbox) {
-                await this.db.database.collection('messages').updateOne(
-                    { _id: message._id },
-                    { $set: { mailbox: trashMailbox._id } }
-                );
-            } else {
-                // No trash mailbox, permanent delete
-                await this.db.database.collection('messages').deleteOne({
-                    _id: message._id
-                });
-            }
+        if (!targetMailbox) {
+            throw new Error('Target mailbox not found');
         }
 
-        return { success: true };
+        const moved = await this.moveStoredMessage(userId, message, targetMailbox);
+
+        await this.db.database.collection('messages').updateOne(
+            { _id: new ObjectId(moved.id), mailbox: targetMailbox._id },
+            { $unset: { [`meta.${RESTORE_MAILBOX_KEY}`]: true } }
+        );
+
+        return {
+            success: true,
+            restored: {
+                ...moved,
+                path: targetMailbox.path
+            },
+            fallback
+        };
     }
 }
 
 module.exports = MessageService;
-module.exports.MESSAGE_PROJECTION = MESSAGE_PROJECTION;
\ No newline at end of file
+module.exports.MESSAGE_PROJECTION = MESSAGE_PROJECTION;
+module.exports.normalizeFlags = normalizeFlags;
\ No newline at end of file
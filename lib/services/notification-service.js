@@ -0,0 +1,267 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const { resolveMessageRef, matchesMessageRef } = require('../message-ref');
+
+// Redis channel WildDuck publishes journal change events on
+const EVENT_CHANNEL = 'wd_events';
+
+// Milliseconds to collect a burst of journal events before checking subscriptions
+const EVENT_DELAY = 250;
+
+const MESSAGE_URI_PREFIX = 'wildduck://message/';
+
+// Resources that change whenever anything in the account changes
+const ACCOUNT_URIS = ['wildduck://mailbox/list', 'wildduck://messages/recent'];
+
+// Message ID or mailbox:uid of a message resource URI, paths in it are URL-encoded
+const messageRefFromUri = uri => decodeURIComponent(uri.split('?')[0].substr(MESSAGE_URI_PREFIX.length));
+
+/**
+ * Service for resource subscriptions. Listens for WildDuck journal events and
+ * sends notifications/resources/updated to sessions with an open SSE stream on
+ * this node. Subscriptions themselves are stored with the session in Redis
+ */
+class NotificationService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.sessionService = options.sessionService;
+
+        // Session ID -> { userId, server } for open standalone SSE streams
+        this.streams = new Map();
+        this.timers = new Map();
+        this.subscriber = null;
+    }
+
+    /**
+     * Check if a resource URI can be subscribed to
+     */
+    isSubscribable(uri) {
+        const resourceUri = uri.split('?')[0];
+        return ACCOUNT_URIS.includes(resourceUri) ||
+            (resourceUri.startsWith(MESSAGE_URI_PREFIX) && !resourceUri.substr(MESSAGE_URI_PREFIX.length).includes('/'));
+    }
+
+    /**
+     * Get a state string for a subscribable resource. A notification is sent
+     * when the state differs from the one last notified
+     * @param {string} userId - User ID
+     * @param {string} uri - Resource URI
+     * @returns {string} Resource state
+     */
+    async getResourceState(userId, uri) {
+        if (!this.isSubscribable(uri)) {
+            throw new Error(`Subscriptions are not supported for resource: ${uri}`);
+        }
+
+        if (uri.startsWith(MESSAGE_URI_PREFIX)) {
+            const ref = messageRefFromUri(uri);
+            // Fails for invalid references, eg. bare UIDs
+            await resolveMessageRef(this.db, userId, ref);
+            const states = await this.getMessageStates(userId, [ref]);
+            return states.get(ref);
+        }
+
+        return await this.getAccountState(userId);
+    }
+
+    /**
+     * Account state is the modseq (modifyIndex) of every mailbox, it also changes
+     * when mailboxes are created, renamed or deleted
+     */
+    async getAccountState(userId) {
+        const mailboxes = await this.db.database.collection('mailboxes')
+            .find({ user: new ObjectId(userId) }, { projection: { _id: 1, path: 1, modifyIndex: 1 } })
+            .sort({ _id: 1 })
+            .toArray();
+
+        return mailboxes.map(mailbox => `${mailbox._id}:${mailbox.path}:${mailbox.modifyIndex || 0}`).join(',');
+    }
+
+    /**
+     * Message state is its ID, mailbox and modseq, moved or deleted messages change state as well
+     * @param {string} userId - User ID
+     * @param {string[]} refs - Message IDs or mailbox:uid references
+     * @returns {Map} Reference -> state
+     */
+    async getMessageStates(userId, refs) {
+        const states = new Map(refs.map(ref => [ref, 'deleted']));
+
+        const queries = new Map();
+        for (const ref of refs) {
+            try {
+                queries.set(ref, await resolveMessageRef(this.db, userId, ref));
+            } catch (err) {
+                // The mailbox of a mailbox:uid reference was renamed or deleted
+            }
+        }
+        if (!queries.size) {
+            return states;
+        }
+
+        const messages = await this.db.database.collection('messages')
+            .find({ $or: [...queries.values()] }, { projection: { _id: 1, mailbox: 1, uid: 1, modseq: 1 } })
+            .toArray();
+
+        for (const [ref, query] of queries) {
+            const message = messages.find(entry => matchesMessageRef(entry, query));
+            if (message) {
+                states.set(ref, `${message._id}:${message.mailbox}:${message.modseq || 0}`);
+            }
+        }
+        return states;
+    }
+
+    /**
+     * Register an open SSE stream that notifications can be delivered to
+     */
+    register(sessionId, userId, server) {
+        this.streams.set(sessionId, { userId: String(userId), server });
+        this.listen();
+        this.logger.verbose('MCP-NOTIFY', 'Registered stream session=%s user=%s', sessionId, userId);
+    }
+
+    /**
+     * Remove a stream, unless the session has already reconnected with a newer one
+     */
+    unregister(sessionId, server) {
+        const stream = this.streams.get(sessionId);
+        if (stream && stream.server === server) {
+            this.streams.delete(sessionId);
+            this.logger.verbose('MCP-NOTIFY', 'Unregistered stream session=%s', sessionId);
+        }
+    }
+
+    /**
+     * Start listening for WildDuck events, uses a dedicated Redis connection
+     */
+    listen() {
+        if (this.subscriber || !this.redis) {
+            return;
+        }
+
+        this.subscriber = this.redis.duplicate();
+        this.subscriber.on('message', (channel, message) => {
+            if (channel === EVENT_CHANNEL) {
+                this.onEvent(message);
+            }
+        });
+        this.subscriber.on('error', err => {
+            this.logger.error('MCP-NOTIFY', 'Event subscriber error=%s', err.message);
+        });
+        this.subscriber.subscribe(EVENT_CHANNEL).catch(err => {
+            this.logger.error('MCP-NOTIFY', 'Failed to subscribe to %s error=%s', EVENT_CHANNEL, err.message);
+        });
+    }
+
+    /**
+     * Handle a message from the WildDuck event channel
+     */
+    onEvent(message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (err) {
+            return;
+        }
+
+        // Events with a payload are IMAP actions (eg. logout), not journal changes
+        if (!data || !data.e || data.p) {
+            return;
+        }
+
+        for (const stream of this.streams.values()) {
+            if (stream.userId === data.e) {
+                this.scheduleCheck(data.e);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Debounce subscription checks, a single bulk change publishes many events
+     */
+    scheduleCheck(userId) {
+        if (this.timers.has(userId)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.timers.delete(userId);
+            this.checkSubscriptions(userId).catch(err => {
+                this.logger.error('MCP-NOTIFY', 'Subscription check failed user=%s error=%s', userId, err.message);
+            });
+        }, EVENT_DELAY);
+        timer.unref();
+        this.timers.set(userId, timer);
+    }
+
+    /**
+     * Compare subscribed resources against their last notified state and
+     * notify every stream of the user about the ones that changed
+     */
+    async checkSubscriptions(userId) {
+        let accountState;
+
+        for (const [sessionId, stream] of this.streams) {
+            if (stream.userId !== userId) {
+                continue;
+            }
+
+            const subscriptions = await this.sessionService.getSubscriptions(sessionId);
+            const uris = Object.keys(subscriptions);
+            if (!uris.length) {
+                continue;
+            }
+
+            const messageRefs = uris.filter(uri => uri.startsWith(MESSAGE_URI_PREFIX)).map(messageRefFromUri);
+            const messageStates = messageRefs.length ? await this.getMessageStates(userId, messageRefs) : new Map();
+
+            for (const uri of uris) {
+                let state;
+                if (uri.startsWith(MESSAGE_URI_PREFIX)) {
+                    state = messageStates.get(messageRefFromUri(uri));
+                } else {
+                    if (accountState === undefined) {
+                        accountState = await this.getAccountState(userId);
+                    }
+                    state = accountState;
+                }
+
+                if (state === subscriptions[uri]) {
+                    continue;
+                }
+
+                try {
+                    await stream.server.sendResourceUpdated({ uri });
+                    await this.sessionService.setSubscription(sessionId, uri, state);
+                    this.logger.verbose('MCP-NOTIFY', 'Resource updated session=%s uri=%s', sessionId, uri);
+                } catch (err) {
+                    this.logger.error('MCP-NOTIFY', 'Failed to notify session=%s uri=%s error=%s', sessionId, uri, err.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop listening for events
+     */
+    async close() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.streams.clear();
+
+        if (this.subscriber) {
+            const subscriber = this.subscriber;
+            this.subscriber = null;
+            await subscriber.quit();
+        }
+    }
+}
+
+module.exports = NotificationService;
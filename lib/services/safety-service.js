@@ -0,0 +1,365 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const { domainToUnicode } = require('url');
+
+// Points per finding severity, summed into the message risk score
+const SEVERITY_SCORE = { low: 1, medium: 3, high: 5 };
+
+// Attachment extensions that can execute code or hide executables
+const RISKY_EXTENSIONS = {
+    high: ['exe', 'scr', 'com', 'pif', 'bat', 'cmd', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'msi', 'msp', 'jar', 'ps1', 'lnk', 'reg', 'cpl', 'dll'],
+    medium: ['iso', 'img', 'vhd', 'docm', 'xlsm', 'pptm', 'dotm', 'xlam', 'html', 'htm', 'svg', 'one', 'chm'],
+    low: ['zip', 'rar', '7z', 'gz', 'tar', 'cab', 'ace']
+};
+
+// Domains that are frequently impersonated
+const COMMON_BRANDS = ['paypal.com', 'apple.com', 'microsoft.com', 'office.com', 'outlook.com', 'google.com', 'gmail.com',
+    'amazon.com', 'facebook.com', 'instagram.com', 'linkedin.com', 'netflix.com', 'dropbox.com', 'docusign.com', 'dhl.com', 'fedex.com', 'ups.com'];
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy', 't.ly'];
+
+// Second level labels that belong to the public suffix, eg. example.co.uk
+const SECOND_LEVEL_SUFFIXES = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu', 'ne', 'or'];
+
+// Characters that are commonly swapped in lookalike domains
+const CONFUSABLES = [[/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/i/g, 'l'], [/5/g, 's'], [/3/g, 'e'], [/8/g, 'b']];
+
+/**
+ * Decode the HTML entities that matter for link text
+ */
+function decodeEntities(str) {
+    return str
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;|&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the registrable domain of a host name, eg. mail.example.co.uk -> example.co.uk.
+ * This is an offline approximation of the public suffix list
+ */
+function registrableDomain(host) {
+    const labels = (host || '').toLowerCase().replace(/\.$/, '').split('.');
+    if (labels.length <= 2) {
+        return labels.join('.');
+    }
+    const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_SUFFIXES.includes(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+/**
+ * Reduce a domain to a form where lookalike characters compare equal
+ */
+function skeleton(domain) {
+    return CONFUSABLES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), domain.toLowerCase());
+}
+
+/**
+ * Levenshtein distance, capped for short strings only
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Find a trusted domain that the given domain imitates
+ * @param {string} host - Host name to check
+ * @param {string[]} trusted - Registrable domains to compare against
+ * @returns {string|null} The imitated domain
+ */
+function findLookalike(host, trusted) {
+    const domain = registrableDomain(host);
+    const unicode = domainToUnicode(domain) || domain;
+    const name = domain.split('.')[0];
+
+    for (const target of trusted) {
+        if (!target || target === domain) {
+            continue;
+        }
+        const targetName = target.split('.')[0];
+        if (
+            skeleton(unicode) === skeleton(target) ||
+            (name !== targetName && targetName.length >= 6 && editDistance(name, targetName) === 1) ||
+            // eg. paypal.com.secure-login.net
+            host.startsWith(`${target}.`) ||
+            host.includes(`.${target}.`)
+        ) {
+            return target;
+        }
+    }
+    return null;
+}
+
+/**
+ * Extract links from HTML anchors and plain text
+ * @returns {Object[]} Links as { url, text, source }
+ */
+function extractLinks(html, text) {
+    const links = [];
+    const seen = new Set();
+
+    const anchor = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a\s*>/gi;
+    let match;
+    while ((match = anchor.exec(html || ''))) {
+        const url = decodeEntities((match[1] || match[2] || match[3] || '').trim());
+        const displayText = decodeEntities(match[4].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+        links.push({ url, text: displayText, source: 'html' });
+        seen.add(url);
+    }
+
+    const plain = /\bhttps?:\/\/[^\s<>"'\])]+/gi;
+    while ((match = plain.exec(text || ''))) {
+        const url = match[0].replace(/[.,;:!?]+$/, '');
+        if (!seen.has(url)) {
+            links.push({ url, text: null, source: 'text' });
+            seen.add(url);
+        }
+    }
+
+    return links;
+}
+
+/**
+ * Find a URL or domain name inside link text
+ */
+function displayedHost(text) {
+    const match = (text || '').match(/(?:https?:\/\/)?((?:[a-z0-9\u00a1-\uffff-]+\.)+[a-z\u00a1-\uffff]{2,})(?:[/:?#]|\s|$)/i);
+    if (!match) {
+        return null;
+    }
+    try {
+        return new URL(`http://${match[1]}`).hostname;
+    } catch (err) {
+        return null;
+    }
+}
+
+function addressDomain(address) {
+    return ((address || '').split('@')[1] || '').toLowerCase();
+}
+
+/**
+ * Service for offline message safety heuristics (phishing, spoofing, risky attachments)
+ */
+class SafetyService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.messageService = options.messageService;
+        this.userService = options.userService;
+    }
+
+    /**
+     * Analyze a message and return a structured risk report. No network lookups are made
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID or UID
+     * @returns {Object} Risk report
+     */
+    async analyzeMessage(userId, messageId) {
+        const message = await this.messageService.getMessage(userId, messageId, { includeBody: true });
+
+        // formatMessage converts HTML to Markdown, links are checked against the original markup
+        const content = await this.db.database.collection('messages').findOne(
+            { _id: new ObjectId(message.id), user: new ObjectId(userId) },
+            { projection: { html: 1, text: 1 } }
+        );
+        const html = [].concat((content && content.html) || []).join('\n');
+        const text = (content && content.text) || message.body || '';
+
+        const userInfo = await this.userService.getUserInfo(userId);
+        const ownAddresses = userInfo.addresses.map(addr => addr.address.toLowerCase());
+        const ownDomains = [...new Set(ownAddresses.map(address => registrableDomain(addressDomain(address))))];
+
+        const fromAddress = ((message.from && message.from.address) || '').toLowerCase();
+        const fromDomain = registrableDomain(addressDomain(fromAddress));
+        const trusted = [...new Set(ownDomains.concat(COMMON_BRANDS))];
+
+        const findings = [];
+        const addFinding = (type, severity, description, details) => {
+            findings.push({ type, severity, description, ...(details ? { details } : {}) });
+        };
+
+        this.checkSender(message, { ownAddresses, ownDomains, fromAddress, fromDomain, trusted, userName: userInfo.name }, addFinding);
+        const links = this.checkLinks(extractLinks(html, text), { fromDomain, trusted }, addFinding);
+        const attachments = this.checkAttachments(message.attachments || [], addFinding);
+
+        try {
+            const { authentication } = await this.messageService.getMessageHeaders(userId, message.id);
+            if (authentication.summary.dmarc === 'fail') {
+                addFinding('dmarc-fail', 'high', 'DMARC verification failed for the From domain', authentication.summary);
+            } else if (['fail', 'softfail'].includes(authentication.summary.spf) && authentication.summary.dkim !== 'pass') {
+                addFinding('authentication-fail', 'medium', 'SPF failed and there is no passing DKIM signature', authentication.summary);
+            }
+        } catch (err) {
+            this.logger.verbose('MCP-SAFETY', 'Skipping authentication check message=%s error=%s', message.id, err.message);
+        }
+
+        const score = findings.reduce((sum, finding) => sum + SEVERITY_SCORE[finding.severity], 0);
+        let riskLevel = 'none';
+        if (findings.some(finding => finding.severity === 'high') || score >= 8) {
+            riskLevel = 'high';
+        } else if (score >= 3) {
+            riskLevel = 'medium';
+        } else if (score > 0) {
+            riskLevel = 'low';
+        }
+
+        return {
+            messageId: message.id,
+            subject: message.subject,
+            from: message.from,
+            replyTo: message.replyTo,
+            riskLevel,
+            score,
+            findings,
+            links,
+            attachments
+        };
+    }
+
+    /**
+     * Display name spoofing, lookalike sender domains and Reply-To redirection
+     */
+    checkSender(message, context, addFinding) {
+        const { ownAddresses, ownDomains, fromAddress, fromDomain, trusted, userName } = context;
+        const displayName = ((message.from && message.from.name) || '').trim();
+        const isOwn = ownAddresses.includes(fromAddress);
+
+        if (displayName && !isOwn) {
+            const nameLower = displayName.toLowerCase();
+            const embedded = (nameLower.match(/[^\s<>"']+@[^\s<>"']+/) || [])[0];
+
+            if (ownAddresses.some(address => nameLower.includes(address))) {
+                addFinding('display-name-spoof', 'high', 'Display name shows one of your own addresses but the message was sent from another address', { displayName, fromAddress });
+            } else if (embedded && embedded !== fromAddress) {
+                addFinding('display-name-address-mismatch', 'medium', 'Display name contains a different email address than the actual sender', { displayName, fromAddress });
+            } else if (userName && userName.trim().length > 2 && nameLower === userName.trim().toLowerCase()) {
+                addFinding('display-name-spoof', 'medium', 'Display name matches your own name but the message was sent from another address', { displayName, fromAddress });
+            }
+        }
+
+        if (fromDomain && !ownDomains.includes(fromDomain)) {
+            const imitated = findLookalike(addressDomain(fromAddress), trusted);
+            if (imitated) {
+                addFinding('lookalike-sender-domain', 'high', `Sender domain ${fromDomain} resembles ${imitated}`, { fromDomain, imitated });
+            }
+        }
+
+        const replyTo = ((message.replyTo && message.replyTo.address) || '').toLowerCase();
+        const replyDomain = registrableDomain(addressDomain(replyTo));
+        if (replyTo && fromDomain && replyDomain !== fromDomain) {
+            addFinding('reply-to-mismatch', 'medium', 'Replies go to a different domain than the sender', { fromDomain, replyToDomain: replyDomain });
+        }
+    }
+
+    /**
+     * Displayed vs actual URL, punycode, lookalike domains and other suspicious link patterns
+     * @returns {Object[]} Links with the finding types that apply to them
+     */
+    checkLinks(links, context, addFinding) {
+        return links.map(link => {
+            const result = { url: link.url, text: link.text, source: link.source, host: null, findings: [] };
+            const flag = (type, severity, description, details) => {
+                result.findings.push(type);
+                addFinding(type, severity, description, { url: link.url, ...details });
+            };
+
+            if (/^\s*(javascript|data|vbscript):/i.test(link.url)) {
+                flag('script-link', 'high', 'Link runs script or embeds data instead of opening a web page');
+                return result;
+            }
+
+            let url;
+            try {
+                url = new URL(link.url);
+            } catch (err) {
+                // mailto:, relative and malformed links are not checked
+                return result;
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return result;
+            }
+
+            const host = url.hostname.toLowerCase();
+            const domain = registrableDomain(host);
+            result.host = host;
+
+            const shown = displayedHost(link.text);
+            if (shown && registrableDomain(shown) !== domain) {
+                flag('link-text-mismatch', 'high', `Link text shows ${shown} but opens ${host}`, { displayed: shown, actual: host });
+            }
+
+            if (host.split('.').some(label => label.startsWith('xn--'))) {
+                flag('punycode-domain', 'medium', `Link uses an internationalized domain that displays as ${domainToUnicode(host)}`, { host, unicode: domainToUnicode(host) });
+            }
+
+            const imitated = domain !== context.fromDomain && findLookalike(host, context.trusted);
+            if (imitated) {
+                flag('lookalike-domain', 'high', `Link domain ${domain} resembles ${imitated}`, { domain, imitated });
+            }
+
+            if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) {
+                flag('ip-address-link', 'medium', 'Link points to a bare IP address');
+            }
+
+            if (url.username) {
+                flag('credentials-in-url', 'high', 'Link hides its real destination behind user@host syntax', { host });
+            }
+
+            if (URL_SHORTENERS.includes(host)) {
+                flag('url-shortener', 'low', 'Link uses a URL shortener that hides the destination');
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Executable, macro-enabled, disk image and double extension attachments
+     * @returns {Object[]} Attachments with their risk
+     */
+    checkAttachments(attachments, addFinding) {
+        return attachments.map(att => {
+            const filename = (att.filename || '').toLowerCase().trim();
+            const parts = filename.split('.');
+            const extension = parts.length > 1 ? parts[parts.length - 1] : '';
+            const result = { id: att.id, filename: att.filename, contentType: att.contentType, risk: 'none' };
+
+            for (const severity of ['high', 'medium', 'low']) {
+                if (RISKY_EXTENSIONS[severity].includes(extension)) {
+                    result.risk = severity;
+                    addFinding('risky-attachment', severity, `Attachment type .${extension} can carry executable content`, { filename: att.filename });
+                    break;
+                }
+            }
+
+            // eg. invoice.pdf.exe or invoice.pdf     .js
+            if (parts.length > 2 && result.risk !== 'none' && /^(pdf|docx?|xlsx?|pptx?|jpe?g|png|gif|txt)\s*$/.test(parts[parts.length - 2])) {
+                result.risk = 'high';
+                addFinding('double-extension', 'high', 'Attachment name hides its real type behind a second extension', { filename: att.filename });
+            }
+
+            return result;
+        });
+    }
+}
+
+module.exports = SafetyService;
@@ -0,0 +1,193 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Seconds an idle session stays valid unless configured otherwise
+const DEFAULT_SESSION_TTL = 3600;
+
+// Maximum concurrent sessions per user unless configured otherwise
+const DEFAULT_MAX_PER_USER = 10;
+
+/**
+ * Service for stateful MCP sessions. Session state lives in Redis so that any
+ * WildDuck API node can serve any session
+ *
+ * Keys:
+ *   mcp:session:<id>                JSON session record, expires after the idle TTL
+ *   mcp:session:<id>:subscriptions  hash of subscribed resource URI -> last notified state
+ *   mcp:sessions:<userId>           sorted set of session IDs scored by expiry time
+ */
+class SessionService {
+    constructor(options) {
+        this.db = options.db;
+        this.redis = options.redis;
+        this.logger = options.logger;
+        this.config = options.config;
+    }
+
+    /**
+     * Check if stateful sessions are enabled
+     */
+    isEnabled() {
+        return !!(this.config?.sessions?.enabled && this.redis);
+    }
+
+    getTtl() {
+        return Number(this.config?.sessions?.ttl) || DEFAULT_SESSION_TTL;
+    }
+
+    getMaxPerUser() {
+        return Number(this.config?.sessions?.maxPerUser) || DEFAULT_MAX_PER_USER;
+    }
+
+    getSessionKey(sessionId) {
+        return `mcp:session:${sessionId}`;
+    }
+
+    getSubscriptionKey(sessionId) {
+        return `mcp:session:${sessionId}:subscriptions`;
+    }
+
+    getUserKey(userId) {
+        return `mcp:sessions:${userId}`;
+    }
+
+    /**
+     * Generate a new session ID
+     */
+    generateSessionId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Store a new session. When the user is at the session limit, the least
+     * recently used sessions are terminated to make room
+     * @param {string} sessionId - Session ID issued to the client
+     * @param {string} userId - User ID
+     * @param {Object} client - Client info from the initialize request
+     * @returns {Object} Session record
+     */
+    async createSession(sessionId, userId, client = {}) {
+        const ttl = this.getTtl();
+        const now = Date.now();
+        const userKey = this.getUserKey(userId);
+
+        // Forget sessions whose records have already expired
+        await this.redis.zremrangebyscore(userKey, '-inf', now);
+
+        const active = await this.redis.zcard(userKey);
+        const overflow = active - this.getMaxPerUser() + 1;
+        if (overflow > 0) {
+            const evicted = await this.redis.zrange(userKey, 0, overflow - 1);
+            for (const id of evicted) {
+                this.logger.info('MCP-SESSION', 'Session limit reached, terminating session=%s user=%s', id, userId);
+                await this.deleteSession(id, userId);
+            }
+        }
+
+        const session = {
+            id: sessionId,
+            user: String(userId),
+            created: now,
+            protocolVersion: client.protocolVersion || null,
+            capabilities: client.capabilities || {},
+            clientInfo: client.clientInfo || null
+        };
+
+        await this.redis
+            .multi()
+            .set(this.getSessionKey(sessionId), JSON.stringify(session), 'EX', ttl)
+            .zadd(userKey, now + ttl * 1000, sessionId)
+            .expire(userKey, ttl)
+            .exec();
+
+        this.logger.verbose('MCP-SESSION', 'Created session=%s user=%s', sessionId, userId);
+        return session;
+    }
+
+    /**
+     * Load a session and extend its idle TTL
+     * @param {string} sessionId - Session ID from the Mcp-Session-Id header
+     * @param {string} userId - Authenticated user, sessions are never shared between users
+     * @returns {Object|null} Session record or null if unknown, expired or owned by someone else
+     */
+    async touchSession(sessionId, userId) {
+        if (!sessionId || typeof sessionId !== 'string') {
+            return null;
+        }
+
+        const data = await this.redis.get(this.getSessionKey(sessionId));
+        if (!data) {
+            return null;
+        }
+
+        let session;
+        try {
+            session = JSON.parse(data);
+        } catch (err) {
+            return null;
+        }
+
+        if (session.user !== String(userId)) {
+            this.logger.warn('MCP-SESSION', 'Session user mismatch session=%s user=%s', sessionId, userId);
+            return null;
+        }
+
+        const ttl = this.getTtl();
+        await this.redis
+            .multi()
+            .expire(this.getSessionKey(sessionId), ttl)
+            .expire(this.getSubscriptionKey(sessionId), ttl)
+            .zadd(this.getUserKey(userId), Date.now() + ttl * 1000, sessionId)
+            .expire(this.getUserKey(userId), ttl)
+            .exec();
+
+        return session;
+    }
+
+    /**
+     * Terminate a session
+     */
+    async deleteSession(sessionId, userId) {
+        await this.redis
+            .multi()
+            .del(this.getSessionKey(sessionId))
+            .del(this.getSubscriptionKey(sessionId))
+            .zrem(this.getUserKey(userId), sessionId)
+            .exec();
+
+        this.logger.verbose('MCP-SESSION', 'Deleted session=%s user=%s', sessionId, userId);
+    }
+
+    /**
+     * Subscribe a session to a resource or update the state last notified for it
+     * @param {string} sessionId - Session ID
+     * @param {string} uri - Resource URI
+     * @param {string} state - Resource state the client has seen
+     */
+    async setSubscription(sessionId, uri, state) {
+        const key = this.getSubscriptionKey(sessionId);
+        await this.redis
+            .multi()
+            .hset(key, uri, state)
+            .expire(key, this.getTtl())
+            .exec();
+    }
+
+    /**
+     * Unsubscribe a session from a resource
+     */
+    async removeSubscription(sessionId, uri) {
+        await this.redis.hdel(this.getSubscriptionKey(sessionId), uri);
+    }
+
+    /**
+     * Get all subscriptions of a session
+     * @returns {Object} Resource URI -> last notified state
+     */
+    async getSubscriptions(sessionId) {
+        return (await this.redis.hgetall(this.getSubscriptionKey(sessionId))) || {};
+    }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,220 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const { findMailboxByRef } = require('../message-ref');
+
+// Journal entries read per call unless configured otherwise
+const DEFAULT_MAX_CHANGES = 500;
+
+/**
+ * Service for incremental mailbox sync. WildDuck writes every add, expunge and
+ * flag change of a mailbox into the journal collection with the new mailbox
+ * modseq, so the changes after a known modseq can be replayed. Journal entries
+ * expire after a while, a token older than the journal needs a full resync
+ */
+class SyncService {
+    constructor(options) {
+        this.db = options.db;
+        this.logger = options.logger;
+        this.config = options.config;
+        this.messageService = options.messageService;
+    }
+
+    getMaxChanges() {
+        return Number(this.config?.sync?.maxChanges) || DEFAULT_MAX_CHANGES;
+    }
+
+    encodeToken(mailbox, modseq) {
+        return Buffer.from(`${mailbox._id}:${mailbox.uidValidity || 0}:${modseq}`).toString('base64url');
+    }
+
+    decodeToken(token) {
+        const parts = Buffer.from(String(token), 'base64url').toString().split(':');
+        if (parts.length !== 3 || !ObjectId.isValid(parts[0]) || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+            throw new Error('Invalid sync token');
+        }
+        return { mailbox: parts[0], uidValidity: Number(parts[1]), modseq: Number(parts[2]) };
+    }
+
+    async findMailbox(userId, mailbox) {
+        const mailboxDoc = await findMailboxByRef(this.db, userId, mailbox);
+        if (!mailboxDoc) {
+            throw new Error('Mailbox not found');
+        }
+        return mailboxDoc;
+    }
+
+    /**
+     * Read the journal entries after a modseq. Entries written in one batch share
+     * a modseq, a page never ends in the middle of one
+     * @returns {Object} { entries, hasMore }
+     */
+    async readJournal(mailbox, sinceModseq) {
+        const limit = this.getMaxChanges();
+        const journal = this.db.database.collection('journal');
+
+        let entries = await journal
+            .find({ mailbox: mailbox._id, modseq: { $gt: sinceModseq } })
+            .sort({ modseq: 1, _id: 1 })
+            .limit(limit + 1)
+            .toArray();
+
+        if (entries.length <= limit) {
+            return { entries, hasMore: false };
+        }
+
+        const lastModseq = entries[limit].modseq;
+        entries = entries.filter(entry => entry.modseq < lastModseq);
+        if (!entries.length) {
+            // A single batch larger than the limit, eg. a flag change on the whole mailbox
+            entries = await journal.find({ mailbox: mailbox._id, modseq: lastModseq }).toArray();
+        }
+        return { entries, hasMore: true };
+    }
+
+    /**
+     * Get the changes of a mailbox since a sync token or modseq
+     * @param {string} userId - User ID
+     * @param {Object} options - { mailbox, syncToken | modseq }
+     * @returns {Object} Added messages, flag changes, expunged UIDs and the next sync token
+     */
+    async getChangesSince(userId, options = {}) {
+        let since = null;
+        let tokenValidity = null;
+
+        let mailboxRef = options.mailbox;
+        if (options.syncToken) {
+            const token = this.decodeToken(options.syncToken);
+            mailboxRef = token.mailbox;
+            since = token.modseq;
+            tokenValidity = token.uidValidity;
+        } else if (options.modseq !== undefined && options.modseq !== null) {
+            since = Number(options.modseq);
+            if (!Number.isInteger(since) || since < 0) {
+                throw new Error('modseq must be a non-negative integer');
+            }
+        }
+
+        if (!mailboxRef) {
+            throw new Error('mailbox or syncToken is required');
+        }
+
+        const mailbox = await this.findMailbox(userId, mailboxRef);
+        if (options.syncToken && options.mailbox && ![mailbox._id.toString(), mailbox.path].includes(options.mailbox)) {
+            throw new Error('Sync token belongs to a different mailbox');
+        }
+
+        const currentModseq = mailbox.modifyIndex || 0;
+        const result = {
+            mailbox: {
+                id: mailbox._id.toString(),
+                path: mailbox.path,
+                uidValidity: mailbox.uidValidity,
+                uidNext: mailbox.uidNext
+            },
+            since,
+            modseq: currentModseq,
+            fullResyncRequired: false,
+            added: [],
+            changed: [],
+            expunged: [],
+            hasMore: false
+        };
+
+        const resync = reason => {
+            result.fullResyncRequired = true;
+            result.reason = reason;
+            result.syncToken = this.encodeToken(mailbox, currentModseq);
+            return result;
+        };
+
+        if (since === null) {
+            // Starting point, list the mailbox with getMessages and keep the token
+            result.syncToken = this.encodeToken(mailbox, currentModseq);
+            return result;
+        }
+
+        if (tokenValidity !== null && tokenValidity !== (mailbox.uidValidity || 0)) {
+            return resync('UIDVALIDITY of the mailbox has changed, UIDs from the previous sync are no longer valid');
+        }
+        if (since > currentModseq) {
+            return resync('modseq is newer than the mailbox');
+        }
+        if (since === currentModseq) {
+            result.syncToken = this.encodeToken(mailbox, currentModseq);
+            return result;
+        }
+
+        // Expired journal entries leave a gap, the changes can not be replayed completely
+        const oldest = await this.db.database.collection('journal')
+            .find({ mailbox: mailbox._id })
+            .sort({ modseq: 1 })
+            .limit(1)
+            .toArray();
+        if (!oldest.length || oldest[0].modseq > since + 1) {
+            return resync('The journal no longer covers this modseq, list the mailbox again');
+        }
+
+        const { entries, hasMore } = await this.readJournal(mailbox, since);
+
+        // Replay in order, the last entry for a UID decides where it is reported
+        const added = new Set();
+        const changed = new Set();
+        const expunged = new Map();
+        for (const entry of entries) {
+            switch (entry.command) {
+                case 'EXISTS':
+                    added.add(entry.uid);
+                    expunged.delete(entry.uid);
+                    break;
+                case 'FETCH':
+                    if (!added.has(entry.uid)) {
+                        changed.add(entry.uid);
+                    }
+                    break;
+                case 'EXPUNGE':
+                    added.delete(entry.uid);
+                    changed.delete(entry.uid);
+                    expunged.set(entry.uid, entry.message ? entry.message.toString() : null);
+                    break;
+            }
+        }
+
+        const uids = [...added, ...changed];
+        const messages = uids.length
+            ? await this.db.database.collection('messages')
+                .find(
+                    { mailbox: mailbox._id, uid: { $in: uids } },
+                    { projection: this.messageService.getMessageProjection({ includeBody: false, includeIntro: true }) }
+                )
+                .sort({ uid: 1 })
+                .toArray()
+            : [];
+
+        for (const message of messages) {
+            if (added.has(message.uid)) {
+                result.added.push(await this.messageService.formatMessage(message, mailbox, { includeBody: false }));
+            } else {
+                result.changed.push({
+                    id: message._id.toString(),
+                    uid: message.uid,
+                    flags: message.flags || [],
+                    seen: !message.unseen,
+                    flagged: !!message.flagged,
+                    modseq: message.modseq
+                });
+            }
+        }
+
+        result.expunged = [...expunged].sort((a, b) => a[0] - b[0]).map(([uid, id]) => ({ uid, id }));
+        result.hasMore = hasMore;
+        // Without more pages the token can move to the current mailbox modseq
+        const lastModseq = entries.length ? entries[entries.length - 1].modseq : since;
+        result.modseq = hasMore ? lastModseq : Math.max(lastModseq, currentModseq);
+        result.syncToken = this.encodeToken(mailbox, result.modseq);
+
+        return result;
+    }
+}
+
+module.exports = SyncService;
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MCPServerOfficial = require('../lib/mcp-server');
+
+const USER_ID = '000000000000000000000001';
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function createServer(config, size) {
+    const mcpServer = new MCPServerOfficial({ logger, config: { attachmentSecret: 'test-secret-test-secret-test-secret', ...config } });
+    const reads = [];
+    mcpServer.attachmentService.getAttachment = async (userId, messageId, attachmentId, returnType, options) => {
+        const details = { messageId: MESSAGE_ID, filename: 'report.pdf', contentType: 'application/pdf', size };
+        if (returnType === 'info') {
+            return details;
+        }
+        reads.push(options);
+        return { ...details, data: Buffer.alloc(size) };
+    };
+    return { mcpServer, reads };
+}
+
+test('getAttachmentContent embeds attachments within the content limit', async () => {
+    const { mcpServer, reads } = createServer({ attachmentContent: { maxSize: 1024 } }, 1024);
+    const content = await mcpServer.getAttachmentContent(USER_ID, MESSAGE_ID, 'ATT00001', null);
+
+    assert.strictEqual(content[1].type, 'resource');
+    assert.strictEqual(Buffer.from(content[1].resource.blob, 'base64').length, 1024);
+    assert.deepStrictEqual(reads, [{ maxSize: 1024 }]);
+});
+
+test('getAttachmentContent links attachments over the content limit without reading them', async () => {
+    const { mcpServer, reads } = createServer({ attachmentContent: { maxSize: 1024 } }, 1025);
+    const content = await mcpServer.getAttachmentContent(USER_ID, MESSAGE_ID, 'ATT00001', null);
+    const info = JSON.parse(content[0].text);
+
+    assert.strictEqual(content.length, 1);
+    assert.match(info.secureUrl, /^http:\/\/localhost:8080\//);
+    assert.match(info.note, /content limit of 1024 bytes/);
+    assert.deepStrictEqual(reads, []);
+});
+
+test('getAttachmentContent uses the default limit without configuration', async () => {
+    const { mcpServer, reads } = createServer({}, 20 * 1024 * 1024);
+    const content = await mcpServer.getAttachmentContent(USER_ID, MESSAGE_ID, 'ATT00001', null);
+
+    assert.ok(JSON.parse(content[0].text).secureUrl);
+    assert.deepStrictEqual(reads, []);
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AttachmentService = require('../lib/services/attachment-service');
+
+const USER_ID = '000000000000000000000001';
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const SECRET = 'test-secret-test-secret-test-secret';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+// SET key value EX ttl NX
+function fakeRedis() {
+    const keys = new Map();
+    return {
+        keys,
+        set: async (key, value, ex, ttl, nx) => {
+            assert.strictEqual(nx, 'NX');
+            if (keys.has(key)) {
+                return null;
+            }
+            keys.set(key, { value, ttl });
+            return 'OK';
+        }
+    };
+}
+
+function createService(config = {}, redis = fakeRedis()) {
+    return new AttachmentService({ logger, redis, config: { attachmentSecret: SECRET, ...config } });
+}
+
+// Path segments of a generated attachment URL
+function parseUrl(url) {
+    const [messageId, attachmentId, userId, expires, signature] = new URL(url).pathname.split('/').slice(4);
+    return { messageId, attachmentId, userId, expires, signature };
+}
+
+function attachmentUrl(service) {
+    return parseUrl(service.generateSecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', 'report.pdf', 'https://mail.example.com'));
+}
+
+test('the service refuses to start without a real secret', () => {
+    assert.throws(() => createService({ attachmentSecret: '' }), /attachmentSecret is not configured/);
+    assert.throws(() => createService({ attachmentSecret: 'change-this-to-a-secure-random-string' }), /attachmentSecret is not configured/);
+});
+
+test('signed attachment URLs only verify for what they were signed for', async () => {
+    const service = createService();
+    const url = attachmentUrl(service);
+
+    assert.strictEqual(await service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', url.expires, url.signature), true);
+    await assert.rejects(service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00002', url.expires, url.signature), /Invalid attachment signature/);
+    await assert.rejects(service.verifySecureAttachmentUrl('000000000000000000000002', MESSAGE_ID, 'ATT00001', url.expires, url.signature), /Invalid attachment signature/);
+    await assert.rejects(service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', String(Number(url.expires) + 1), url.signature), /Invalid attachment signature/);
+    await assert.rejects(service.verifySecureRawMessageUrl(USER_ID, MESSAGE_ID, url.expires, url.signature), /Invalid message signature/);
+});
+
+test('expired URLs are refused', async () => {
+    const service = createService({ signedUrls: { ttl: 60 } });
+    const url = attachmentUrl(service);
+    const expired = String(Math.floor(Date.now() / 1000) - 1);
+
+    assert.ok(Number(url.expires) - Date.now() / 1000 <= 60);
+    await assert.rejects(service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', expired, url.signature), /link expired/);
+});
+
+test('URLs signed with a previous secret keep verifying after a rotation', async () => {
+    const url = attachmentUrl(createService({ signedUrls: { keyId: 'a' } }));
+    const rotated = createService({ attachmentSecret: 'another-secret-another-secret-1234', signedUrls: { keyId: 'b', previousSecrets: { a: SECRET } } });
+    const retired = createService({ attachmentSecret: 'another-secret-another-secret-1234', signedUrls: { keyId: 'b' } });
+
+    assert.strictEqual(await rotated.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', url.expires, url.signature), true);
+    await assert.rejects(retired.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', url.expires, url.signature), /Invalid attachment signature/);
+});
+
+test('single-use URLs can be verified repeatedly but consumed once', async () => {
+    const redis = fakeRedis();
+    const service = createService({ signedUrls: { singleUse: true } }, redis);
+    const url = attachmentUrl(service);
+
+    await service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', url.expires, url.signature);
+    await service.verifySecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', url.expires, url.signature);
+    assert.strictEqual(redis.keys.size, 0);
+
+    await service.consumeUrl(url.expires, url.signature, 'Attachment');
+    await assert.rejects(service.consumeUrl(url.expires, url.signature, 'Attachment'), /Attachment link has already been used/);
+
+    // Remembered only until the link would have expired anyway
+    const [entry] = redis.keys.values();
+    assert.ok(entry.ttl > 0 && entry.ttl <= 3600);
+});
+
+test('URLs are reusable unless singleUse is enabled', async () => {
+    const redis = fakeRedis();
+    const service = createService({}, redis);
+    const url = attachmentUrl(service);
+
+    await service.consumeUrl(url.expires, url.signature, 'Attachment');
+    await service.consumeUrl(url.expires, url.signature, 'Attachment');
+    assert.strictEqual(redis.keys.size, 0);
+});
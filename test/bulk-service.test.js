@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const BulkService = require('../lib/services/bulk-service');
+
+const USER_ID = '000000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function matches(doc, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (key === '$or') {
+            return condition.some(entry => matches(doc, entry));
+        }
+        if (condition && condition.$in) {
+            return condition.$in.some(value => String(value) === String(doc[key]));
+        }
+        return String(doc[key]) === String(condition);
+    });
+}
+
+function fakeDb(data) {
+    const cursor = list => ({
+        sort: () => cursor(list),
+        limit: count => cursor(list.slice(0, count)),
+        toArray: async () => list
+    });
+    const collection = name => ({
+        findOne: async query => data[name].find(doc => matches(doc, query)) || null,
+        find: query => cursor(data[name].filter(doc => matches(doc, query)))
+    });
+    return { database: { collection } };
+}
+
+function createService(config = {}) {
+    const user = new ObjectId(USER_ID);
+    const inbox = { _id: new ObjectId(), user, path: 'INBOX' };
+    const work = { _id: new ObjectId(), user, path: 'Work' };
+    const trash = { _id: new ObjectId(), user, path: 'Trash', specialUse: '\\Trash' };
+    const messages = [];
+    for (const [mailbox, count] of [[inbox, 4], [work, 2], [trash, 1]]) {
+        for (let uid = 1; uid <= count; uid++) {
+            messages.push({ _id: new ObjectId(), user, mailbox: mailbox._id, uid, flags: [] });
+        }
+    }
+
+    const calls = { trash: [], expunge: [], flag: [] };
+    const messageService = {
+        // The filter is passed through as the query
+        buildSearchFilter: async (userId, filter) => filter,
+        trashMessages: async (userId, mailbox, uids) => {
+            calls.trash.push({ mailbox: mailbox.toString(), uids });
+            return messages.filter(m => m.mailbox.equals(mailbox) && uids.includes(m.uid)).map(m => m._id);
+        },
+        expungeMessage: async message => {
+            calls.expunge.push(message._id.toString());
+            return true;
+        },
+        applyFlagUpdate: async (mailbox, uids, flags, action) => {
+            calls.flag.push({ mailbox: mailbox.path, uids, flags, action });
+        }
+    };
+
+    const service = new BulkService({
+        db: fakeDb({ mailboxes: [inbox, work, trash], messages }),
+        logger,
+        config,
+        messageService
+    });
+    return { service, calls, inbox, work, trash, messages };
+}
+
+test('bulk operations refuse filters matching more than maxAffected', async () => {
+    const { service, calls, inbox } = createService();
+
+    await assert.rejects(service.bulkDelete(USER_ID, { filter: { mailbox: inbox._id }, maxAffected: 3 }), /matches more than 3 messages/);
+    await assert.rejects(service.bulkDelete(USER_ID, { messageIds: ['INBOX:1', 'INBOX:2', 'INBOX:3', 'INBOX:4'], maxAffected: 3 }), /exceeds the limit of 3/);
+    assert.deepStrictEqual(calls, { trash: [], expunge: [], flag: [] });
+});
+
+test('maxAffected can not be raised over the configured limit', async () => {
+    const { service } = createService({ bulkMaxAffected: 5 });
+
+    assert.strictEqual(service.getMaxAffected(), 5);
+    assert.strictEqual(service.getMaxAffected(2), 2);
+    assert.strictEqual(service.getMaxAffected(1000), 5);
+    await assert.rejects(service.bulkFlag(USER_ID, { filter: {}, flags: ['\\Seen'], maxAffected: 1000 }), /matches more than 5 messages/);
+});
+
+test('dryRun reports the matched messages without changing them', async () => {
+    const { service, calls, inbox } = createService();
+
+    const report = await service.bulkDelete(USER_ID, { filter: { mailbox: inbox._id }, dryRun: true });
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.matched, 4);
+    assert.strictEqual(report.succeeded, 4);
+
+    await service.bulkFlag(USER_ID, { filter: { mailbox: inbox._id }, flags: ['\\Seen'], dryRun: true });
+    assert.deepStrictEqual(calls, { trash: [], expunge: [], flag: [] });
+});
+
+test('bulkDelete moves to Trash per mailbox and expunges what is already in Trash', async () => {
+    const { service, calls, inbox, work, messages } = createService();
+
+    const report = await service.bulkDelete(USER_ID, { filter: {} });
+
+    assert.strictEqual(report.succeeded, 7);
+    assert.deepStrictEqual(calls.trash.sort((a, b) => a.uids.length - b.uids.length), [
+        { mailbox: work._id.toString(), uids: [1, 2] },
+        { mailbox: inbox._id.toString(), uids: [1, 2, 3, 4] }
+    ]);
+    assert.deepStrictEqual(calls.expunge, [messages[6]._id.toString()]);
+});
+
+test('bulkDelete reports missing messages and stops on ambiguous UIDs', async () => {
+    const { service, calls } = createService();
+
+    const report = await service.bulkDelete(USER_ID, { messageIds: ['INBOX:1', 'INBOX:99', 'Nope:1'], permanently: true });
+    assert.strictEqual(report.succeeded, 1);
+    assert.deepStrictEqual(report.results.filter(r => !r.success).map(r => r.id).sort(), ['INBOX:99', 'Nope:1']);
+    assert.strictEqual(calls.expunge.length, 1);
+
+    await assert.rejects(service.bulkDelete(USER_ID, { messageIds: ['INBOX:2', '3'] }), err => err.code === 'AmbiguousMessageId');
+    assert.strictEqual(calls.expunge.length, 1);
+});
+
+test('bulkFlag updates each mailbox once', async () => {
+    const { service, calls } = createService();
+
+    const report = await service.bulkFlag(USER_ID, { filter: {}, flags: ['\\Seen', 'project-x'], action: 'add' });
+
+    assert.strictEqual(report.succeeded, 7);
+    assert.deepStrictEqual(calls.flag.map(call => [call.mailbox, call.uids.length]).sort(), [['INBOX', 4], ['Trash', 1], ['Work', 2]]);
+    assert.deepStrictEqual(calls.flag[0].flags, ['\\Seen', 'project-x']);
+});
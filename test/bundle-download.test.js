@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const MCPServerOfficial = require('../lib/mcp-server');
+
+const USER_ID = '000000000000000000000001';
+
+function createServer(files, errors) {
+    const logger = {
+        info: () => false,
+        verbose: () => false,
+        warn: () => false,
+        error: (tag, message, ...args) => errors.push(args)
+    };
+    const mcpServer = new MCPServerOfficial({ logger, config: { attachmentSecret: 'test-secret-test-secret-test-secret' } });
+    mcpServer.attachmentService.verifySecureBundleUrl = async () => true;
+    mcpServer.attachmentService.consumeUrl = async () => true;
+    mcpServer.attachmentService.openAttachmentStream = attachment => attachment.open();
+    mcpServer.bundleService.getBundleFiles = async () => ({ name: 'bundle.zip', files });
+    return mcpServer;
+}
+
+// Response object with the restify methods the handler uses
+function createResponse() {
+    const chunks = [];
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    res.headers = {};
+    res.setHeader = (key, value) => {
+        res.headers[key.toLowerCase()] = value;
+        res.headersSent = true;
+    };
+    res.status = code => {
+        res.statusCode = code;
+    };
+    res.json = body => res.end(JSON.stringify(body));
+    res.send = body => res.end(body);
+    res.body = () => Buffer.concat(chunks);
+    return res;
+}
+
+const request = { params: { bundleId: 'b1', userId: USER_ID, expires: '0', signature: 'x' } };
+
+const file = (filename, open) => ({ filename, attachment: { uploadDate: new Date('2025-03-01T12:00:00Z'), open } });
+
+test('handleSecureBundle streams the attachments into a zip file', async () => {
+    const errors = [];
+    const mcpServer = createServer([file('a.txt', () => Readable.from([Buffer.from('hello')]))], errors);
+    const res = createResponse();
+
+    await mcpServer.handleSecureBundle(request, res);
+
+    assert.strictEqual(res.headers['content-type'], 'application/zip');
+    assert.strictEqual(res.body().subarray(0, 2).toString(), 'PK');
+    assert.ok(res.writableEnded);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('handleSecureBundle ends the response when an attachment stream fails', async () => {
+    const errors = [];
+    const failing = () =>
+        new Readable({
+            read() {
+                this.destroy(new Error('ChunkIsMissing'));
+            }
+        });
+    const mcpServer = createServer([file('a.txt', () => Readable.from([Buffer.from('hello')])), file('b.txt', failing)], errors);
+    const res = createResponse();
+
+    await mcpServer.handleSecureBundle(request, res);
+
+    assert.ok(res.writableEnded);
+    assert.deepStrictEqual(errors, [['ChunkIsMissing']]);
+});
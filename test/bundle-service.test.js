@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const BundleService = require('../lib/services/bundle-service');
+
+const USER_ID = '000000000000000000000001';
+const THREAD_ID = '64e000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function matches(doc, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (condition && condition.$in) {
+            return condition.$in.some(value => String(value) === String(doc[key]));
+        }
+        return String(doc[key]) === String(condition);
+    });
+}
+
+function createService(config = {}) {
+    const user = new ObjectId(USER_ID);
+    const thread = new ObjectId(THREAD_ID);
+    const messages = [
+        {
+            _id: new ObjectId(),
+            user,
+            thread,
+            attachments: [
+                { id: 'ATT00001', filename: 'report.pdf' },
+                { id: 'ATT00002', filename: '../../etc/passwd' },
+                { id: 'ATT00003', filename: 'logo.png', related: true }
+            ],
+            mimeTree: { attachmentMap: { ATT00001: 'g1', ATT00002: 'g2', ATT00003: 'g3' } }
+        },
+        {
+            _id: new ObjectId(),
+            user,
+            thread,
+            attachments: [{ id: 'ATT00001', filename: 'Report.pdf' }],
+            mimeTree: { attachmentMap: { ATT00001: 'g4' } }
+        }
+    ];
+    const files = [
+        { _id: 'g1', length: 100 },
+        { _id: 'g2', length: 20 },
+        { _id: 'g3', length: 5 },
+        { _id: 'g4', length: 300 }
+    ];
+
+    const cursor = list => ({
+        sort: () => cursor(list),
+        limit: count => cursor(list.slice(0, count)),
+        toArray: async () => list
+    });
+    const db = {
+        database: { collection: () => ({ find: query => cursor(messages.filter(doc => matches(doc, query))) }) },
+        gridfs: {
+            collection: () => ({
+                find: query => cursor(files.filter(doc => matches(doc, query))),
+                findOne: async query => files.find(doc => matches(doc, query)) || null
+            })
+        }
+    };
+
+    const stored = new Map();
+    const redis = {
+        set: async (key, value) => stored.set(key, value),
+        get: async key => stored.get(key) || null
+    };
+    const attachmentService = {
+        generateSecureBundleUrl: (userId, bundleId, name) => ({
+            url: `https://mail.example.com/plugin/mcp/zip/${bundleId}/${name}`,
+            expires: Math.floor(Date.now() / 1000) + 3600
+        })
+    };
+
+    const service = new BundleService({ db, redis, logger, config, attachmentService });
+    return { service, messages, stored };
+}
+
+const bundleIdOf = result => result.url.split('/')[6];
+
+test('createBundle collects the attachments of a thread with safe, unique names', async () => {
+    const { service, stored } = createService();
+    const result = await service.createBundle(USER_ID, { threadId: THREAD_ID, name: 'Plans.zip' }, 'https://mail.example.com');
+
+    assert.strictEqual(result.filename, 'Plans.zip');
+    assert.strictEqual(result.totalSize, 420);
+    assert.deepStrictEqual(result.files.map(file => [file.filename, file.size]), [
+        ['report.pdf', 100],
+        ['_.._etc_passwd', 20],
+        ['Report (2).pdf', 300]
+    ]);
+    assert.strictEqual(JSON.parse(stored.get(`mcp:bundle:${bundleIdOf(result)}`)).user, USER_ID);
+});
+
+test('createBundle filters by filename and includes inline images on request', async () => {
+    const { service } = createService();
+
+    const pdfs = await service.createBundle(USER_ID, { threadId: THREAD_ID, filenameContains: 'REPORT' }, '');
+    assert.deepStrictEqual(pdfs.files.map(file => file.filename), ['report.pdf', 'Report (2).pdf']);
+
+    const all = await service.createBundle(USER_ID, { threadId: THREAD_ID, includeInline: true }, '');
+    assert.strictEqual(all.files.length, 4);
+
+    await assert.rejects(service.createBundle(USER_ID, { threadId: THREAD_ID, filenameContains: 'nothing' }, ''), /No attachments found/);
+});
+
+test('createBundle enforces the configured limits', async () => {
+    await assert.rejects(
+        createService({ bundles: { maxFiles: 2 } }).service.createBundle(USER_ID, { threadId: THREAD_ID }, ''),
+        /3 files, which exceeds the limit of 2/
+    );
+    await assert.rejects(
+        createService({ bundles: { maxSize: 400 } }).service.createBundle(USER_ID, { threadId: THREAD_ID }, ''),
+        /420 bytes, which exceeds the limit of 400 bytes/
+    );
+    await assert.rejects(
+        createService({ bundles: { maxMessages: 1 } }).service.createBundle(USER_ID, { threadId: THREAD_ID }, ''),
+        /more than 1 messages/
+    );
+});
+
+test('getBundleFiles checks the owner and leaves out files of deleted messages', async () => {
+    const { service, messages } = createService();
+    const result = await service.createBundle(USER_ID, { threadId: THREAD_ID }, '');
+    const bundleId = bundleIdOf(result);
+
+    await assert.rejects(service.getBundleFiles('000000000000000000000002', bundleId), /Bundle not found/);
+    await assert.rejects(service.getBundleFiles(USER_ID, 'unknown'), /Bundle not found/);
+
+    messages.pop();
+    const bundle = await service.getBundleFiles(USER_ID, bundleId);
+    assert.deepStrictEqual(bundle.files.map(file => [file.filename, file.attachment._id]), [['report.pdf', 'g1'], ['_.._etc_passwd', 'g2']]);
+});
@@ -0,0 +1,331 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const ComposeService = require('../lib/services/compose-service');
+
+const USER_ID = '000000000000000000000001';
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function createAttachmentService(sizes) {
+    const reads = [];
+    return {
+        reads,
+        getAttachment: async (userId, messageId, attachmentId, returnType, options) => {
+            const info = { messageId, filename: `${attachmentId}.bin`, contentType: 'application/octet-stream', size: sizes[attachmentId] };
+            if (returnType === 'info') {
+                return info;
+            }
+            reads.push({ attachmentId, options });
+            return { ...info, data: Buffer.alloc(info.size) };
+        }
+    };
+}
+
+function createService(sizes, config = {}) {
+    const attachmentService = createAttachmentService(sizes);
+    const message = { _id: new ObjectId(MESSAGE_ID), attachments: Object.keys(sizes).map(id => ({ id })) };
+    const db = { database: { collection: () => ({ findOne: async () => message }) } };
+    const service = new ComposeService({ db, logger, config, attachmentService });
+    return { service, attachmentService };
+}
+
+test('getOriginalAttachments reads attachments within the size limit', async () => {
+    const { service, attachmentService } = createService({ ATT00001: 600, ATT00002: 400 }, { compose: { maxAttachmentSize: 1000 } });
+    const attachments = await service.getOriginalAttachments(USER_ID, MESSAGE_ID);
+
+    assert.deepStrictEqual(attachments.map(att => [att.filename, att.content.length]), [['ATT00001.bin', 600], ['ATT00002.bin', 400]]);
+    assert.deepStrictEqual(attachmentService.reads.map(read => read.options), [{ maxSize: 1000 }, { maxSize: 1000 }]);
+});
+
+test('getOriginalAttachments refuses attachments over the total size limit before reading them', async () => {
+    const { service, attachmentService } = createService({ ATT00001: 600, ATT00002: 401 }, { compose: { maxAttachmentSize: 1000 } });
+
+    await assert.rejects(service.getOriginalAttachments(USER_ID, MESSAGE_ID), /exceed the limit of 1000 bytes/);
+    assert.deepStrictEqual(attachmentService.reads, []);
+});
+
+test('getOriginalAttachments uses the default limit without configuration', async () => {
+    const { service } = createService({ ATT00001: 26 * 1024 * 1024 });
+
+    await assert.rejects(service.getOriginalAttachments(USER_ID, MESSAGE_ID), /exceed the limit of 26214400 bytes/);
+});
+
+const DRAFTS_ID = new ObjectId('64b000000000000000000001');
+
+// Drafts mailbox with one stored draft, messages support the queries of getDraft and claimDraft
+function createDraftService(options = {}) {
+    const draft = {
+        _id: new ObjectId(MESSAGE_ID),
+        user: new ObjectId(USER_ID),
+        mailbox: DRAFTS_ID,
+        uid: 7,
+        modseq: 10,
+        draft: true,
+        subject: 'Plans',
+        text: 'Draft body',
+        meta: {},
+        mimeTree: {
+            parsedHeader: {
+                from: [{ name: 'Old', address: options.storedFrom || 'bob@example.com' }],
+                to: [{ name: '', address: 'alice@partner.org' }]
+            }
+        }
+    };
+    const messages = new Map([[MESSAGE_ID, draft]]);
+
+    const claimFresh = doc => doc.meta.mcpDraftClaim && doc.meta.mcpDraftClaim > new Date(Date.now() - 5 * 60 * 1000);
+    const collections = {
+        mailboxes: {
+            findOne: async () => ({ _id: DRAFTS_ID, path: 'Drafts', specialUse: '\\Drafts' })
+        },
+        messages: {
+            findOne: async query => {
+                const doc = messages.get(query._id.toString());
+                return doc && (!query.mailbox || doc.mailbox.equals(query.mailbox)) ? doc : null;
+            },
+            findOneAndUpdate: async (query, update) => {
+                const doc = messages.get(query._id.toString());
+                if (!doc || doc.modseq !== query.modseq || claimFresh(doc)) {
+                    return { value: null };
+                }
+                doc.meta.mcpDraftClaim = update.$set['meta.mcpDraftClaim'];
+                return { value: { _id: doc._id } };
+            },
+            updateOne: async query => {
+                const doc = messages.get(query._id.toString());
+                if (doc) {
+                    delete doc.meta.mcpDraftClaim;
+                }
+            }
+        }
+    };
+
+    const sent = [];
+    const stored = [];
+    const expunged = [];
+    const flagged = [];
+    let nextId = 1;
+    const service = new ComposeService({
+        db: { database: { collection: name => collections[name] } },
+        logger,
+        config: {},
+        userService: {
+            getUserInfo: async () => ({
+                name: 'Bob',
+                addresses: [
+                    { id: 'a1', address: 'bob@example.com', main: true },
+                    { id: 'a2', address: 'new@example.com' }
+                ]
+            })
+        },
+        messageService: {
+            getMessage: async () => options.original,
+            updateMessageFlags: async (userId, messageId, flags) => flagged.push({ messageId, flags }),
+            expungeMessage: async message => {
+                if (options.failExpunge && message._id.equals(draft._id)) {
+                    throw new Error('Expunge failed');
+                }
+                expunged.push(message._id.toString());
+                messages.delete(message._id.toString());
+            }
+        },
+        messageHandler: {
+            addAsync: async data => {
+                if (options.failStore) {
+                    throw new Error('Store failed');
+                }
+                const id = new ObjectId(`64c00000000000000000000${nextId++}`);
+                messages.set(id.toString(), { _id: id, user: data.user, mailbox: DRAFTS_ID, meta: {} });
+                stored.push({ id: id.toString(), specialUse: data.specialUse });
+                return { data: { id: id.toString(), uid: 100 + nextId, mailbox: DRAFTS_ID.toString() } };
+            }
+        },
+        submitTransport: {
+            sendMail: async message => {
+                if (options.failSend) {
+                    throw new Error('Connection refused');
+                }
+                sent.push(message);
+                return { response: '250 OK' };
+            }
+        }
+    });
+
+    return { service, draft, messages, sent, stored, expunged, flagged };
+}
+
+test('sendDraft sends a draft once when called concurrently', async () => {
+    const { service, sent, expunged } = createDraftService();
+
+    const results = await Promise.allSettled([service.sendDraft(USER_ID, MESSAGE_ID), service.sendDraft(USER_ID, MESSAGE_ID)]);
+
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.match(results.find(result => result.status === 'rejected').reason.message, /being updated or sent by another request/);
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(expunged, [MESSAGE_ID]);
+});
+
+test('sendDraft releases the draft when submission fails', async () => {
+    const { service, draft, sent } = createDraftService({ failSend: true });
+
+    await assert.rejects(service.sendDraft(USER_ID, MESSAGE_ID), /Connection refused/);
+    assert.strictEqual(draft.meta.mcpDraftClaim, undefined);
+    assert.strictEqual(sent.length, 0);
+});
+
+test('sendDraft refuses a draft that updateDraft is replacing', async () => {
+    const { service, draft, sent } = createDraftService();
+    draft.meta.mcpDraftClaim = new Date();
+
+    await assert.rejects(service.sendDraft(USER_ID, MESSAGE_ID), /being updated or sent by another request/);
+    assert.strictEqual(sent.length, 0);
+});
+
+test('updateDraft stores the new version and expunges the old one', async () => {
+    const { service, stored, expunged } = createDraftService();
+
+    const result = await service.updateDraft(USER_ID, MESSAGE_ID, { subject: 'New plans' });
+
+    assert.strictEqual(result.replaced, MESSAGE_ID);
+    assert.deepStrictEqual(stored.map(entry => entry.specialUse), ['\\Drafts']);
+    assert.deepStrictEqual(expunged, [MESSAGE_ID]);
+});
+
+test('updateDraft releases the draft when storing the new version fails', async () => {
+    const { service, draft, messages } = createDraftService({ failStore: true });
+
+    await assert.rejects(service.updateDraft(USER_ID, MESSAGE_ID, { subject: 'New plans' }), /Store failed/);
+    assert.strictEqual(draft.meta.mcpDraftClaim, undefined);
+    assert.deepStrictEqual([...messages.keys()], [MESSAGE_ID]);
+});
+
+test('updateDraft removes the new version when the old one can not be expunged', async () => {
+    const { service, draft, messages, stored, expunged } = createDraftService({ failExpunge: true });
+
+    await assert.rejects(service.updateDraft(USER_ID, MESSAGE_ID, { subject: 'New plans' }), /Expunge failed/);
+    assert.strictEqual(draft.meta.mcpDraftClaim, undefined);
+    assert.deepStrictEqual(expunged, [stored[0].id]);
+    assert.deepStrictEqual([...messages.keys()], [MESSAGE_ID]);
+});
+
+test('updateDraft and sendDraft accept a new sender when the stored one was removed', async () => {
+    const updating = createDraftService({ storedFrom: 'old@example.com' });
+    await assert.rejects(updating.service.updateDraft(USER_ID, MESSAGE_ID, { subject: 'New plans' }), /old@example.com does not belong/);
+    await updating.service.updateDraft(USER_ID, MESSAGE_ID, { from: 'new@example.com' });
+    assert.strictEqual(updating.stored.length, 1);
+
+    const sending = createDraftService({ storedFrom: 'old@example.com' });
+    const result = await sending.service.sendDraft(USER_ID, MESSAGE_ID, { from: 'a2' });
+    assert.strictEqual(result.from, 'new@example.com');
+    assert.strictEqual(sending.sent.length, 1);
+});
+
+test('sendEmail sends from the main address unless another identity is given', async () => {
+    const { service, sent, stored } = createDraftService();
+
+    const result = await service.sendEmail(USER_ID, { to: 'alice@partner.org, carol@partner.org', subject: 'Hi', text: 'Hello' });
+    assert.strictEqual(result.from, 'bob@example.com');
+    assert.deepStrictEqual(result.envelope.to, ['alice@partner.org', 'carol@partner.org']);
+    assert.deepStrictEqual(stored, [{ id: stored[0].id, specialUse: '\\Sent' }]);
+
+    const byId = await service.sendEmail(USER_ID, { from: 'a2', to: 'alice@partner.org', text: 'Hello' });
+    assert.strictEqual(byId.from, 'new@example.com');
+
+    await assert.rejects(service.sendEmail(USER_ID, { from: 'mallory@evil.net', to: 'alice@partner.org', text: 'Hello' }), /does not belong to this user/);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('sendEmail keeps Bcc in the stored copy only', async () => {
+    const { service, sent } = createDraftService();
+    let storedRaw;
+    service.storeMessage = async (userId, specialUse, raw) => {
+        storedRaw = raw.toString();
+        return { id: 'x' };
+    };
+
+    await service.sendEmail(USER_ID, { to: 'alice@partner.org', bcc: 'boss@example.com', text: 'Hello' });
+
+    assert.deepStrictEqual(sent[0].envelope.to, ['alice@partner.org', 'boss@example.com']);
+    assert.doesNotMatch(sent[0].raw.toString(), /^Bcc:/m);
+    assert.match(storedRaw, /^Bcc: boss@example.com/m);
+});
+
+test('sendEmail reports a sent message even when the Sent copy can not be stored', async () => {
+    const { service, sent } = createDraftService({ failStore: true });
+    const result = await service.sendEmail(USER_ID, { to: 'alice@partner.org', text: 'Hello' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sent, null);
+    assert.strictEqual(sent.length, 1);
+});
+
+test('sendEmail needs a recipient and a body', async () => {
+    const { service, sent } = createDraftService();
+
+    await assert.rejects(service.sendEmail(USER_ID, { text: 'Hello' }), /At least one recipient is required/);
+    await assert.rejects(service.sendEmail(USER_ID, { to: 'alice@partner.org' }), /text or html is required/);
+    assert.strictEqual(sent.length, 0);
+});
+
+const ORIGINAL = {
+    id: '64d000000000000000000001',
+    thread: 'thread-1',
+    messageId: '<original@partner.org>',
+    references: ['<first@partner.org>'],
+    subject: 'Re: Plans',
+    from: { name: 'Alice', address: 'alice@partner.org' },
+    to: [
+        { name: 'Bob', address: 'bob@example.com' },
+        { name: 'Carol', address: 'carol@partner.org' }
+    ],
+    cc: [
+        { name: 'Dave', address: 'dave@partner.org' },
+        { name: 'Alice', address: 'ALICE@partner.org' }
+    ],
+    date: new Date('2025-03-01T12:00:00Z'),
+    body: 'See you there'
+};
+
+test('replyToMessage keeps the thread and quotes the original', async () => {
+    const { service, sent, flagged } = createDraftService({ original: ORIGINAL });
+    const result = await service.replyToMessage(USER_ID, ORIGINAL.id, { text: 'Sounds good' });
+    const raw = sent[0].raw.toString();
+
+    assert.deepStrictEqual(result.envelope.to, ['alice@partner.org']);
+    assert.match(raw, /^Subject: Re: Plans$/m);
+    assert.match(raw, /^In-Reply-To: <original@partner.org>$/m);
+    assert.match(raw, /^References: <first@partner.org> <original@partner.org>$/m);
+    assert.match(raw, /^> See you there$/m);
+    assert.strictEqual(result.originalThread, 'thread-1');
+    assert.deepStrictEqual(flagged, [{ messageId: ORIGINAL.id, flags: ['\\Answered'] }]);
+});
+
+test('replyToMessage with replyAll skips own and duplicate addresses', async () => {
+    const { service } = createDraftService({ original: ORIGINAL });
+    const result = await service.replyToMessage(USER_ID, ORIGINAL.id, { text: 'Sounds good', replyAll: true });
+
+    assert.deepStrictEqual(result.envelope.to, ['alice@partner.org', 'carol@partner.org', 'dave@partner.org']);
+});
+
+test('forwardMessage attaches the original attachments and flags the original', async () => {
+    const { service, sent, flagged } = createDraftService({ original: ORIGINAL });
+    service.getOriginalAttachments = async () => [{ filename: 'agenda.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }];
+
+    const result = await service.forwardMessage(USER_ID, ORIGINAL.id, { to: 'erin@partner.org', text: 'FYI' });
+    const raw = sent[0].raw.toString();
+
+    assert.strictEqual(result.attachments, 1);
+    assert.match(raw, /^Subject: Fwd: Re: Plans$/m);
+    assert.match(raw, /---------- Forwarded message ----------/);
+    assert.match(raw, /filename=agenda.pdf/);
+    assert.deepStrictEqual(flagged, [{ messageId: ORIGINAL.id, flags: ['$Forwarded'] }]);
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const CounterService = require('../lib/services/counter-service');
+
+const USER_ID = '000000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function fakeRedis() {
+    const hashes = new Map();
+    const redis = {
+        hashes,
+        failing: false,
+        hgetall: async key => {
+            if (redis.failing) {
+                throw new Error('Connection lost');
+            }
+            return hashes.get(key) || {};
+        },
+        del: async key => hashes.delete(key),
+        multi: () => {
+            const ops = [];
+            const chain = {
+                hmset: (key, fields) => {
+                    ops.push(() => hashes.set(key, { ...(hashes.get(key) || {}), ...fields }));
+                    return chain;
+                },
+                expire: () => chain,
+                exec: async () => ops.forEach(op => op())
+            };
+            return chain;
+        }
+    };
+    return redis;
+}
+
+function createService(config = {}) {
+    const mailboxes = [
+        { _id: new ObjectId(), path: 'INBOX', modifyIndex: 10 },
+        { _id: new ObjectId(), path: 'Work', modifyIndex: 4 },
+        { _id: new ObjectId(), path: 'Empty' }
+    ];
+    const messages = [
+        { mailbox: mailboxes[0]._id, flags: ['\\Seen'], size: 100 },
+        { mailbox: mailboxes[0]._id, flags: [], size: 200 },
+        { mailbox: mailboxes[1]._id, flags: ['\\Flagged'], size: 50 }
+    ];
+
+    // Runs the $group stage of CounterService.aggregate over the messages above
+    const matches = [];
+    const db = {
+        database: {
+            collection: () => ({
+                aggregate: pipeline => {
+                    const match = pipeline[0].$match;
+                    matches.push(match);
+                    const selected = messages.filter(message => {
+                        if (!match.mailbox) {
+                            return true;
+                        }
+                        const ids = match.mailbox.$in || [match.mailbox];
+                        return ids.some(id => id.equals(message.mailbox));
+                    });
+                    const groups = new Map();
+                    for (const message of selected) {
+                        const entry = groups.get(message.mailbox.toString()) || { _id: message.mailbox, total: 0, unread: 0, size: 0 };
+                        entry.total++;
+                        entry.unread += message.flags.includes('\\Seen') ? 0 : 1;
+                        entry.size += message.size;
+                        groups.set(message.mailbox.toString(), entry);
+                    }
+                    return { toArray: async () => [...groups.values()] };
+                }
+            })
+        }
+    };
+
+    const redis = fakeRedis();
+    const service = new CounterService({ db, redis, logger, config });
+    return { service, mailboxes, messages, matches, redis };
+}
+
+const plain = counters => Object.fromEntries(counters);
+
+test('getCounters counts every mailbox in one aggregation', async () => {
+    const { service, mailboxes, matches } = createService();
+    const counters = await service.getCounters(USER_ID, mailboxes);
+
+    assert.deepStrictEqual(plain(counters), {
+        [mailboxes[0]._id]: { messages: 2, unread: 1, size: 300 },
+        [mailboxes[1]._id]: { messages: 1, unread: 1, size: 50 },
+        [mailboxes[2]._id]: { messages: 0, unread: 0, size: 0 }
+    });
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(matches[0].mailbox, undefined);
+});
+
+test('getCounters reuses cached counters until the mailbox modseq changes', async () => {
+    const { service, mailboxes, messages, matches } = createService();
+    await service.getCounters(USER_ID, mailboxes);
+
+    messages.push({ mailbox: mailboxes[1]._id, flags: [], size: 10 });
+    const cached = await service.getCounters(USER_ID, mailboxes);
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(cached.get(mailboxes[1]._id.toString()).messages, 1);
+
+    mailboxes[1].modifyIndex++;
+    const updated = await service.getCounters(USER_ID, mailboxes);
+    assert.strictEqual(matches.length, 2);
+    assert.ok(matches[1].mailbox.equals(mailboxes[1]._id));
+    assert.deepStrictEqual(updated.get(mailboxes[1]._id.toString()), { messages: 2, unread: 2, size: 60 });
+    assert.deepStrictEqual(updated.get(mailboxes[0]._id.toString()), { messages: 2, unread: 1, size: 300 });
+});
+
+test('getCounters skips the cache when it is disabled or unavailable', async () => {
+    const disabled = createService({ counterCacheTtl: 0 });
+    await disabled.service.getCounters(USER_ID, disabled.mailboxes);
+    await disabled.service.getCounters(USER_ID, disabled.mailboxes);
+    assert.strictEqual(disabled.matches.length, 2);
+    assert.strictEqual(disabled.redis.hashes.size, 0);
+
+    const failing = createService();
+    failing.redis.failing = true;
+    const counters = await failing.service.getCounters(USER_ID, failing.mailboxes);
+    assert.strictEqual(counters.get(failing.mailboxes[0]._id.toString()).messages, 2);
+});
+
+test('invalidate drops the cached counters of a user', async () => {
+    const { service, mailboxes, matches } = createService();
+    await service.getCounters(USER_ID, mailboxes);
+    await service.invalidate(USER_ID);
+    await service.getCounters(USER_ID, mailboxes);
+
+    assert.strictEqual(matches.length, 2);
+});
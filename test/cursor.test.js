@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+
+const POSITION = { idate: '2025-03-01T12:00:00.000Z', id: '507f1f77bcf86cd799439011' };
+
+test('a cursor returns the position it was created with', () => {
+    const options = { from: 'alice', mailbox: 'INBOX' };
+    const cursor = encodeCursor('search', options, POSITION);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(decodeCursor(cursor, 'search', options), POSITION);
+});
+
+test('no cursor means the first page', () => {
+    assert.strictEqual(decodeCursor(undefined, 'search', {}), null);
+    assert.strictEqual(decodeCursor('', 'search', {}), null);
+});
+
+test('paging options and internal options do not change the query', () => {
+    const cursor = encodeCursor('search', { from: 'alice', limit: 10 }, POSITION);
+    const next = { from: 'alice', limit: 50, cursor, includeTotal: true, includeBodies: true, _req: {} };
+
+    assert.deepStrictEqual(decodeCursor(cursor, 'search', next), POSITION);
+});
+
+test('key order and undefined values do not change the query', () => {
+    const cursor = encodeCursor('search', { from: 'alice', filter: { b: 1, a: [2, 3] } }, POSITION);
+
+    assert.deepStrictEqual(decodeCursor(cursor, 'search', { to: undefined, filter: { a: [2, 3], b: 1 }, from: 'alice' }), POSITION);
+});
+
+test('a cursor can not be used for a different query', () => {
+    const cursor = encodeCursor('search', { from: 'alice' }, POSITION);
+
+    assert.throws(() => decodeCursor(cursor, 'search', { from: 'bob' }), /different query/);
+    assert.throws(() => decodeCursor(cursor, 'mailbox', { from: 'alice' }), /Invalid cursor/);
+});
+
+test('malformed cursors are rejected', () => {
+    const withoutPosition = Buffer.from(JSON.stringify({ k: 'search', q: 'x' })).toString('base64url');
+
+    for (const cursor of ['not-a-cursor', '%%%', withoutPosition]) {
+        assert.throws(() => decodeCursor(cursor, 'search', {}), /Invalid cursor/, cursor);
+    }
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseHeaderLines,
+    parseAuthenticationResults,
+    parseReceivedSpf,
+    parseDkimSignature,
+    parseArcSeal,
+    parseReceived,
+    buildReceivedChain,
+    parseAuthentication
+} = require('../lib/header-forensics');
+
+test('parseHeaderLines unfolds headers and keeps their order', () => {
+    const headers = parseHeaderLines([
+        'Received: from a.example\r\n\tby b.example; Sat, 1 Mar 2025 12:00:05 +0000',
+        'Subject: =?UTF-8?Q?x?=',
+        'not a header',
+        Buffer.from('X-Name: Jürgen').toString('binary')
+    ]);
+
+    assert.deepStrictEqual(headers, [
+        { key: 'Received', value: 'from a.example by b.example; Sat, 1 Mar 2025 12:00:05 +0000' },
+        { key: 'Subject', value: '=?UTF-8?Q?x?=' },
+        { key: 'X-Name', value: 'Jürgen' }
+    ]);
+});
+
+test('parseAuthenticationResults reads methods, reasons and properties', () => {
+    const result = parseAuthenticationResults(
+        'mx.example.com (comment); spf=pass (sender is authorized) smtp.mailfrom=alice@example.org; ' +
+        'dkim=fail reason="bad signature" header.d=example.org; dmarc=pass header.from=example.org'
+    );
+
+    assert.strictEqual(result.instance, null);
+    assert.strictEqual(result.authservId, 'mx.example.com');
+    assert.deepStrictEqual(result.results.map(entry => [entry.method, entry.result]), [['spf', 'pass'], ['dkim', 'fail'], ['dmarc', 'pass']]);
+    assert.strictEqual(result.results[0].reason, 'sender is authorized');
+    assert.deepStrictEqual(result.results[0].properties, { 'smtp.mailfrom': 'alice@example.org' });
+    assert.strictEqual(result.results[1].reason, 'bad signature');
+    assert.strictEqual(result.results[1].properties['header.d'], 'example.org');
+});
+
+test('parseAuthenticationResults reads the ARC instance and skips none', () => {
+    const result = parseAuthenticationResults('i=2; mx.example.com; none');
+    assert.strictEqual(result.instance, 2);
+    assert.strictEqual(result.authservId, 'mx.example.com');
+    assert.deepStrictEqual(result.results, []);
+});
+
+test('parseReceivedSpf', () => {
+    const result = parseReceivedSpf('Pass (mx.example.com: domain designates 192.0.2.1 as permitted sender) client-ip=192.0.2.1; envelope-from="alice@example.org";');
+    assert.strictEqual(result.result, 'pass');
+    assert.strictEqual(result.comment, 'mx.example.com: domain designates 192.0.2.1 as permitted sender');
+    assert.deepStrictEqual(result.properties, { 'client-ip': '192.0.2.1', 'envelope-from': 'alice@example.org' });
+});
+
+test('parseDkimSignature leaves out the signature data', () => {
+    const result = parseDkimSignature('v=1; a=rsa-sha256; c=relaxed/relaxed; d=example.org; s=sel1;\r\n h=From : To:Subject; t=1740830400; x=1741435200; i=@example.org; bh=abc=; b=def=');
+
+    assert.deepStrictEqual(result, {
+        instance: undefined,
+        domain: 'example.org',
+        selector: 'sel1',
+        algorithm: 'rsa-sha256',
+        canonicalization: 'relaxed/relaxed',
+        signedHeaders: ['from', 'to', 'subject'],
+        identity: '@example.org',
+        signedAt: '2025-03-01T12:00:00.000Z',
+        expiresAt: '2025-03-08T12:00:00.000Z'
+    });
+    assert.strictEqual(parseDkimSignature('i=1; d=example.org').instance, 1);
+});
+
+test('parseArcSeal', () => {
+    assert.deepStrictEqual(parseArcSeal('i=1; a=rsa-sha256; t=1740830400; cv=None; d=example.net; s=arc; b=xyz'), {
+        instance: 1,
+        chainValidation: 'none',
+        domain: 'example.net',
+        selector: 'arc',
+        algorithm: 'rsa-sha256',
+        signedAt: '2025-03-01T12:00:00.000Z'
+    });
+});
+
+test('parseReceived reads clauses, the relay IP and the date', () => {
+    const result = parseReceived('from mail.example.org (mail.example.org [192.0.2.1]) by mx.example.com (Postfix) with ESMTPS id ABC123 for <bob@example.com>; Sat, 1 Mar 2025 12:00:05 +0000 (UTC)');
+
+    assert.deepStrictEqual(result, {
+        from: 'mail.example.org',
+        fromDetails: 'mail.example.org [192.0.2.1]',
+        ip: '192.0.2.1',
+        by: 'mx.example.com',
+        with: 'ESMTPS',
+        id: 'ABC123',
+        for: 'bob@example.com',
+        date: '2025-03-01T12:00:05.000Z'
+    });
+});
+
+test('buildReceivedChain orders hops oldest first with delays', () => {
+    const headers = [
+        { key: 'Received', value: 'from b.example by c.example; Sat, 1 Mar 2025 12:00:30 +0000' },
+        { key: 'Subject', value: 'x' },
+        { key: 'received', value: 'from a.example by b.example; Sat, 1 Mar 2025 12:00:10 +0000' }
+    ];
+    const chain = buildReceivedChain(headers, 'Sat, 1 Mar 2025 12:00:00 +0000');
+
+    assert.deepStrictEqual(chain.hops.map(hop => [hop.hop, hop.from, hop.delaySeconds]), [[1, 'a.example', 10], [2, 'b.example', 20]]);
+    assert.strictEqual(chain.totalDelaySeconds, 30);
+
+    const undated = buildReceivedChain(headers, null);
+    assert.strictEqual(undated.hops[0].delaySeconds, null);
+    assert.strictEqual(undated.totalDelaySeconds, null);
+});
+
+test('parseAuthentication summarizes the topmost results', () => {
+    const result = parseAuthentication([
+        { key: 'Authentication-Results', value: 'mx.example.com; spf=softfail smtp.mailfrom=example.org; dkim=pass header.d=example.org' },
+        { key: 'Authentication-Results', value: 'relay.example.net; dmarc=pass' },
+        { key: 'ARC-Seal', value: 'i=1; cv=none; d=relay.example.net' },
+        { key: 'ARC-Seal', value: 'i=2; cv=pass; d=relay2.example.net' },
+        { key: 'ARC-Message-Signature', value: 'i=2; d=relay2.example.net; h=from' },
+        { key: 'ARC-Authentication-Results', value: 'i=2; relay2.example.net; spf=pass' },
+        { key: 'DKIM-Signature', value: 'd=example.org; s=sel' }
+    ]);
+
+    assert.deepStrictEqual(result.summary, { spf: 'softfail', dkim: 'pass', dmarc: null, arc: 'pass' });
+    assert.strictEqual(result.authenticationResults.length, 2);
+    assert.strictEqual(result.dkimSignatures[0].domain, 'example.org');
+    assert.deepStrictEqual(result.arc.map(set => set.instance), [1, 2]);
+    assert.strictEqual(result.arc[1].messageSignature.domain, 'relay2.example.net');
+    assert.strictEqual(result.arc[1].authenticationResults.results[0].method, 'spf');
+});
+
+test('parseAuthentication falls back to Received-SPF', () => {
+    const result = parseAuthentication([{ key: 'Received-SPF', value: 'fail (not permitted) client-ip=192.0.2.9' }]);
+    assert.deepStrictEqual(result.summary, { spf: 'fail', dkim: null, dmarc: null, arc: null });
+});
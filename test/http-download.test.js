@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { contentDisposition, parseRange, isNotModified, isRangeFresh } = require('../lib/http-download');
+
+const ETAG = '"5f1d7c0e8a1b2c3d4e5f6a7b"';
+const LAST_MODIFIED = new Date('2025-03-01T12:00:00Z');
+
+test('parseRange handles single byte ranges', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+    assert.deepStrictEqual(parseRange('bytes=500-', 1000), { start: 500, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+    assert.deepStrictEqual(parseRange(' BYTES = 10 - 20 ', 1000), { start: 10, end: 20 });
+});
+
+test('parseRange clamps the end and the suffix length to the size', () => {
+    assert.deepStrictEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRange ignores missing, malformed and multiple ranges', () => {
+    for (const header of [undefined, '', 'bytes=', 'bytes=-', 'items=0-1', 'bytes=a-b', 'bytes=0-1,5-6']) {
+        assert.strictEqual(parseRange(header, 1000), null, String(header));
+    }
+});
+
+test('parseRange reports unsatisfiable ranges', () => {
+    assert.strictEqual(parseRange('bytes=1000-', 1000), false);
+    assert.strictEqual(parseRange('bytes=50-10', 1000), false);
+    assert.strictEqual(parseRange('bytes=-0', 1000), false);
+    assert.strictEqual(parseRange('bytes=0-', 0), false);
+});
+
+test('isRangeFresh without If-Range', () => {
+    assert.strictEqual(isRangeFresh({}, ETAG, LAST_MODIFIED), true);
+});
+
+test('isRangeFresh compares entity tags strongly', () => {
+    assert.strictEqual(isRangeFresh({ 'if-range': ETAG }, ETAG, LAST_MODIFIED), true);
+    assert.strictEqual(isRangeFresh({ 'if-range': '"other"' }, ETAG, LAST_MODIFIED), false);
+    assert.strictEqual(isRangeFresh({ 'if-range': 'W/' + ETAG }, ETAG, LAST_MODIFIED), false);
+});
+
+test('isRangeFresh compares dates to the second', () => {
+    assert.strictEqual(isRangeFresh({ 'if-range': LAST_MODIFIED.toUTCString() }, ETAG, LAST_MODIFIED), true);
+    assert.strictEqual(isRangeFresh({ 'if-range': 'Sat, 01 Mar 2025 11:59:59 GMT' }, ETAG, LAST_MODIFIED), false);
+    assert.strictEqual(isRangeFresh({ 'if-range': LAST_MODIFIED.toUTCString() }, ETAG, null), false);
+    assert.strictEqual(isRangeFresh({ 'if-range': 'not a date' }, ETAG, LAST_MODIFIED), false);
+});
+
+test('isNotModified prefers If-None-Match over If-Modified-Since', () => {
+    assert.strictEqual(isNotModified({ 'if-none-match': `"a", W/${ETAG}` }, ETAG, LAST_MODIFIED), true);
+    assert.strictEqual(isNotModified({ 'if-none-match': '*' }, ETAG, LAST_MODIFIED), true);
+    assert.strictEqual(isNotModified({ 'if-none-match': '"a"', 'if-modified-since': LAST_MODIFIED.toUTCString() }, ETAG, LAST_MODIFIED), false);
+    assert.strictEqual(isNotModified({ 'if-modified-since': LAST_MODIFIED.toUTCString() }, ETAG, LAST_MODIFIED), true);
+    assert.strictEqual(isNotModified({ 'if-modified-since': 'Sat, 01 Mar 2025 11:00:00 GMT' }, ETAG, LAST_MODIFIED), false);
+    assert.strictEqual(isNotModified({}, ETAG, LAST_MODIFIED), false);
+});
+
+test('contentDisposition adds an ASCII fallback and a UTF-8 filename', () => {
+    assert.strictEqual(contentDisposition('inline', 'report.pdf'), 'inline; filename="report.pdf"');
+    assert.strictEqual(contentDisposition('attachment', 'Übersicht "Q1".pdf'),
+        'attachment; filename="Ubersicht _Q1_.pdf"; filename*=UTF-8\'\'%C3%9Cbersicht%20%22Q1%22.pdf');
+    assert.strictEqual(contentDisposition('attachment'), 'attachment');
+});
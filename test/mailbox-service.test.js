@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const MailboxService = require('../lib/services/mailbox-service');
+
+const USER_ID = '000000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function matchValue(value, condition) {
+    if (condition && condition.$in) {
+        return condition.$in.includes(value);
+    }
+    if (condition && condition.$regex) {
+        return new RegExp(condition.$regex).test(value);
+    }
+    return String(value) === String(condition);
+}
+
+// Mailboxes collection and a handler that renames like WildDuck's mailboxHandler.rename:
+// only the given mailbox changes its path, children keep theirs
+function createService(paths, options = {}) {
+    const mailboxes = paths.map(path => ({ _id: new ObjectId(), user: new ObjectId(USER_ID), path }));
+    // Copies, like documents read from MongoDB
+    const matches = query =>
+        mailboxes.filter(mailbox => Object.entries(query).every(([key, value]) => matchValue(mailbox[key], value))).map(mailbox => ({ ...mailbox }));
+    const calls = [];
+
+    const mailboxHandler = {
+        rename: (user, id, newname, opts, callback) => {
+            calls.push(newname);
+            const mailbox = mailboxes.find(entry => entry._id.equals(id));
+            if (options.fail && options.fail === newname) {
+                const err = new Error('Mailbox update failed with code NoSuchMailbox');
+                err.code = 'NONEXISTENT';
+                return callback(err);
+            }
+            if (mailboxes.some(entry => entry.path === newname)) {
+                const err = new Error('Mailbox rename failed with code MailboxAlreadyExists');
+                err.code = 'ALREADYEXISTS';
+                return callback(err);
+            }
+            mailbox.path = newname;
+            callback(null, true, id);
+        }
+    };
+
+    const db = {
+        database: {
+            collection: () => ({
+                findOne: async query => matches(query)[0] || null,
+                find: query => ({ toArray: async () => matches(query) })
+            })
+        }
+    };
+
+    return { service: new MailboxService({ db, logger, mailboxHandler }), mailboxes, calls };
+}
+
+const pathsOf = mailboxes => mailboxes.map(mailbox => mailbox.path).sort();
+
+test('renameMailbox renames the parent and every child', async () => {
+    const { service, mailboxes } = createService(['INBOX', 'Projects', 'Projects/AI', 'Projects/AI/Papers', 'ProjectsOld']);
+    const result = await service.renameMailbox(USER_ID, 'Projects', 'Work/Projects');
+
+    assert.strictEqual(result.renamedChildren, 2);
+    assert.deepStrictEqual(pathsOf(mailboxes), ['INBOX', 'ProjectsOld', 'Work/Projects', 'Work/Projects/AI', 'Work/Projects/AI/Papers']);
+});
+
+test('renameMailbox puts completed renames back when one fails', async () => {
+    const { service, mailboxes, calls } = createService(['Projects', 'Projects/AI', 'Projects/Home'], { fail: 'Archive/Home' });
+
+    await assert.rejects(service.renameMailbox(USER_ID, 'Projects', 'Archive'), /Mailbox not found/);
+    assert.deepStrictEqual(pathsOf(mailboxes), ['Projects', 'Projects/AI', 'Projects/Home']);
+    assert.deepStrictEqual(calls, ['Archive', 'Archive/AI', 'Archive/Home', 'Projects/AI', 'Projects']);
+});
+
+test('renameMailbox checks every target path before renaming', async () => {
+    const { service, mailboxes, calls } = createService(['Projects', 'Projects/AI', 'Archive/AI']);
+
+    await assert.rejects(service.renameMailbox(USER_ID, 'Projects', 'Archive'), /Mailbox Archive\/AI already exists/);
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(pathsOf(mailboxes), ['Archive/AI', 'Projects', 'Projects/AI']);
+});
+
+test('renameMailbox refuses hidden mailboxes and moves into itself', async () => {
+    const { service, mailboxes, calls } = createService(['Projects', 'Projects/AI']);
+
+    await assert.rejects(service.renameMailbox(USER_ID, 'Projects', 'Projects/AI/Old'), /cannot be moved into itself/);
+    await assert.rejects(service.renameMailbox(USER_ID, 'Projects', 'Projects'), /already named Projects/);
+
+    mailboxes[1].hidden = true;
+    await assert.rejects(service.renameMailbox(USER_ID, 'Projects', 'Archive'), /Projects\/AI is hidden/);
+    assert.deepStrictEqual(calls, []);
+});
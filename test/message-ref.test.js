@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { parseMessageRef, resolveMessageRef } = require('../lib/message-ref');
+
+const userId = '000000000000000000000001';
+
+// Just enough of the collections for resolveMessageRef
+function fakeDb({ mailboxes = [], messages = [] } = {}) {
+    const cursor = list => ({
+        limit: count => cursor(list.slice(0, count)),
+        toArray: async () => list
+    });
+    const collections = {
+        mailboxes: {
+            findOne: async query => mailboxes.find(mailbox => (query._id ? mailbox._id.equals(query._id) : mailbox.path === query.path)) || null,
+            find: () => cursor(mailboxes)
+        },
+        messages: {
+            find: query => cursor(messages.filter(message => message.uid === query.uid && query.mailbox.$in.some(id => id.equals(message.mailbox))))
+        }
+    };
+    return { database: { collection: name => collections[name] } };
+}
+
+test('parseMessageRef accepts message IDs', () => {
+    const ref = parseMessageRef('507F1F77BCF86CD799439011');
+    assert.ok(ref.id instanceof ObjectId);
+    assert.strictEqual(ref.id.toString(), '507f1f77bcf86cd799439011');
+});
+
+test('parseMessageRef splits mailbox:uid at the last colon', () => {
+    assert.deepStrictEqual(parseMessageRef('INBOX:42'), { mailbox: 'INBOX', uid: 42 });
+    assert.deepStrictEqual(parseMessageRef(' Work/Projects:7 '), { mailbox: 'Work/Projects', uid: 7 });
+    assert.deepStrictEqual(parseMessageRef('Lists:dev:3'), { mailbox: 'Lists:dev', uid: 3 });
+});
+
+test('parseMessageRef returns bare UIDs', () => {
+    assert.deepStrictEqual(parseMessageRef('42'), { uid: 42 });
+    assert.deepStrictEqual(parseMessageRef(42), { uid: 42 });
+});
+
+test('parseMessageRef rejects anything else', () => {
+    for (const value of ['', null, undefined, 'INBOX', 'INBOX:', ':42', 'INBOX:4x', '12345678901', '507f1f77bcf86cd79943901']) {
+        assert.throws(() => parseMessageRef(value), /Invalid message ID/, String(value));
+    }
+});
+
+test('resolveMessageRef rejects bare UIDs and lists the candidates', async () => {
+    const inbox = { _id: new ObjectId(), path: 'INBOX' };
+    const work = { _id: new ObjectId(), path: 'Work' };
+    const db = fakeDb({
+        mailboxes: [inbox, work],
+        messages: [{ _id: new ObjectId(), mailbox: inbox._id, uid: 42 }]
+    });
+
+    // Rejected even though only one message has the UID
+    await assert.rejects(resolveMessageRef(db, userId, '42'), err => {
+        assert.strictEqual(err.code, 'AmbiguousMessageId');
+        assert.match(err.message, /INBOX:42/);
+        assert.doesNotMatch(err.message, /Work:42/);
+        return true;
+    });
+    await assert.rejects(resolveMessageRef(db, userId, '7'), /eg\. INBOX:7/);
+});
+
+test('resolveMessageRef accepts bare UIDs scoped to a mailbox', async () => {
+    const drafts = new ObjectId();
+    const query = await resolveMessageRef(fakeDb(), userId, '5', { mailbox: drafts });
+    assert.strictEqual(query.uid, 5);
+    assert.ok(query.mailbox.equals(drafts));
+});
+
+test('resolveMessageRef resolves mailbox:uid', async () => {
+    const inbox = { _id: new ObjectId(), path: 'INBOX' };
+    const query = await resolveMessageRef(fakeDb({ mailboxes: [inbox] }), userId, 'inbox:9');
+    assert.ok(query.mailbox.equals(inbox._id));
+    assert.strictEqual(query.uid, 9);
+
+    await assert.rejects(resolveMessageRef(fakeDb({ mailboxes: [inbox] }), userId, 'Nope:1'), /Mailbox not found/);
+});
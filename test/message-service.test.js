@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const MessageService = require('../lib/services/message-service');
+
+const USER_ID = '000000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+// Equality on the fields a query names, ObjectIds compare by value
+const matches = (doc, query) => Object.entries(query).every(([key, value]) => String(doc[key]) === String(value));
+
+function fakeDb(data) {
+    const collection = name => ({
+        findOne: async query => (data[name] || []).find(doc => matches(doc, query)) || null,
+        find: query => ({
+            project: () => collection(name).find(query),
+            limit: () => collection(name).find(query),
+            toArray: async () => (data[name] || []).filter(doc => matches(doc, query))
+        }),
+        updateOne: async () => ({ modifiedCount: 1 })
+    });
+    return { database: { collection } };
+}
+
+function createRestoreService() {
+    const inbox = { _id: new ObjectId(), user: new ObjectId(USER_ID), path: 'INBOX' };
+    const work = { _id: new ObjectId(), user: new ObjectId(USER_ID), path: 'Work' };
+    const trash = { _id: new ObjectId(), user: new ObjectId(USER_ID), path: 'Trash', specialUse: '\\Trash' };
+    const trashed = { _id: new ObjectId(), user: new ObjectId(USER_ID), mailbox: trash._id, uid: 3, meta: { mcpRestoreMailbox: work._id } };
+    const inInbox = { _id: new ObjectId(), user: new ObjectId(USER_ID), mailbox: inbox._id, uid: 3, meta: {} };
+
+    const service = new MessageService({
+        db: fakeDb({ mailboxes: [inbox, work, trash], messages: [trashed, inInbox] }),
+        logger,
+        config: {}
+    });
+    const moves = [];
+    service.moveStoredMessage = async (userId, message, targetMailbox) => {
+        moves.push({ message: message._id.toString(), target: targetMailbox.path });
+        return { id: new ObjectId().toString(), uid: 1 };
+    };
+
+    return { service, moves, trashed, inInbox, work };
+}
+
+test('restoreMessage moves a message back to the mailbox it was deleted from', async () => {
+    const { service, moves, trashed } = createRestoreService();
+    const result = await service.restoreMessage(USER_ID, trashed._id.toString());
+
+    assert.strictEqual(result.restored.path, 'Work');
+    assert.strictEqual(result.fallback, false);
+    assert.deepStrictEqual(moves, [{ message: trashed._id.toString(), target: 'Work' }]);
+});
+
+test('restoreMessage accepts a target mailbox path', async () => {
+    const { service, moves } = createRestoreService();
+    const result = await service.restoreMessage(USER_ID, 'Trash:3', 'INBOX');
+
+    assert.strictEqual(result.restored.path, 'INBOX');
+    assert.strictEqual(moves[0].target, 'INBOX');
+    await assert.rejects(service.restoreMessage(USER_ID, 'Trash:3', 'Nope'), /Target mailbox not found/);
+});
+
+test('restoreMessage only restores messages in Trash', async () => {
+    const { service, moves, inInbox } = createRestoreService();
+
+    await assert.rejects(service.restoreMessage(USER_ID, inInbox._id.toString()), /Message not found in Trash/);
+    await assert.rejects(service.restoreMessage(USER_ID, 'INBOX:3'), /Message not found in Trash/);
+    await assert.rejects(service.restoreMessage(USER_ID, '3'), err => err.code === 'AmbiguousMessageId');
+    assert.deepStrictEqual(moves, []);
+});
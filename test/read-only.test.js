@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const MCPServerOfficial = require('../lib/mcp-server');
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function registerHandlers(config) {
+    const mcpServer = new MCPServerOfficial({ logger, config: { attachmentSecret: 'test-secret-test-secret-test-secret', ...config } });
+    mcpServer.mailboxService.getMailboxList = async () => ({ mailboxes: [] });
+    mcpServer.messageService.deleteMessage = async () => {
+        throw new Error('deleteMessage should not be called');
+    };
+
+    const handlers = new Map();
+    mcpServer.registerHandlers({ setRequestHandler: (schema, handler) => handlers.set(schema, handler) }, '000000000000000000000001', {});
+    return handlers;
+}
+
+const callTool = (handlers, name, args = {}) => handlers.get(CallToolRequestSchema)({ params: { name, arguments: args } });
+
+test('readOnly hides write tools from ListTools', async () => {
+    const handlers = registerHandlers({ readOnly: true });
+    const { tools } = await handlers.get(ListToolsRequestSchema)({ params: {} });
+    const names = tools.map(tool => tool.name);
+
+    assert.ok(names.includes('listMailboxes'));
+    assert.ok(!names.includes('deleteMessage'));
+    assert.ok(!names.includes('sendEmail'));
+});
+
+test('readOnly refuses write tools called directly', async () => {
+    const handlers = registerHandlers({ readOnly: true });
+
+    for (const name of ['deleteMessage', 'sendEmail', 'bulkDeleteMessages', 'markAsRead']) {
+        await assert.rejects(callTool(handlers, name, { messageId: 'INBOX:1' }), /not available in read-only mode/);
+    }
+});
+
+test('readOnly still allows read-only tools', async () => {
+    const handlers = registerHandlers({ readOnly: true });
+    const result = await callTool(handlers, 'listMailboxes');
+
+    assert.ok(!result.isError);
+});
+
+test('write tools are allowed without readOnly', async () => {
+    const handlers = registerHandlers({ readOnly: false });
+
+    await assert.rejects(callTool(handlers, 'deleteMessage', { messageId: 'INBOX:1' }), /deleteMessage should not be called/);
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SafetyService = require('../lib/services/safety-service');
+
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const USER_ID = '000000000000000000000001';
+
+const service = new SafetyService({ logger: { verbose: () => false } });
+
+const context = {
+    ownAddresses: ['bob@example.com'],
+    ownDomains: ['example.com'],
+    fromAddress: 'alice@partner.org',
+    fromDomain: 'partner.org',
+    trusted: ['example.com', 'paypal.com', 'microsoft.com'],
+    userName: 'Bob Smith'
+};
+
+function collect(run) {
+    const findings = [];
+    const result = run((type, severity, description, details) => findings.push({ type, severity, details }));
+    return { findings, result, types: findings.map(finding => finding.type) };
+}
+
+test('checkSender flags display names that spoof the user', () => {
+    const check = (from, extra = {}) => collect(addFinding => service.checkSender({ from, ...extra }, { ...context, fromAddress: from.address, fromDomain: from.address.split('@')[1] }, addFinding));
+
+    assert.deepStrictEqual(check({ name: 'bob@example.com', address: 'x@evil.net' }).findings.map(f => [f.type, f.severity]), [['display-name-spoof', 'high']]);
+    assert.deepStrictEqual(check({ name: 'Bob Smith', address: 'x@evil.net' }).findings.map(f => [f.type, f.severity]), [['display-name-spoof', 'medium']]);
+    assert.deepStrictEqual(check({ name: 'ceo@partner.org', address: 'x@evil.net' }).types, ['display-name-address-mismatch']);
+    assert.deepStrictEqual(check({ name: 'Bob Smith', address: 'bob@example.com' }).types, []);
+});
+
+test('checkSender flags lookalike domains and Reply-To redirection', () => {
+    const lookalike = collect(addFinding => service.checkSender(
+        { from: { name: 'PayPal', address: 'service@paypa1.com' } },
+        { ...context, fromAddress: 'service@paypa1.com', fromDomain: 'paypa1.com' },
+        addFinding
+    ));
+    assert.deepStrictEqual(lookalike.types, ['lookalike-sender-domain']);
+    assert.strictEqual(lookalike.findings[0].details.imitated, 'paypal.com');
+
+    const replyTo = collect(addFinding => service.checkSender(
+        { from: { address: 'alice@mail.partner.org' }, replyTo: { address: 'alice@elsewhere.net' } },
+        { ...context, fromAddress: 'alice@mail.partner.org' },
+        addFinding
+    ));
+    assert.deepStrictEqual(replyTo.types, ['reply-to-mismatch']);
+
+    const sameDomain = collect(addFinding => service.checkSender(
+        { from: { address: 'alice@partner.org' }, replyTo: { address: 'support@help.partner.org' } },
+        context,
+        addFinding
+    ));
+    assert.deepStrictEqual(sameDomain.types, []);
+});
+
+test('checkLinks flags suspicious links', () => {
+    const check = (url, text = null) => collect(addFinding => service.checkLinks([{ url, text, source: 'html' }], context, addFinding));
+
+    assert.deepStrictEqual(check('https://evil.net/login', 'https://www.paypal.com').types, ['link-text-mismatch']);
+    assert.deepStrictEqual(check('https://www.paypal.com/login', 'paypal.com').types, []);
+    assert.deepStrictEqual(check('javascript:alert(1)').types, ['script-link']);
+    assert.deepStrictEqual(check('http://192.0.2.1/x').types, ['ip-address-link']);
+    assert.deepStrictEqual(check('https://paypal.com@evil.net/').types, ['credentials-in-url']);
+    assert.deepStrictEqual(check('https://bit.ly/abc').types, ['url-shortener']);
+    assert.deepStrictEqual(check('https://paypal.com.secure-login.net/').types, ['lookalike-domain']);
+    assert.deepStrictEqual(check('https://micros0ft.com/').types, ['lookalike-domain']);
+    assert.deepStrictEqual(check('https://xn--pypal-4ve.com/').types, ['punycode-domain']);
+    assert.deepStrictEqual(check('mailto:alice@partner.org').types, []);
+});
+
+test('checkLinks reports every link with its host', () => {
+    const { result } = collect(addFinding => service.checkLinks([
+        { url: 'https://partner.org/a', text: null, source: 'text' },
+        { url: 'https://bit.ly/b', text: 'here', source: 'html' }
+    ], context, addFinding));
+
+    assert.deepStrictEqual(result.map(link => [link.host, link.findings]), [['partner.org', []], ['bit.ly', ['url-shortener']]]);
+});
+
+test('checkAttachments rates extensions and double extensions', () => {
+    const { result, findings } = collect(addFinding => service.checkAttachments([
+        { id: 'ATT1', filename: 'report.pdf' },
+        { id: 'ATT2', filename: 'invoice.pdf.exe' },
+        { id: 'ATT3', filename: 'Budget.XLSM' },
+        { id: 'ATT4', filename: 'photos.zip' }
+    ], addFinding));
+
+    assert.deepStrictEqual(result.map(att => att.risk), ['none', 'high', 'medium', 'low']);
+    assert.deepStrictEqual(findings.map(finding => [finding.type, finding.severity]), [
+        ['risky-attachment', 'high'],
+        ['double-extension', 'high'],
+        ['risky-attachment', 'medium'],
+        ['risky-attachment', 'low']
+    ]);
+});
+
+test('analyzeMessage combines the findings into a risk level', async () => {
+    const message = {
+        id: MESSAGE_ID,
+        subject: 'Your account',
+        from: { name: 'PayPal', address: 'service@paypa1.com' },
+        attachments: []
+    };
+    const html = '<p>Sign in at <a href="https://evil.net/login">https://www.paypal.com</a></p>';
+
+    const safety = new SafetyService({
+        logger: { verbose: () => false },
+        db: { database: { collection: () => ({ findOne: async () => ({ html: [html], text: '' }) }) } },
+        messageService: {
+            getMessage: async () => message,
+            getMessageHeaders: async () => ({ authentication: { summary: { spf: 'pass', dkim: 'pass', dmarc: 'fail' } } })
+        },
+        userService: {
+            getUserInfo: async () => ({ name: 'Bob', addresses: [{ address: 'bob@example.com' }] })
+        }
+    });
+
+    const report = await safety.analyzeMessage(USER_ID, MESSAGE_ID);
+    assert.strictEqual(report.riskLevel, 'high');
+    assert.deepStrictEqual(report.findings.map(finding => finding.type).sort(), ['dmarc-fail', 'lookalike-sender-domain', 'link-text-mismatch'].sort());
+    assert.strictEqual(report.score, 15);
+    assert.strictEqual(report.links[0].host, 'evil.net');
+});
+
+test('analyzeMessage reports no risk for an ordinary message', async () => {
+    const safety = new SafetyService({
+        logger: { verbose: () => false },
+        db: { database: { collection: () => ({ findOne: async () => ({ text: 'See https://partner.org/agenda.' }) }) } },
+        messageService: {
+            getMessage: async () => ({ id: MESSAGE_ID, from: { name: 'Alice', address: 'alice@partner.org' }, attachments: [{ id: 'ATT1', filename: 'agenda.pdf' }] }),
+            getMessageHeaders: async () => {
+                throw new Error('Message not found');
+            }
+        },
+        userService: {
+            getUserInfo: async () => ({ name: 'Bob', addresses: [{ address: 'bob@example.com' }] })
+        }
+    });
+
+    const report = await safety.analyzeMessage(USER_ID, MESSAGE_ID);
+    assert.strictEqual(report.riskLevel, 'none');
+    assert.deepStrictEqual(report.findings, []);
+    assert.deepStrictEqual(report.links.map(link => link.url), ['https://partner.org/agenda']);
+});
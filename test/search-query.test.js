@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchQuery, compileSearchQuery } = require('../lib/search-query');
+
+const MAILBOXES = {
+    inbox: { _id: 'inbox-id', path: 'INBOX' },
+    trash: { _id: 'trash-id', path: 'Trash', specialUse: '\\Trash' },
+    junk: { _id: 'junk-id', path: 'Junk', specialUse: '\\Junk' }
+};
+
+const compile = async (query, options = {}) =>
+    compileSearchQuery(parseSearchQuery(query), {
+        resolveMailbox: async name => MAILBOXES[name.toLowerCase()] || null,
+        ...options
+    });
+
+test('plain words and phrases become full-text search', async () => {
+    const result = await compile('invoice "due date" -draft');
+    assert.strictEqual(result.text, '"invoice" "due date" -"draft"');
+    assert.strictEqual(result.filter, null);
+});
+
+test('operators compile to clauses', async () => {
+    const result = await compile('from:alice has:attachment is:unread');
+    assert.deepStrictEqual(result.filter, {
+        $and: [
+            { headers: { $elemMatch: { key: 'from', value: { $regex: 'alice', $options: 'i' } } } },
+            { ha: true },
+            { unseen: true }
+        ]
+    });
+    assert.strictEqual(result.text, null);
+});
+
+test('quoted operator values and regex characters are escaped', async () => {
+    const result = await compile('subject:"weekly report (v2)"');
+    assert.deepStrictEqual(result.filter, {
+        headers: { $elemMatch: { key: 'subject', value: { $regex: 'weekly report \\(v2\\)', $options: 'i' } } }
+    });
+});
+
+test('OR, groups and negation', async () => {
+    const result = await compile('-(subject:a OR subject:b) | is:flagged');
+    assert.deepStrictEqual(Object.keys(result.filter), ['$or']);
+    assert.deepStrictEqual(Object.keys(result.filter.$or[0]), ['$nor']);
+    assert.deepStrictEqual(result.filter.$or[1], { flagged: true });
+});
+
+test('unknown prefixes are plain words', async () => {
+    const result = await compile('re:meeting');
+    assert.strictEqual(result.text, '"re:meeting"');
+});
+
+test('relative dates use the given clock', async () => {
+    const now = Date.UTC(2025, 0, 10);
+    const result = await compile('newer_than:2d', { now });
+    assert.deepStrictEqual(result.filter, { idate: { $gte: new Date(Date.UTC(2025, 0, 8)) } });
+});
+
+test('sizes and absolute dates', async () => {
+    const result = await compile('larger:5M before:2025/02/01');
+    assert.deepStrictEqual(result.filter, {
+        $and: [
+            { size: { $gt: 5 * 1024 * 1024 } },
+            { idate: { $lt: new Date(Date.UTC(2025, 1, 1)) } }
+        ]
+    });
+});
+
+test('invalid queries are rejected', async () => {
+    for (const query of ['after:2025/13/45', 'is:maybe', 'has:pdf', 'from:', '"open', '(subject:a', 'subject:a)', 'larger:huge', 'newer_than:7x']) {
+        await assert.rejects(compile(query), err => err.code === 'InvalidSearchQuery', query);
+    }
+});
+
+test('full-text words can not be used inside OR', async () => {
+    await assert.rejects(compile('invoice OR receipt'), /can not be used inside OR/);
+    await assert.rejects(compile('-invoice'), /at least one word that is not negated/);
+});
+
+test('in: reports only the mailboxes it searches', async () => {
+    let result = await compile('in:trash from:alice');
+    assert.deepStrictEqual(result.mailboxes, [MAILBOXES.trash]);
+    assert.strictEqual(result.anywhere, false);
+
+    result = await compile('-in:inbox');
+    assert.deepStrictEqual(result.mailboxes, []);
+    assert.deepStrictEqual(result.filter, { $nor: [{ mailbox: 'inbox-id' }] });
+
+    result = await compile('-(in:junk OR -in:trash)');
+    assert.deepStrictEqual(result.mailboxes, [MAILBOXES.trash]);
+});
+
+test('in:anywhere adds no clause', async () => {
+    const result = await compile('in:anywhere subject:x');
+    assert.strictEqual(result.anywhere, true);
+    assert.deepStrictEqual(result.filter, {
+        headers: { $elemMatch: { key: 'subject', value: { $regex: 'x', $options: 'i' } } }
+    });
+
+    await assert.rejects(compile('-in:anywhere'), /can not be negated/);
+    await assert.rejects(compile('in:anywhere OR is:unread'), /can not be used inside OR/);
+    await assert.rejects(compile('in:nowhere'), /mailbox "nowhere" not found/);
+});
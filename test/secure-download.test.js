@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const MCPServerOfficial = require('../lib/mcp-server');
+
+const USER_ID = '000000000000000000000001';
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const CONTENT = Buffer.from('0123456789');
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function createServer() {
+    const used = new Set();
+    const redis = {
+        set: async key => {
+            if (used.has(key)) {
+                return null;
+            }
+            used.add(key);
+            return 'OK';
+        }
+    };
+    const mcpServer = new MCPServerOfficial({
+        logger,
+        redis,
+        config: { attachmentSecret: 'test-secret-test-secret-test-secret', signedUrls: { singleUse: true } }
+    });
+    mcpServer.attachmentService.findAttachment = async () => ({
+        attachment: { _id: 'file1', length: CONTENT.length, contentType: 'text/plain', uploadDate: new Date('2025-03-01T12:00:00Z') },
+        info: {}
+    });
+    mcpServer.attachmentService.openAttachmentStream = (attachment, range) =>
+        Readable.from([range ? CONTENT.subarray(range.start, range.end + 1) : CONTENT]);
+    return mcpServer;
+}
+
+// Response object with the restify methods the handler uses
+function createResponse() {
+    const chunks = [];
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    res.statusCode = 200;
+    res.setHeader = () => {
+        res.headersSent = true;
+    };
+    res.status = code => {
+        res.statusCode = code;
+    };
+    res.send = body => res.end(body);
+    res.json = body => res.end(JSON.stringify(body));
+    res.body = () => Buffer.concat(chunks).toString();
+    return res;
+}
+
+async function download(mcpServer, url, headers = {}) {
+    const [messageId, attachmentId, userId, expires, signature, filename] = new URL(url).pathname.split('/').slice(4);
+    const res = createResponse();
+    await mcpServer.handleSecureAttachment({ params: { messageId, attachmentId, userId, expires, signature, filename }, headers, query: {} }, res);
+    return { status: res.statusCode, body: res.body() };
+}
+
+test('a single-use link allows one full download', async () => {
+    const mcpServer = createServer();
+    const url = mcpServer.attachmentService.generateSecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', 'notes.txt', 'https://mail.example.com');
+
+    assert.deepStrictEqual(await download(mcpServer, url), { status: 200, body: '0123456789' });
+    const second = await download(mcpServer, url);
+    assert.strictEqual(second.status, 403);
+    assert.match(second.body, /already been used/);
+});
+
+test('Range requests do not use up a single-use link', async () => {
+    const mcpServer = createServer();
+    const url = mcpServer.attachmentService.generateSecureAttachmentUrl(USER_ID, MESSAGE_ID, 'ATT00001', 'notes.txt', 'https://mail.example.com');
+
+    assert.deepStrictEqual(await download(mcpServer, url, { range: 'bytes=0-3' }), { status: 206, body: '0123' });
+    assert.strictEqual((await download(mcpServer, url, { range: 'bytes=50-' })).status, 416);
+    assert.deepStrictEqual(await download(mcpServer, url), { status: 200, body: '0123456789' });
+    assert.deepStrictEqual(await download(mcpServer, url, { range: 'bytes=4-' }), { status: 206, body: '456789' });
+    assert.strictEqual((await download(mcpServer, url)).status, 403);
+});
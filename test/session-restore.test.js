@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const MCPServerOfficial = require('../lib/mcp-server');
+
+const USER_ID = '000000000000000000000001';
+const SESSION_ID = 'c2Vzc2lvbi1yZXN0b3JlLXRlc3Q';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+// Session stored by another API node, only Redis knows about it
+const storedSession = {
+    id: SESSION_ID,
+    user: USER_ID,
+    protocolVersion: '2025-03-26',
+    capabilities: { roots: { listChanged: true } },
+    clientInfo: { name: 'test-client', version: '1.2.3' }
+};
+
+async function withSessionServer(run) {
+    const mcpServer = new MCPServerOfficial({ logger, config: { attachmentSecret: 'test-secret-test-secret-test-secret' } });
+    mcpServer.sessionService.touchSession = async (sessionId, userId) => (sessionId === SESSION_ID && userId === USER_ID ? storedSession : null);
+    mcpServer.mailboxService.getMailboxList = async () => ({ mailboxes: [] });
+    const created = [];
+    mcpServer.sessionService.createSession = async (sessionId, userId, client) => created.push({ sessionId, userId, client });
+
+    const servers = [];
+    const httpServer = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        req.body = body ? JSON.parse(body) : undefined;
+        req.user = USER_ID;
+
+        // Same as handleRequest, a new server per request
+        const server = new Server({ name: 'wildduck-mcp-server', version: '1.0.0' }, { capabilities: mcpServer.getServerCapabilities() });
+        servers.push(server);
+        mcpServer.registerHandlers(server, USER_ID, req);
+        await mcpServer.handleSessionRequest(server, req, res);
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+
+    const post = async (message, sessionId = SESSION_ID) => {
+        const headers = {
+            accept: 'application/json, text/event-stream',
+            'content-type': 'application/json',
+            'mcp-protocol-version': storedSession.protocolVersion
+        };
+        if (sessionId) {
+            headers['mcp-session-id'] = sessionId;
+        }
+        const response = await fetch(`http://127.0.0.1:${httpServer.address().port}/`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(message)
+        });
+        const text = await response.text();
+        const data = text.split('\n').find(line => line.startsWith('data: '));
+        return { status: response.status, sessionId: response.headers.get('mcp-session-id'), message: data ? JSON.parse(data.slice(6)) : JSON.parse(text) };
+    };
+
+    try {
+        await run({ post, servers, created });
+    } finally {
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+    }
+}
+
+test('initialize stores a new session', async () => {
+    await withSessionServer(async ({ post, created }) => {
+        const params = { protocolVersion: storedSession.protocolVersion, capabilities: storedSession.capabilities, clientInfo: storedSession.clientInfo };
+        const { status, sessionId, message } = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params }, null);
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(message.result.serverInfo.name, 'wildduck-mcp-server');
+        assert.deepStrictEqual(created, [{ sessionId, userId: USER_ID, client: params }]);
+    });
+});
+
+test('a stored session is restored on a fresh transport', async () => {
+    await withSessionServer(async ({ post, servers }) => {
+        const { status, message } = await post({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'listMailboxes', arguments: {} } });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(message.id, 1);
+        assert.ok(!message.error, JSON.stringify(message.error));
+        assert.deepStrictEqual(servers[0].getClientCapabilities(), storedSession.capabilities);
+        assert.deepStrictEqual(servers[0].getClientVersion(), storedSession.clientInfo);
+    });
+});
+
+test('an unknown session is answered with 404', async () => {
+    await withSessionServer(async ({ post }) => {
+        const { status, message } = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, 'unknown-session');
+
+        assert.strictEqual(status, 404);
+        assert.strictEqual(message.error.message, 'Session not found');
+    });
+});
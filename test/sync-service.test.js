@@ -0,0 +1,147 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const SyncService = require('../lib/services/sync-service');
+
+const USER_ID = '000000000000000000000001';
+
+const logger = {
+    info: () => false,
+    verbose: () => false,
+    warn: () => false,
+    error: () => false
+};
+
+function matches(doc, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (condition && condition.$in) {
+            return condition.$in.includes(doc[key]);
+        }
+        if (condition && condition.$gt !== undefined) {
+            return doc[key] > condition.$gt;
+        }
+        return String(doc[key]) === String(condition);
+    });
+}
+
+function createService(journal, config = {}) {
+    const mailbox = { _id: new ObjectId(), user: new ObjectId(USER_ID), path: 'INBOX', uidValidity: 100, uidNext: 20, modifyIndex: 0 };
+    mailbox.modifyIndex = journal.length ? journal[journal.length - 1].modseq : 0;
+    const entries = journal.map(entry => ({ mailbox: mailbox._id, ...entry }));
+    const messages = [1, 2, 3, 4, 5].map(uid => ({ _id: new ObjectId(), mailbox: mailbox._id, uid, flags: [], modseq: 1 }));
+
+    const cursor = list => ({
+        sort: () => cursor(list),
+        limit: count => cursor(list.slice(0, count)),
+        toArray: async () => list
+    });
+    const data = { mailboxes: [mailbox], journal: entries, messages };
+    const db = {
+        database: {
+            collection: name => ({
+                findOne: async query => data[name].find(doc => matches(doc, query)) || null,
+                find: query => cursor(data[name].filter(doc => matches(doc, query)))
+            })
+        }
+    };
+
+    const service = new SyncService({
+        db,
+        logger,
+        config,
+        messageService: {
+            getMessageProjection: () => ({}),
+            formatMessage: async message => ({ id: message._id.toString(), uid: message.uid })
+        }
+    });
+    return { service, mailbox, messages };
+}
+
+test('the first call returns a starting token for the current modseq', async () => {
+    const { service, mailbox } = createService([{ modseq: 1, command: 'EXISTS', uid: 1 }]);
+    const result = await service.getChangesSince(USER_ID, { mailbox: 'INBOX' });
+
+    assert.strictEqual(result.modseq, 1);
+    assert.deepStrictEqual(service.decodeToken(result.syncToken), { mailbox: mailbox._id.toString(), uidValidity: 100, modseq: 1 });
+});
+
+test('changes are replayed in order, the last entry for a UID decides', async () => {
+    const { service } = createService([
+        { modseq: 1, command: 'EXISTS', uid: 1 },
+        { modseq: 2, command: 'EXISTS', uid: 2 },
+        { modseq: 3, command: 'EXISTS', uid: 3 },
+        { modseq: 3, command: 'FETCH', uid: 1 },
+        { modseq: 4, command: 'EXISTS', uid: 4 },
+        { modseq: 4, command: 'FETCH', uid: 2 },
+        { modseq: 5, command: 'EXPUNGE', uid: 3 },
+        { modseq: 5, command: 'EXPUNGE', uid: 4 }
+    ]);
+    const result = await service.getChangesSince(USER_ID, { mailbox: 'INBOX', modseq: 2 });
+
+    assert.deepStrictEqual(result.added, []);
+    assert.deepStrictEqual(result.changed.map(message => message.uid), [1, 2]);
+    assert.deepStrictEqual(result.expunged.map(entry => entry.uid), [3, 4]);
+    assert.strictEqual(result.modseq, 5);
+    assert.strictEqual(result.fullResyncRequired, false);
+});
+
+test('a token older than the journal requires a full resync', async () => {
+    // Entries up to modseq 3 have expired
+    const { service, mailbox } = createService([
+        { modseq: 4, command: 'EXISTS', uid: 4 },
+        { modseq: 5, command: 'EXISTS', uid: 5 }
+    ]);
+    const token = service.encodeToken(mailbox, 2);
+    const result = await service.getChangesSince(USER_ID, { syncToken: token });
+
+    assert.strictEqual(result.fullResyncRequired, true);
+    assert.match(result.reason, /journal no longer covers/);
+    assert.strictEqual(service.decodeToken(result.syncToken).modseq, 5);
+
+    // The entry right after the token is still there, nothing is missing
+    const next = await service.getChangesSince(USER_ID, { syncToken: service.encodeToken(mailbox, 3) });
+    assert.strictEqual(next.fullResyncRequired, false);
+    assert.deepStrictEqual(next.added.map(message => message.uid), [4, 5]);
+});
+
+test('a changed UIDVALIDITY or a modseq from the future requires a full resync', async () => {
+    const { service, mailbox } = createService([{ modseq: 1, command: 'EXISTS', uid: 1 }]);
+
+    const token = service.encodeToken({ ...mailbox, uidValidity: 99 }, 1);
+    assert.match((await service.getChangesSince(USER_ID, { syncToken: token })).reason, /UIDVALIDITY/);
+    assert.match((await service.getChangesSince(USER_ID, { mailbox: 'INBOX', modseq: 7 })).reason, /newer than the mailbox/);
+});
+
+test('pages end between modseqs and continue with the returned token', async () => {
+    const { service } = createService(
+        [
+            { modseq: 1, command: 'EXISTS', uid: 1 },
+            { modseq: 2, command: 'EXISTS', uid: 2 },
+            { modseq: 2, command: 'EXISTS', uid: 3 },
+            { modseq: 3, command: 'EXISTS', uid: 4 }
+        ],
+        { sync: { maxChanges: 2 } }
+    );
+
+    const first = await service.getChangesSince(USER_ID, { mailbox: 'INBOX', modseq: 0 });
+    assert.strictEqual(first.hasMore, true);
+    assert.deepStrictEqual(first.added.map(message => message.uid), [1]);
+
+    const second = await service.getChangesSince(USER_ID, { syncToken: first.syncToken });
+    assert.strictEqual(second.hasMore, true);
+    assert.deepStrictEqual(second.added.map(message => message.uid), [2, 3]);
+
+    const third = await service.getChangesSince(USER_ID, { syncToken: second.syncToken });
+    assert.strictEqual(third.hasMore, false);
+    assert.deepStrictEqual(third.added.map(message => message.uid), [4]);
+});
+
+test('tokens are validated', async () => {
+    const { service } = createService([]);
+
+    await assert.rejects(service.getChangesSince(USER_ID, { syncToken: 'garbage' }), /Invalid sync token/);
+    await assert.rejects(service.getChangesSince(USER_ID, { mailbox: 'INBOX', modseq: -1 }), /non-negative integer/);
+    await assert.rejects(service.getChangesSince(USER_ID, {}), /mailbox or syncToken is required/);
+});